@@ -11,6 +11,12 @@ const mongoose = require("mongoose");
 
 const app = express();
 
+// ℹ️ Every request gets an id (X-Request-Id), used in logs and error responses
+const { requestId } = require("./middleware/requestId.middleware");
+app.use(requestId);
+
+const { ForbiddenError } = require("./error-handling/errors");
+
 // ✅ Allow requests from local dev and deployed Netlify frontend
 const allowedOrigins = [
   "http://localhost:5173", // local dev
@@ -22,11 +28,12 @@ app.use(
     origin: (origin, cb) => {
       // Allow server-to-server calls (no origin), Postman, local dev, and your Netlify frontend
       if (!origin || allowedOrigins.includes(origin)) return cb(null, true);
-      return cb(new Error("Not allowed by CORS"));
+      return cb(new ForbiddenError("Not allowed by CORS", "CORS_NOT_ALLOWED"));
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id", "If-Match", "If-None-Match"],
+    exposedHeaders: ["X-Request-Id", "ETag"],
   })
 );
 
@@ -51,16 +58,57 @@ app.get(["/health", "/api/health"], (req, res) => {
   res.status(healthy ? 200 : 503).json(payload);
 });
 
+// ✅ Uploaded images, when they're stored on this server's disk
+const { getStorage } = require("./storage");
+const storage = getStorage();
+if (storage.directory) {
+  app.use("/uploads", express.static(storage.directory, { maxAge: "30d", immutable: true }));
+}
+
 // 👇 Start handling routes here
 const indexRoutes = require("./routes/index.routes");
 app.use("/api", indexRoutes);
 
+const { authLimiter } = require("./middleware/rateLimit.middleware");
 const authRoutes = require("./routes/auth.routes");
-app.use("/auth", authRoutes);
+app.use("/auth", authLimiter, authRoutes);
+
+const userRoutes = require("./routes/user.routes");
+app.use("/users", userRoutes);
 
 const productRoutes = require("./routes/product.routes");
 app.use("/products", productRoutes);
 
+const inventoryRoutes = require("./routes/inventory.routes");
+app.use("/products", inventoryRoutes);
+
+const categoryRoutes = require("./routes/category.routes");
+app.use("/categories", categoryRoutes);
+
+const cartRoutes = require("./routes/cart.routes");
+app.use("/cart", cartRoutes);
+
+const wishlistRoutes = require("./routes/wishlist.routes");
+app.use("/wishlist", wishlistRoutes);
+
+const notificationRoutes = require("./routes/notification.routes");
+app.use("/notifications", notificationRoutes);
+
+const orderRoutes = require("./routes/order.routes");
+app.use("/orders", orderRoutes);
+
+const sellerRoutes = require("./routes/seller.routes");
+app.use("/seller", sellerRoutes);
+
+const couponRoutes = require("./routes/coupon.routes");
+app.use("/coupons", couponRoutes);
+
+const paymentRoutes = require("./routes/payment.routes");
+app.use("/payments", paymentRoutes);
+
+const adminRoutes = require("./routes/admin.routes");
+app.use("/admin", adminRoutes);
+
 const reviewRoutes = require("./routes/review.routes");
 // If you must mount at '/', keep health route ABOVE this
 app.use("/", reviewRoutes);
@@ -0,0 +1,35 @@
+// cache/index.js
+//
+// ℹ️ Cached responses live in the store named by CACHE_DRIVER ("memory" by
+// default). Built in:
+//   - memory: an LRU map inside this process (see memory.cache.js)
+// A shared store (Redis, Memcached, ...) is another object with the same
+// methods, added with `registerCache`.
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} name
+ * @property {(key: string) => Promise<string|undefined>} get  undefined when missing or expired
+ * @property {(key: string, value: string, ttlMs: number) => Promise<void>} set
+ * @property {(prefix: string) => Promise<void>} deleteByPrefix
+ * @property {() => Promise<void>} clear
+ * @property {number} [size]  number of entries, when the store can tell
+ */
+
+const memoryCache = require("./memory.cache");
+
+const stores = new Map([[memoryCache.name, memoryCache]]);
+
+/** Registers (or replaces) a store under its `name`. */
+function registerCache(store) {
+  stores.set(store.name, store);
+}
+
+/** The configured store (CACHE_DRIVER, default "memory"). */
+function getCache(name = process.env.CACHE_DRIVER || "memory") {
+  const store = stores.get(name);
+  if (!store) throw new Error(`Unknown cache driver "${name}"`);
+  return store;
+}
+
+module.exports = { registerCache, getCache };
@@ -0,0 +1,46 @@
+// cache/memory.cache.js
+//
+// ℹ️ In-process LRU cache. Entries expire after their TTL, and once
+// CACHE_MAX_ENTRIES (default 1000) is reached the least recently used one
+// makes room. Every server instance has its own copy; with several
+// instances use a shared store instead, so invalidation reaches all of them.
+
+const maxEntries = () => Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// key -> { value, expiresAt }; Map order is least recently used first
+const entries = new Map();
+
+const memoryCache = {
+  name: "memory",
+
+  get size() {
+    return entries.size;
+  },
+
+  async get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    entries.set(key, entry); // now the most recently used
+    return entry.value;
+  },
+
+  async set(key, value, ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries()) entries.delete(entries.keys().next().value);
+  },
+
+  async deleteByPrefix(prefix) {
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) entries.delete(key);
+    }
+  },
+
+  async clear() {
+    entries.clear();
+  },
+};
+
+module.exports = memoryCache;
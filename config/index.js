@@ -30,11 +30,21 @@ module.exports = (app) => {
   //   })
   // );
 
-  // In development environment the app logs
-  app.use(logger("dev"));
+  // In development environment the app logs — each line starts with the request id
+  logger.token("id", (req) => req.id);
+  app.use(logger("[:id] :method :url :status :response-time ms - :res[content-length]"));
 
   // To have access to `body` property in the request
-  app.use(express.json());
+  // Payment webhooks are signed over the exact bytes received, so keep the raw body for them
+  // Catalog imports are read as a stream by their route, so they're left unparsed
+  app.use(
+    express.json({
+      type: (req) => req.is("application/json") && !req.originalUrl.startsWith("/seller/products/import"),
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/payments/webhook")) req.rawBody = buf;
+      },
+    })
+  );
   app.use(express.urlencoded({ extended: false }));
   app.use(cookieParser());
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// error-handling/errors.js
+//
+// Typed HTTP errors. Throw (or next()) one of these from a route and the
+// error handler answers with its status and a body like
+//   { status, code, message, requestId, errors? }
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // optional per-field list, same shape as validation errors
+    if (details) this.errors = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = "Bad request", code = "BAD_REQUEST", details) {
+    super(400, code, message, details);
+  }
+}
+
+// errors: [{ location, field, code, message }]
+class ValidationError extends HttpError {
+  constructor(errors, message = errors?.[0]?.message || "Invalid request") {
+    super(400, "VALIDATION_ERROR", message, errors);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+    super(401, code, message);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = "You don't have permission to do this", code = "FORBIDDEN") {
+    super(403, code, message);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = "Not found", code = "NOT_FOUND") {
+    super(404, code, message);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = "Conflict", code = "CONFLICT", details) {
+    super(409, code, message, details);
+  }
+}
+
+// If-Match named a version of the document that isn't the current one
+class PreconditionFailedError extends HttpError {
+  constructor(message = "Precondition failed", code = "PRECONDITION_FAILED") {
+    super(412, code, message);
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message = "Payload too large", code = "PAYLOAD_TOO_LARGE") {
+    super(413, code, message);
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = "Unsupported media type", code = "UNSUPPORTED_MEDIA_TYPE") {
+    super(415, code, message);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = "Too many requests, please try again later.", code = "TOO_MANY_REQUESTS") {
+    super(429, code, message);
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+};
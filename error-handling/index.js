@@ -1,19 +1,103 @@
+const mongoose = require("mongoose");
+const { HttpError, NotFoundError, PayloadTooLargeError } = require("./errors");
+
+// multer (file upload) error codes -> our codes
+const UPLOAD_ERROR_CODES = {
+  LIMIT_FILE_COUNT: "TOO_MANY_FILES",
+  LIMIT_UNEXPECTED_FILE: "UNEXPECTED_FILE",
+  LIMIT_FIELD_COUNT: "TOO_MANY_FIELDS",
+  LIMIT_PART_COUNT: "TOO_MANY_PARTS",
+};
+
+// Turns known library errors into HttpErrors; anything else becomes a 500
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  // Mongoose schema validation -> 400 with one entry per field
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((e) => ({
+      location: "body",
+      field: e.path,
+      code: e.kind === "required" ? "required" : "invalid",
+      message: e.message,
+    }));
+    return new HttpError(400, "VALIDATION_ERROR", errors[0]?.message || "Validation failed", errors);
+  }
+
+  // Bad id or value that can't be cast to the schema type
+  if (err instanceof mongoose.Error.CastError) {
+    const code = err.kind === "ObjectId" ? "INVALID_ID" : "INVALID_VALUE";
+    return new HttpError(400, code, `Invalid value for ${err.path}`, [
+      { location: "params", field: err.path, code: code.toLowerCase(), message: `Invalid value for ${err.path}` },
+    ]);
+  }
+
+  // Someone else saved the document in between (optimistic concurrency)
+  if (err instanceof mongoose.Error.VersionError) {
+    return new HttpError(409, "VERSION_CONFLICT", "The resource was modified, please retry");
+  }
+
+  // Unique index violation
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new HttpError(409, "DUPLICATE_KEY", `Duplicate value for ${fields.join(", ") || "a unique field"}`);
+  }
+
+  // express-jwt: missing, malformed, expired or revoked token
+  if (err?.name === "UnauthorizedError") {
+    const code = String(err.code || "invalid_token").toUpperCase();
+    const message =
+      err.code === "credentials_required" ? "Authentication required" : "Invalid or expired token";
+    return new HttpError(401, code, message);
+  }
+
+  // multer: file too big, too many files, wrong field name...
+  if (err?.name === "MulterError") {
+    if (err.code === "LIMIT_FILE_SIZE") return new PayloadTooLargeError("File is too large", "FILE_TOO_LARGE");
+    const field = err.field ? ` (${err.field})` : "";
+    return new HttpError(400, UPLOAD_ERROR_CODES[err.code] || "UPLOAD_ERROR", `${err.message}${field}`);
+  }
+
+  // body-parser and other http-errors style errors that are safe to show (bad JSON, body too large...)
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    const code = err.type === "entity.parse.failed" ? "INVALID_JSON" : "BAD_REQUEST";
+    return new HttpError(err.status, code, err.message);
+  }
+
+  return new HttpError(500, "INTERNAL_ERROR", "Internal server error. Check the server console");
+}
+
 module.exports = (app) => {
   app.use((req, res, next) => {
     // this middleware runs whenever requested page is not available
-    res.status(404).json({ message: "This route does not exist" });
+    next(new NotFoundError("This route does not exist", "ROUTE_NOT_FOUND"));
   });
 
   app.use((err, req, res, next) => {
     // whenever you call next(err), this middleware will handle the error
-    // always logs the error
-    console.error("ERROR", req.method, req.path, err);
-
-    // only render if the error ocurred before sending the response
-    if (!res.headersSent) {
-      res.status(500).json({
-        message: "Internal server error. Check the server console",
-      });
+    const httpError = toHttpError(err);
+
+    // unexpected errors are logged in full; client errors are already in the request log
+    if (httpError.status >= 500) {
+      console.error("ERROR", `[${req.id}]`, req.method, req.path, err);
     }
+
+    // only respond if the error ocurred before sending the response
+    if (res.headersSent) return;
+
+    const body = {
+      status: httpError.status,
+      code: httpError.code,
+      message: httpError.message,
+      requestId: req.id,
+    };
+    if (httpError.errors) body.errors = httpError.errors;
+
+    // stack traces help locally but must never leak in production
+    if (process.env.NODE_ENV !== "production" && httpError.status >= 500) {
+      body.stack = err?.stack;
+    }
+
+    res.status(httpError.status).json(body);
   });
 };
@@ -0,0 +1,65 @@
+// mailer/index.js
+//
+// ℹ️ Outgoing email goes through `sendMail`, which hands the message to the
+// transport named by MAILER_TRANSPORT ("console" by default). Built in:
+//   - console: prints the message (local development)
+//   - file:    writes each message as JSON into MAIL_DIR (default ./.mail), handy in tests
+// A real provider (SMTP, SES, ...) is another object with the same
+// `send(message)` method, added with `registerTransport`.
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ * @property {string} [html]
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name
+ * @property {(message: MailMessage) => Promise<void>} send
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const FROM = process.env.MAIL_FROM || "no-reply@ecommerce-app.local";
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  async send(message) {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), ".mail");
+    await fs.mkdir(dir, { recursive: true });
+    const file = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(path.join(dir, file), JSON.stringify(message, null, 2));
+  },
+};
+
+const transports = new Map([
+  [consoleTransport.name, consoleTransport],
+  [fileTransport.name, fileTransport],
+]);
+
+/** Registers (or replaces) a transport under its `name`. */
+function registerTransport(transport) {
+  transports.set(transport.name, transport);
+}
+
+/** Sends a message through the configured transport. */
+async function sendMail(message) {
+  const name = process.env.MAILER_TRANSPORT || "console";
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+
+  await transport.send({ from: FROM, ...message });
+}
+
+module.exports = { sendMail, registerTransport };
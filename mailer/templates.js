@@ -0,0 +1,24 @@
+// mailer/templates.js
+// Plain-text bodies for the account emails; links point at the frontend.
+
+const FRONTEND_URL = process.env.ORIGIN || "http://localhost:5173";
+
+function verificationEmail(user, token) {
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+  };
+}
+
+function passwordResetEmail(user, token, ttlMinutes) {
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Open this link within ${ttlMinutes} minutes to choose a new one:\n${link}\n\nIf it wasn't you, you can ignore this email — your password stays the same.`,
+  };
+}
+
+module.exports = { verificationEmail, passwordResetEmail };
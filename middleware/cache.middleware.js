@@ -0,0 +1,56 @@
+// middleware/cache.middleware.js
+//
+// Response cache for public GETs. The 200 JSON answer is stored (with its
+// ETag) under the request's normalized path and query, and served from there
+// until its TTL runs out or a write invalidates it (utils/cache.utils.js).
+// X-Cache: HIT|MISS says which one it was. A failing store never fails the
+// request: it's logged and the route answers as if nothing was cached.
+const { getCache } = require("../cache");
+const { cacheKey, currentGeneration, countLookup } = require("../utils/cache.utils");
+
+/**
+ * cacheResponse({ name, ttl, cacheControl })
+ * name         — label for the hit/miss counters (GET /admin/cache)
+ * ttl          — seconds an entry is served for
+ * cacheControl — Cache-Control header for the client (successful answers only)
+ * Goes after validate(), so the key is built from the validated query.
+ */
+function cacheResponse({ name, ttl, cacheControl }) {
+  return async (req, res, next) => {
+    const store = getCache();
+    const key = cacheKey(req);
+
+    let cached;
+    try {
+      cached = await store.get(key);
+    } catch (err) {
+      console.error("Cache read failed:", err.message);
+    }
+    countLookup(name, Boolean(cached));
+
+    if (cached) {
+      const { body, etag } = JSON.parse(cached);
+      res.set({ "X-Cache": "HIT", "Cache-Control": cacheControl });
+      if (etag) res.set("ETag", etag);
+      // send answers 304 when If-None-Match holds the ETag
+      return res.type("json").send(body);
+    }
+
+    res.set("X-Cache", "MISS");
+    const generation = currentGeneration();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode !== 200) return json(body);
+
+      res.set("Cache-Control", cacheControl);
+      if (generation === currentGeneration()) {
+        const entry = JSON.stringify({ body: JSON.stringify(body), etag: res.get("ETag") });
+        store.set(key, entry, ttl * 1000).catch((err) => console.error("Cache write failed:", err.message));
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { cacheResponse };
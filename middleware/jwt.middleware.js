@@ -1,4 +1,6 @@
 const { expressjwt: jwt } = require("express-jwt");
+const { isSessionRevoked } = require("../utils/session.utils");
+const { ForbiddenError } = require("../error-handling/errors");
 
 // Instantiate the JWT token validation middleware
 const isAuthenticated = jwt({
@@ -6,6 +8,8 @@ const isAuthenticated = jwt({
   algorithms: ["HS256"],
   requestProperty: "payload",
   getToken: getTokenFromHeaders,
+  // Rejects tokens whose session was logged out or revoked (and old tokens without a session)
+  isRevoked: (req, token) => isSessionRevoked(token?.payload?.sid),
 });
 
 // Function used to extract the JWT token from the request's 'Authorization' Headers
@@ -23,7 +27,28 @@ function getTokenFromHeaders(req) {
   return null;
 }
 
+// Role from the token; tokens issued before roles existed count as "customer"
+function roleOf(req) {
+  return req.payload?.role || "customer";
+}
+
+// Only lets through users whose role is one of `roles`. Use after isAuthenticated.
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(roleOf(req))) return next(new ForbiddenError());
+    next();
+  };
+}
+
+// True when the logged-in user owns the resource (ownerId) or is an admin
+function isOwnerOrAdmin(req, ownerId) {
+  if (roleOf(req) === "admin") return true;
+  return Boolean(ownerId) && ownerId.toString() === req.payload?._id;
+}
+
 // Export the middleware so that we can use it to create protected routes
 module.exports = {
   isAuthenticated,
+  authorize,
+  isOwnerOrAdmin,
 };
@@ -0,0 +1,105 @@
+// Fixed-window rate limiting. Counters live in a store; the default is an
+// in-memory store (fine for a single instance). For several instances plug
+// in a shared store (e.g. Redis) with the same interface:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+
+const { TooManyRequestsError } = require("../error-handling/errors");
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // drop expired windows now and then so the map doesn't grow forever
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.cleanup.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+// Swaps the store used by every limiter that wasn't given its own
+function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Creates a rate limiting middleware.
+ * options: { name, windowMs, max, keyGenerator?, store?, writesOnly? }
+ * `writesOnly` lets GET/HEAD/OPTIONS through uncounted.
+ */
+function rateLimit({ name, windowMs, max, keyGenerator = (req) => req.ip, store, writesOnly = false }) {
+  return async (req, res, next) => {
+    if (writesOnly && SAFE_METHODS.includes(req.method)) return next();
+
+    try {
+      const { count, resetAt } = await (store || defaultStore).increment(
+        `${name}:${keyGenerator(req)}`,
+        windowMs
+      );
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(0, max - count)),
+        "RateLimit-Reset": String(resetSeconds),
+      });
+
+      if (count > max) {
+        res.set("Retry-After", String(resetSeconds));
+        return next(new TooManyRequestsError());
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// POSTs to /auth/* (login, signup, refresh, password reset...) per IP
+const authLimiter = rateLimit({
+  name: "auth",
+  windowMs: envNumber("RATE_LIMIT_AUTH_WINDOW_MS", 15 * 60 * 1000),
+  max: envNumber("RATE_LIMIT_AUTH_MAX", 30),
+  writesOnly: true,
+});
+
+// Product and review writes per IP
+const writeLimiter = rateLimit({
+  name: "write",
+  windowMs: envNumber("RATE_LIMIT_WRITE_WINDOW_MS", 60 * 1000),
+  max: envNumber("RATE_LIMIT_WRITE_MAX", 60),
+  writesOnly: true,
+});
+
+module.exports = {
+  rateLimit,
+  MemoryStore,
+  setRateLimitStore,
+  authLimiter,
+  writeLimiter,
+};
@@ -0,0 +1,15 @@
+const crypto = require("crypto");
+
+// Accept an id from the caller (e.g. a proxy) only if it looks sane
+const VALID_ID = /^[\w.-]{1,128}$/;
+
+// Gives every request an id (req.id) and echoes it in the X-Request-Id header,
+// so a response or a log line can be matched to the other
+function requestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = { requestId };
@@ -0,0 +1,19 @@
+// Multipart image uploads, kept in memory until utils/upload.utils.js has
+// checked and resized them. Size and count limits are enforced while the
+// request streams in; a MulterError goes to the central error handler.
+const multer = require("multer");
+
+// Largest accepted file (UPLOAD_MAX_BYTES, default 5 MB)
+const MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: MAX_FILES, fields: 10 },
+});
+
+// One file in `field` (req.file), or up to `maxCount` (req.files)
+const imageUpload = (field, maxCount = 1) =>
+  maxCount === 1 ? upload.single(field) : upload.array(field, Math.min(maxCount, MAX_FILES));
+
+module.exports = { imageUpload, MAX_BYTES, MAX_FILES };
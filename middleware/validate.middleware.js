@@ -0,0 +1,254 @@
+// Declarative request validation.
+//
+//   const { validate, v } = require("../middleware/validate.middleware");
+//
+//   router.post("/", validate({
+//     params: { id: v.objectId().required() },
+//     body: { price: v.number().min(0).required(), tags: v.array(v.string()) },
+//   }), handler);
+//
+// `body`, `params` and `query` are shapes (field -> rule). Values are coerced
+// (numeric strings -> numbers, "true" -> true, ...) and the cleaned objects
+// replace req.body / req.params / req.query. Fields not in the shape are
+// rejected, and a location without a shape (body, query) must be empty.
+// Failures go to the error handler as a ValidationError (400, code "VALIDATION_ERROR",
+// errors: [{ location, field, code, message }]).
+
+const { ValidationError } = require("../error-handling/errors");
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const HTTP_URL = /^(https?:\/\/)[^\s]+$/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+class Rule {
+  constructor(type, coerce) {
+    this.type = type;
+    this.coerce = coerce;
+    this.checks = [];
+    this.isRequired = false;
+    this.isNullable = false;
+    this.defaultValue = undefined;
+  }
+
+  required() {
+    this.isRequired = true;
+    return this;
+  }
+
+  nullable() {
+    this.isNullable = true;
+    return this;
+  }
+
+  default(value) {
+    this.defaultValue = value;
+    return this;
+  }
+
+  // custom check: fn(value) returns true when valid
+  check(fn, code, message) {
+    this.checks.push({ fn, code, message });
+    return this;
+  }
+
+  // string length, number value or array length, depending on the type
+  min(n) {
+    const measure = this.type === "number" ? "" : " characters";
+    return this.check(
+      (value) => (typeof value === "number" ? value : value.length) >= n,
+      "too_small",
+      this.type === "array" ? `must have at least ${n} item(s)` : `must be at least ${n}${measure}`
+    );
+  }
+
+  max(n) {
+    const measure = this.type === "number" ? "" : " characters";
+    return this.check(
+      (value) => (typeof value === "number" ? value : value.length) <= n,
+      "too_big",
+      this.type === "array" ? `must have at most ${n} item(s)` : `must be at most ${n}${measure}`
+    );
+  }
+
+  pattern(regex, message = "has an invalid format") {
+    return this.check((value) => regex.test(value), "invalid_format", message);
+  }
+
+  /**
+   * Validates `value` at `path`, pushing problems into `errors`.
+   * Returns the cleaned value (undefined when absent).
+   */
+  run(value, path, errors, location) {
+    const fail = (code, message) => errors.push({ location, field: path, code, message: `${path} ${message}` });
+
+    if (value === undefined || (value === "" && this.type !== "string")) {
+      if (this.defaultValue !== undefined) return this.defaultValue;
+      if (this.isRequired) fail("required", "is required");
+      return undefined;
+    }
+    if (value === null) {
+      if (this.isNullable) return null;
+      fail("invalid_type", `must be a${this.type === "array" || this.type === "object" ? "n" : ""} ${this.type}`);
+      return undefined;
+    }
+
+    const result = this.coerce(value, path, errors, location);
+    // nested rules (array items, object fields) already recorded their own errors
+    if (result.invalid) return undefined;
+    if (result.error) {
+      fail(result.code || "invalid_type", result.error);
+      return undefined;
+    }
+
+    if (this.isRequired && this.type === "string" && result.value === "") {
+      fail("required", "cannot be empty");
+      return undefined;
+    }
+
+    for (const { fn, code, message } of this.checks) {
+      if (!fn(result.value)) {
+        fail(code, message);
+        return undefined;
+      }
+    }
+    return result.value;
+  }
+}
+
+// Parses `input` against a shape; unknown keys are errors
+function runShape(shape, input, pathPrefix, errors, location) {
+  const source = input === undefined || input === null ? {} : input;
+  if (!isPlainObject(source)) {
+    errors.push({ location, field: pathPrefix || location, code: "invalid_type", message: `${pathPrefix || location} must be an object` });
+    return undefined;
+  }
+
+  const out = {};
+  for (const key of Object.keys(source)) {
+    if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+      const field = pathPrefix ? `${pathPrefix}.${key}` : key;
+      errors.push({ location, field, code: "unknown_field", message: `${field} is not allowed` });
+    }
+  }
+  for (const [key, rule] of Object.entries(shape)) {
+    const field = pathPrefix ? `${pathPrefix}.${key}` : key;
+    const value = rule.run(source[key], field, errors, location);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+const v = {
+  // trimmed unless { trim: false } (passwords keep their spaces)
+  string: ({ trim = true } = {}) =>
+    new Rule("string", (value) =>
+      typeof value === "string" ? { value: trim ? value.trim() : value } : { error: "must be a string" }
+    ),
+
+  number: () =>
+    new Rule("number", (value) => {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return typeof num === "number" && Number.isFinite(num) ? { value: num } : { error: "must be a number" };
+    }),
+
+  integer: () =>
+    new Rule("number", (value) => {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return Number.isInteger(num) ? { value: num } : { error: "must be an integer" };
+    }),
+
+  boolean: () =>
+    new Rule("boolean", (value) => {
+      if (typeof value === "boolean") return { value };
+      if (value === "true" || value === "false") return { value: value === "true" };
+      return { error: "must be true or false" };
+    }),
+
+  objectId: () =>
+    new Rule("string", (value) =>
+      typeof value === "string" && OBJECT_ID.test(value)
+        ? { value }
+        : { error: "must be a valid id", code: "invalid_id" }
+    ),
+
+  enum: (values) =>
+    new Rule("string", (value) =>
+      values.includes(value) ? { value } : { error: `must be one of: ${values.join(", ")}`, code: "invalid_enum" }
+    ),
+
+  email: () =>
+    new Rule("string", (value) =>
+      typeof value === "string" && EMAIL.test(value.trim())
+        ? { value: value.trim().toLowerCase() }
+        : { error: "must be a valid email address", code: "invalid_format" }
+    ),
+
+  url: () =>
+    new Rule("string", (value) =>
+      typeof value === "string" && (value.trim() === "" || HTTP_URL.test(value.trim()))
+        ? { value: value.trim() }
+        : { error: "must be a valid http(s) URL", code: "invalid_format" }
+    ),
+
+  // ISO 8601 date or date-time string (or a Date) -> Date
+  date: () =>
+    new Rule("date", (value) => {
+      const date = value instanceof Date ? value : typeof value === "string" ? new Date(value.trim()) : null;
+      return date && !Number.isNaN(date.getTime()) ? { value: date } : { error: "must be a valid date" };
+    }),
+
+  // In the query string an array can also be given comma separated (?tags=a,b)
+  array: (itemRule) =>
+    new Rule("array", (value, path, errors, location) => {
+      const list = typeof value === "string" ? value.split(",").filter(Boolean) : value;
+      if (!Array.isArray(list)) return { error: "must be an array" };
+      const before = errors.length;
+      const items = list.map((item, i) => itemRule.run(item, `${path}[${i}]`, errors, location));
+      return errors.length > before ? { invalid: true } : { value: items };
+    }),
+
+  object: (shape) =>
+    new Rule("object", (value, path, errors, location) => {
+      if (!isPlainObject(value)) return { error: "must be an object" };
+      const before = errors.length;
+      const out = runShape(shape, value, path, errors, location);
+      return errors.length > before ? { invalid: true } : { value: out };
+    }),
+};
+
+/**
+ * Builds the validation middleware for a route.
+ * schema: { body?, params?, query? } — each a shape of field -> rule.
+ */
+function validate(schema = {}) {
+  return (req, res, next) => {
+    const errors = [];
+
+    const body = runShape(schema.body || {}, req.body, "", errors, "body");
+    const query = runShape(schema.query || {}, req.query, "", errors, "query");
+    const params = schema.params ? runShape(schema.params, req.params, "", errors, "params") : req.params;
+
+    if (errors.length) return next(new ValidationError(errors));
+
+    req.body = body;
+    req.params = params;
+    // req.query is a getter in Express 5, so shadow it with the cleaned value
+    Object.defineProperty(req, "query", { value: query, writable: true, configurable: true, enumerable: true });
+    next();
+  };
+}
+
+/**
+ * Checks a plain object against a shape outside of a request (rows of an
+ * import file, ...). Returns { value, errors } with the same error entries.
+ */
+function checkShape(shape, input, location = "body") {
+  const errors = [];
+  const value = runShape(shape, input, "", errors, location);
+  return { value, errors };
+}
+
+module.exports = { validate, checkShape, v };
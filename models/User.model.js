@@ -1,5 +1,27 @@
 const { Schema, model } = require("mongoose");
 
+const ROLES = ["customer", "seller", "admin"];
+
+// Login lockout: after LOCK_THRESHOLD failures in a row the account is locked,
+// for LOCK_BASE_MS and then twice as long for every further failure (up to LOCK_MAX_MS)
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const LOCK_BASE_MS = Number(process.env.LOGIN_LOCK_BASE_MS) || 60 * 1000;
+const LOCK_MAX_MS = Number(process.env.LOGIN_LOCK_MAX_MS) || 60 * 60 * 1000;
+
+// Shipping address book entry
+const addressSchema = new Schema({
+  label: { type: String, trim: true, maxlength: 50 }, // e.g. "Home", "Work"
+  fullName: { type: String, required: true, trim: true },
+  line1: { type: String, required: true, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, trim: true },
+  postalCode: { type: String, required: true, trim: true },
+  country: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  isDefault: { type: Boolean, default: false },
+});
+
 // TODO: Please make sure you edit the User model to whatever makes sense in this case
 const userSchema = new Schema(
   {
@@ -18,6 +40,42 @@ const userSchema = new Schema(
       type: String,
       required: [true, "Name is required."],
     },
+    avatar: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (v) => !v || /^(https?:\/\/)[^\s]+$/i.test(v),
+        message: "avatar must be a valid http(s) URL",
+      },
+    },
+    addresses: {
+      type: [addressSchema],
+      validate: {
+        validator: (v) => v.length <= 10,
+        message: "You can save up to 10 addresses",
+      },
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "customer",
+    },
+    // set once the user follows the link from the verification email
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    // disabled accounts can't log in
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    // brute-force protection, see registerFailedLogin
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
   },
   {
     // this second object adds extra properties: `createdAt` and `updatedAt`
@@ -25,6 +83,29 @@ const userSchema = new Schema(
   }
 );
 
+userSchema.statics.ROLES = ROLES;
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Counts a failed login (atomically) and locks the account with backoff once over the threshold
+userSchema.statics.registerFailedLogin = async function (userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select("failedLoginAttempts");
+  if (!user || user.failedLoginAttempts < LOCK_THRESHOLD) return;
+
+  const lockMs = Math.min(LOCK_BASE_MS * 2 ** (user.failedLoginAttempts - LOCK_THRESHOLD), LOCK_MAX_MS);
+  await this.updateOne({ _id: userId }, { lockUntil: new Date(Date.now() + lockMs) });
+};
+
+userSchema.statics.clearFailedLogins = function (userId) {
+  return this.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+};
+
 const User = model("User", userSchema);
 
 module.exports = User;
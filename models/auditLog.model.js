@@ -0,0 +1,40 @@
+const { Schema, model } = require("mongoose");
+
+const AUDIT_ENTITIES = ["Product", "Review"];
+
+// create  — the document was created
+// update  — fields changed (see `changes`)
+// delete  — soft-deleted; restorable for a while
+// restore — brought back after a delete
+// purge   — removed for good (retention window over, or replaced)
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge"];
+
+const changeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// Audit trail: who created, changed or deleted what. Entries are never edited.
+const auditLogSchema = new Schema(
+  {
+    entity: { type: String, enum: AUDIT_ENTITIES, required: true },
+    entityId: { type: Schema.Types.ObjectId, required: true },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User" }, // unset for scripts and cascades by the system
+    changes: [changeSchema], // updates only
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ by: 1, createdAt: -1 });
+
+auditLogSchema.statics.ENTITIES = AUDIT_ENTITIES;
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = model("AuditLog", auditLogSchema);
@@ -0,0 +1,29 @@
+const { Schema, model } = require("mongoose");
+
+const cartItemSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    variant: { type: Schema.Types.ObjectId }, // a variant _id of the product, if it has variants
+    quantity: { type: Number, required: true, min: 1 },
+
+    // Snapshot taken when the line was added/updated, so the cart can tell
+    // the shopper that the price or availability moved in the meantime
+    priceAtAdd: { type: Number, required: true },
+    availableAtAdd: { type: Boolean, default: true },
+  },
+  { _id: false, timestamps: { createdAt: "addedAt", updatedAt: "updatedAt" } }
+);
+
+const cartSchema = new Schema(
+  {
+    // One cart per user
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    items: [cartItemSchema],
+
+    // Discount code the shopper entered; checked again every time the cart is priced
+    couponCode: { type: String, trim: true, uppercase: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = model("Cart", cartSchema);
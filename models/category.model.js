@@ -0,0 +1,55 @@
+const { Schema, model } = require("mongoose");
+const { invalidateProducts } = require("../utils/cache.utils");
+
+// "Face Care & Serums" -> "face-care-and-serums"
+function slugify(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Product category. Categories form a tree: `ancestors` lists the parents from
+// the root down, so a category's whole subtree is one query ({ ancestors: id }).
+const categorySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 1000 },
+
+    parent: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+    ancestors: { type: [{ type: Schema.Types.ObjectId, ref: "Category" }], index: true },
+
+    // Position among its siblings (lowest first), then by name
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+
+/** Ids of the given categories and of everything below them. */
+categorySchema.statics.subtreeIds = async function (ids) {
+  const roots = [].concat(ids);
+  if (roots.length === 0) return [];
+  const below = await this.find({ ancestors: { $in: roots } }).distinct("_id");
+  return [...roots, ...below];
+};
+
+// Products show their category's name, so cached catalog responses go stale
+categorySchema.post(["save", "deleteOne"], { document: true, query: false }, function () {
+  return invalidateProducts(null);
+});
+categorySchema.post(["updateOne", "updateMany", "findOneAndUpdate", "deleteMany"], { document: false, query: true }, function () {
+  return invalidateProducts(null);
+});
+categorySchema.post("bulkWrite", function () {
+  return invalidateProducts(null);
+});
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = model("Category", categorySchema);
@@ -0,0 +1,61 @@
+const { Schema, model } = require("mongoose");
+
+// percentage — `value` % off the eligible items
+// fixed      — `value` (currency units) off the eligible items, never more than they cost
+const COUPON_TYPES = ["percentage", "fixed"];
+
+// Discount code redeemed at checkout. Pricing: utils/pricing.utils.js
+const couponSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true, maxlength: 40 },
+    description: { type: String, trim: true, maxlength: 500 },
+
+    type: { type: String, enum: COUPON_TYPES, required: true },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (v) {
+          return this.type !== "percentage" || v <= 100;
+        },
+        message: "A percentage coupon can't take off more than 100%",
+      },
+    },
+
+    // Spend on eligible items (after product discounts) needed to use the code
+    minSpend: { type: Number, min: 0, default: 0 },
+
+    // Valid from/until; either end can be open
+    startsAt: Date,
+    endsAt: Date,
+
+    usageLimit: { type: Number, min: 1 }, // total redemptions, unlimited when unset
+    perUserLimit: { type: Number, min: 1 }, // redemptions per customer, unlimited when unset
+    usedCount: { type: Number, min: 0, default: 0 },
+
+    // Restrictions — an empty list / no seller means every product qualifies
+    categories: [{ type: Schema.Types.ObjectId, ref: "Category" }], // subcategories included
+    seller: { type: Schema.Types.ObjectId, ref: "User", index: true }, // only this seller's products
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+// Whether `product` (needs category and owner) can be discounted by this coupon.
+// $locals.categoryIds holds `categories` plus their subcategories once
+// utils/coupon.utils.js has loaded them; without it only the listed ones match.
+couponSchema.methods.appliesTo = function (product) {
+  if (this.seller && !this.seller.equals(product.owner?._id || product.owner)) return false;
+
+  const categoryIds = this.$locals.categoryIds || this.categories;
+  const category = product.category?._id || product.category;
+  if (categoryIds.length > 0 && !categoryIds.some((id) => id.equals(category))) return false;
+  return true;
+};
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+module.exports = model("Coupon", couponSchema);
@@ -0,0 +1,23 @@
+const { Schema, model } = require("mongoose");
+
+// One use of a coupon by a customer, for one order (given back = deleted).
+// On a coupon with a perUserLimit each use takes one of the customer's
+// numbered slots (1..perUserLimit); the unique index lets only one checkout
+// have each slot, so concurrent checkouts can't go over the limit.
+const couponRedemptionSchema = new Schema(
+  {
+    coupon: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    slot: { type: Number, min: 1 },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = model("CouponRedemption", couponRedemptionSchema);
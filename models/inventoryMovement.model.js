@@ -0,0 +1,29 @@
+const { Schema, model } = require("mongoose");
+
+// Why stock moved:
+// restock     — seller added units
+// sale        — units taken by an order at checkout
+// cancellation — units put back when an order was cancelled
+// adjustment  — manual correction (count, damage, ...), either direction
+const MOVEMENT_TYPES = ["restock", "sale", "cancellation", "adjustment"];
+
+// Inventory ledger: one entry per stock change, never edited afterwards
+const inventoryMovementSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    variant: { type: Schema.Types.ObjectId }, // a variant _id of the product, if any
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    quantity: { type: Number, required: true }, // signed: + in, - out
+    stockAfter: Number, // stock of the product/variant right after the change
+    order: { type: Schema.Types.ObjectId, ref: "Order" },
+    by: { type: Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+
+inventoryMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = model("InventoryMovement", inventoryMovementSchema);
@@ -0,0 +1,25 @@
+const { Schema, model } = require("mongoose");
+
+// price-drop    — a product on the user's wishlist got cheaper
+// back-in-stock — a product on the user's wishlist can be bought again
+const NOTIFICATION_TYPES = ["price-drop", "back-in-stock"];
+
+// In-app notification for one user
+const notificationSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    product: { type: Schema.Types.ObjectId, ref: "Product" },
+    message: { type: String, required: true },
+    data: { type: Schema.Types.Mixed }, // type-specific details, e.g. { oldPrice, newPrice }
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = model("Notification", notificationSchema);
@@ -0,0 +1,138 @@
+const { Schema, model } = require("mongoose");
+
+const ORDER_STATUSES = ["pending", "paid", "shipped", "delivered", "cancelled", "refunded"];
+
+// Legal lifecycle moves: from -> [to]
+const TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+const orderItemSchema = new Schema({
+  product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+
+  // Product owner at checkout time — the seller who fulfils this line
+  seller: { type: Schema.Types.ObjectId, ref: "User", index: true },
+
+  // Snapshot of the product at checkout — later product edits don't change the order
+  title: { type: String, required: true },
+  variant: { type: Schema.Types.ObjectId }, // the product variant bought, if it has variants
+  variantLabel: String, // e.g. "Size: 50ml"
+  sku: String,
+  price: { type: Number, required: true },
+  discountPercentage: { type: Number, default: 0 },
+  couponDiscount: { type: Number, default: 0 }, // this line's share of the coupon discount
+
+  quantity: { type: Number, required: true, min: 1 },
+  lineTotal: { type: Number, required: true }, // after product and coupon discounts
+
+  // Fulfilment, filled in by the seller
+  shippedAt: Date,
+  trackingNumber: { type: String, trim: true },
+  carrier: { type: String, trim: true },
+});
+
+const couponSchema = new Schema(
+  {
+    couponId: { type: Schema.Types.ObjectId, ref: "Coupon" },
+    code: String,
+    discount: Number,
+  },
+  { _id: false }
+);
+
+const historySchema = new Schema(
+  {
+    from: { type: String, enum: ORDER_STATUSES },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: "User" },
+    note: String,
+  },
+  { _id: false }
+);
+
+const paymentSchema = new Schema(
+  {
+    provider: String,
+    intentId: { type: String, index: true },
+    status: { type: String, enum: ["requires_confirmation", "succeeded", "failed", "canceled", "refunded"] },
+    amount: Number, // smallest currency unit (cents)
+    currency: String,
+    paidAt: Date,
+    refundId: String,
+    refundedAt: Date,
+    // intents replaced by a retry after they failed or were canceled
+    previousIntentIds: { type: [String], index: true },
+    // payments that succeeded after the order no longer needed them, refunded right away
+    lateRefunds: [
+      {
+        _id: false,
+        intentId: String,
+        refundId: String,
+        amount: Number,
+        refundedAt: Date,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const orderSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "An order needs at least one item",
+      },
+    },
+    subtotal: { type: Number, required: true },
+    discountTotal: { type: Number, default: 0 }, // product discounts + coupon
+    total: { type: Number, required: true },
+
+    // Discount code used at checkout
+    coupon: couponSchema,
+
+    status: { type: String, enum: ORDER_STATUSES, default: "pending", index: true },
+    history: [historySchema],
+
+    payment: paymentSchema,
+  },
+  {
+    timestamps: true,
+    // two concurrent transitions on the same order -> the second save fails with a VersionError
+    optimisticConcurrency: true,
+  }
+);
+
+orderSchema.methods.canTransitionTo = function (to) {
+  return (TRANSITIONS[this.status] || []).includes(to);
+};
+
+// Moves the order to `to` and logs it. Callers check canTransitionTo first.
+orderSchema.methods.transitionTo = function (to, { by, note } = {}) {
+  if (!this.canTransitionTo(to)) {
+    throw new Error(`Illegal order transition ${this.status} -> ${to}`);
+  }
+  this.history.push({ from: this.status, to, by, note });
+  this.status = to;
+  return this;
+};
+
+// Log the initial status when the order is first created
+orderSchema.pre("save", function () {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ to: this.status, by: this.user });
+  }
+});
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = model("Order", orderSchema);
@@ -0,0 +1,17 @@
+const { Schema, model } = require("mongoose");
+
+// Webhook events already processed. The unique index is the idempotency
+// guard: a callback delivered twice fails to insert the second time.
+const paymentEventSchema = new Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: String,
+    intentId: String,
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = model("PaymentEvent", paymentEventSchema);
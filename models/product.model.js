@@ -1,4 +1,21 @@
 const { Schema, model } = require("mongoose");
+const softDelete = require("./softDelete.plugin");
+const { invalidateProducts, filteredIds } = require("../utils/cache.utils");
+
+// availabilityStatus values (same wording as the seed feed)
+const AVAILABILITY = ["In Stock", "Low Stock", "Out of Stock"];
+
+// At or below this many units a product is "Low Stock" (per product: lowStockThreshold)
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// One sellable version of a product, e.g. { Size: "50ml" }
+const variantSchema = new Schema({
+  options: { type: Map, of: String, required: true },
+  sku: { type: String, trim: true },
+  barcode: { type: String, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  stock: { type: Number, default: 0, min: 0 },
+});
 
 const productSchema = new Schema(
   {
@@ -7,8 +24,9 @@ const productSchema = new Schema(
     description: String,
     price: { type: Number, required: true },
     discountPercentage: Number,
-    rating: Number,
-    stock: Number,
+    rating: Number, // legacy seed value — real ratings are ratingAverage/ratingCount below
+    stock: Number, // with variants: the sum of the variants' stock
+    lowStockThreshold: { type: Number, min: 0 },
     tags: [String],
     brand: String,
     sku: String,
@@ -20,10 +38,11 @@ const productSchema = new Schema(
     },
     warrantyInformation: String,
     shippingInformation: String,
-    availabilityStatus: String,
+    availabilityStatus: { type: String, enum: AVAILABILITY }, // computed from stock, see below
+    // legacy embedded reviews from the seed feed; real reviews live in the Review collection
     reviews: [
       {
-        rating: Number,
+        rating: Number, // stars this seed reviewer gave (1-5); not counted in ratingAverage/ratingCount
         comment: String,
         date: Date,
         reviewerName: String,
@@ -40,14 +59,118 @@ const productSchema = new Schema(
     },
     images: [String],
     thumbnail: String,
-    category: { type: String, required: true },
+    // see models/category.model.js; ?category= also matches subcategories
+    category: { type: Schema.Types.ObjectId, ref: "Category", required: true, index: true },
+
+    // Sellable versions (size, color, ...) each with their own price and stock
+    variants: [variantSchema],
 
     // 👇 NEW: the user who created this product (required for ownership checks)
     owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Aggregated from the Review collection (kept in sync by review.model.js hooks)
+    ratingAverage: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+    ratingHistogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// deletedAt/deletedBy; deleted products are left out of queries (see the plugin)
+productSchema.plugin(softDelete);
+
+// for sort=top-rated and minRating
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
+// Status for a stock level (threshold: the product's own, or the default)
+function availabilityFor(stock, threshold = LOW_STOCK_THRESHOLD) {
+  if (!stock || stock <= 0) return "Out of Stock";
+  return stock <= threshold ? "Low Stock" : "In Stock";
+}
+
+// Keeps stock, price and availabilityStatus consistent with the variants
+// (pre-validate, so a legacy availabilityStatus is replaced before it's checked)
+productSchema.pre("validate", function () {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    // lists and price filters use the "from" price
+    this.price = Math.min(...this.variants.map((v) => v.price));
+  }
+  this.availabilityStatus = availabilityFor(this.stock, this.lowStockThreshold ?? LOW_STOCK_THRESHOLD);
+});
+
+/**
+ * Same as the hook above, in the database, for atomic updates ($inc on
+ * stock, $push/$pull on variants) that don't go through save.
+ */
+productSchema.statics.refreshStockStatus = function (productId) {
+  const hasVariants = { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] };
+  const stock = { $ifNull: ["$stock", 0] };
+
+  return this.updateOne({ _id: productId }, [
+    {
+      $set: {
+        stock: { $cond: [hasVariants, { $sum: "$variants.stock" }, stock] },
+        price: { $cond: [hasVariants, { $min: "$variants.price" }, "$price"] },
+      },
+    },
+    {
+      $set: {
+        availabilityStatus: {
+          $switch: {
+            branches: [
+              { case: { $lte: [stock, 0] }, then: "Out of Stock" },
+              {
+                case: { $lte: [stock, { $ifNull: ["$lowStockThreshold", LOW_STOCK_THRESHOLD] }] },
+                then: "Low Stock",
+              },
+            ],
+            default: "In Stock",
+          },
+        },
+      },
+    },
+  ]);
+};
+
+// Cached catalog responses (utils/cache.utils.js) are dropped after every
+// write. Review writes land here too, through syncProductRating.
+productSchema.post(["save", "deleteOne"], { document: true, query: false }, function (doc) {
+  return invalidateProducts([doc._id]);
+});
+productSchema.post(
+  ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany"],
+  { document: false, query: true },
+  function () {
+    return invalidateProducts(filteredIds(this.getFilter()));
+  }
+);
+productSchema.post("insertMany", function () {
+  return invalidateProducts([]); // new products: only the lists change
+});
+productSchema.post("bulkWrite", function () {
+  return invalidateProducts(null);
+});
+// a bulkWrite with failed rows may still have written the others
+productSchema.post("bulkWrite", function (err, res, next) {
+  invalidateProducts(null).then(() => next(err));
+});
+
+productSchema.statics.AVAILABILITY = AVAILABILITY;
+productSchema.statics.availabilityFor = availabilityFor;
+
+// Full-text search (?q=, /products/search); a title hit counts most
+productSchema.index(
+  { title: "text", brand: "text", tags: "text", description: "text" },
+  { name: "product_text", weights: { title: 10, brand: 5, tags: 3, description: 1 } }
+);
+
 module.exports = model("Product", productSchema);
\ No newline at end of file
@@ -1,5 +1,39 @@
 // models/Review.model.js
-const { Schema, model } = require("mongoose");
+const { Schema, model, Types } = require("mongoose");
+const softDelete = require("./softDelete.plugin");
+
+const REVIEW_STATUSES = ["published", "flagged", "hidden"];
+const REPORT_REASONS = ["spam", "offensive", "off-topic", "fake", "other"];
+
+const reportSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Last moderation decision
+const moderationSchema = new Schema(
+  {
+    action: { type: String, enum: ["approve", "hide"], required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 500 },
+    reports: Number, // how many open reports were settled by the decision
+  },
+  { _id: false }
+);
+
+const replySchema = new Schema(
+  {
+    text: { type: String, trim: true, required: true, maxlength: 1000 },
+    author: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { _id: false, timestamps: true }
+);
 
 const reviewSchema = new Schema(
   {
@@ -23,13 +57,139 @@ const reviewSchema = new Schema(
 
     // Reviewer MUST be an authenticated user now
     author:  { type: Schema.Types.ObjectId, ref: "User", required: [true, "Author is required."] },
+
+    // The author had a paid order with this product when the review was written or edited
+    verifiedPurchase: { type: Boolean, default: false },
+
+    // Moderation: reported reviews are "flagged" until an admin approves or hides them.
+    // Hidden reviews are left out of the product's list and rating.
+    status: { type: String, enum: REVIEW_STATUSES, default: "published", index: true },
+    // open reports; reporters aren't shown publicly
+    reports: { type: [reportSchema], select: false },
+    reportCount: { type: Number, default: 0 },
+    moderation: moderationSchema,
+
+    // Helpfulness votes (one per user, see reviewVote.model.js)
+    helpfulCount: { type: Number, default: 0 },
+    unhelpfulCount: { type: Number, default: 0 },
+
+    // The seller's public answer
+    reply: replySchema,
+
+    // Set when the review was deleted along with its product (restored with it)
+    deletedWith: { type: Schema.Types.ObjectId, ref: "Product" },
   },
   { timestamps: true }
 );
 
-// Exactly one review per user per product
+// deletedAt/deletedBy; deleted reviews are left out of queries (see the plugin)
+reviewSchema.plugin(softDelete);
+
+// Exactly one review per user per product (a deleted one included, until it's purged)
 reviewSchema.index({ product: 1, author: 1 }, { unique: true });
+// ?sort=helpful on a product's reviews
+reviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
 
 // No guest reviews allowed anymore — remove guest/origin fields and related indexes/hooks
 
+// Reviews that count for the product (listed and rated); deleted ones are
+// already left out by the soft-delete plugin
+const VISIBLE = { status: { $ne: "hidden" } };
+
+// Star bucket (1-5) for the product's histogram; non-integer ratings are rounded
+const STAR_BUCKET = { $min: [5, { $max: [1, { $round: ["$rating", 0] }] }] };
+
+// Turns [{ _id: { product?, star }, count, sum }] rows into the Product rating fields
+function ratingFields(rows) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const row of rows) {
+    histogram[row._id.star] += row.count;
+    count += row.count;
+    sum += row.sum;
+  }
+  return {
+    ratingAverage: count ? Math.round((sum / count) * 100) / 100 : 0,
+    ratingCount: count,
+    ratingHistogram: histogram,
+  };
+}
+
+/**
+ * Recomputes ratingAverage, ratingCount and ratingHistogram for one product
+ * from its reviews. Reviews without a rating, hidden and deleted reviews don't count.
+ */
+reviewSchema.statics.syncProductRating = async function (productId) {
+  if (!productId) return;
+  const rows = await this.aggregate([
+    { $match: { product: new Types.ObjectId(String(productId)), rating: { $ne: null }, ...VISIBLE } },
+    { $group: { _id: { star: STAR_BUCKET }, count: { $sum: 1 }, sum: { $sum: "$rating" } } },
+  ]);
+  await model("Product").updateOne({ _id: productId }, { $set: ratingFields(rows) });
+};
+
+/**
+ * Recomputes the rating fields of every product (used by the one-off
+ * `npm run recompute-ratings` command). Returns how many products were updated.
+ */
+reviewSchema.statics.syncAllProductRatings = async function () {
+  const rows = await this.aggregate([
+    { $match: { rating: { $ne: null }, ...VISIBLE } },
+    {
+      $group: {
+        _id: { product: "$product", star: STAR_BUCKET },
+        count: { $sum: 1 },
+        sum: { $sum: "$rating" },
+      },
+    },
+  ]);
+
+  const byProduct = new Map();
+  for (const row of rows) {
+    const key = row._id.product.toString();
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(row);
+  }
+
+  const Product = model("Product");
+  const ops = [...byProduct].map(([productId, productRows]) => ({
+    updateOne: { filter: { _id: productId }, update: { $set: ratingFields(productRows) } },
+  }));
+  if (ops.length) await Product.bulkWrite(ops);
+
+  // products nobody rated go back to zero
+  const reset = await Product.updateMany(
+    { _id: { $nin: [...byProduct.keys()] } },
+    { $set: ratingFields([]) }
+  );
+
+  return ops.length + reset.modifiedCount;
+};
+
+// Keep the product's rating fields in step with every review write
+reviewSchema.post("save", function (doc) {
+  return doc.constructor.syncProductRating(doc.product);
+});
+reviewSchema.post(["findOneAndUpdate", "findOneAndDelete"], function (doc) {
+  if (doc) return this.model.syncProductRating(doc.product);
+});
+reviewSchema.post("deleteOne", { document: true, query: false }, function (doc) {
+  return doc.constructor.syncProductRating(doc.product);
+});
+
+/** True when `userId` has a paid (or later) order containing `productId`. */
+reviewSchema.statics.hasPurchased = async function (userId, productId) {
+  const found = await model("Order").exists({
+    user: userId,
+    "items.product": productId,
+    status: { $in: ["paid", "shipped", "delivered"] },
+  });
+  return Boolean(found);
+};
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+reviewSchema.statics.REPORT_REASONS = REPORT_REASONS;
+reviewSchema.statics.VISIBLE = VISIBLE;
+
 module.exports = model("Review", reviewSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { Schema, model, Types } = require("mongoose");
+
+const VOTE_VALUES = ["helpful", "unhelpful"];
+
+// One helpful/unhelpful vote per user per review. The review keeps the totals
+// (helpfulCount, unhelpfulCount) for sorting.
+const reviewVoteSchema = new Schema(
+  {
+    review: { type: Schema.Types.ObjectId, ref: "Review", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    value: { type: String, enum: VOTE_VALUES, required: true },
+  },
+  { timestamps: true }
+);
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+/**
+ * Recounts the votes of the given reviews and stores the totals on them.
+ * Returns the totals of the first review as { helpfulCount, unhelpfulCount }.
+ */
+reviewVoteSchema.statics.syncReviewCounts = async function (reviewIds) {
+  const ids = [].concat(reviewIds).map((id) => new Types.ObjectId(String(id)));
+  if (ids.length === 0) return null;
+
+  const rows = await this.aggregate([
+    { $match: { review: { $in: ids } } },
+    { $group: { _id: { review: "$review", value: "$value" }, count: { $sum: 1 } } },
+  ]);
+
+  const totals = new Map(ids.map((id) => [id.toString(), { helpfulCount: 0, unhelpfulCount: 0 }]));
+  for (const { _id, count } of rows) {
+    totals.get(_id.review.toString())[`${_id.value}Count`] = count;
+  }
+
+  // updateOne, not findOneAndUpdate: the counts don't change the product rating
+  await model("Review").bulkWrite(
+    [...totals].map(([id, counts]) => ({ updateOne: { filter: { _id: id }, update: { $set: counts } } }))
+  );
+  return totals.get(ids[0].toString());
+};
+
+reviewVoteSchema.statics.VALUES = VOTE_VALUES;
+
+module.exports = model("ReviewVote", reviewVoteSchema);
@@ -0,0 +1,23 @@
+const { Schema, model } = require("mongoose");
+
+// A login session = one refresh-token family. Each refresh rotates the token;
+// only its SHA-256 hash is stored. Presenting a token that was already
+// rotated out means it leaked, and the whole family is revoked.
+const sessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHashes: { type: [String], default: [] },
+    revokedAt: Date,
+    revokedReason: String,
+    lastUsedAt: Date,
+    userAgent: String,
+    ip: String,
+
+    // Mongo drops the session document once it expires
+    expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  },
+  { timestamps: true }
+);
+
+module.exports = model("Session", sessionSchema);
@@ -0,0 +1,70 @@
+// models/softDelete.plugin.js
+//
+// Soft deletion: a deleted document keeps living with `deletedAt` set, and
+// finds, counts, distincts and aggregations leave it out unless asked:
+//
+//   Product.find(filter)                         // live documents only
+//   Product.find(filter).withDeleted()           // live and deleted
+//   Product.find({ deletedAt: { $ne: null } })   // a filter on deletedAt is used as given
+//
+// updateOne/updateMany and deletes are not filtered, so a deleted document
+// can still be restored or purged.
+// Deleted documents are removed for good after RETENTION_DAYS
+// (scripts/purge-deleted.js); until then they can be restored.
+const { Schema } = require("mongoose");
+
+const RETENTION_DAYS = Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Last moment a document deleted at `deletedAt` can be restored
+const restorableUntil = (deletedAt) => new Date(deletedAt.getTime() + RETENTION_MS);
+
+const FILTERED_QUERIES = ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"];
+
+// A filter that says something about deletedAt (directly or in $and, as
+// paginated lists wrap it) is left as it is
+function mentionsDeletedAt(filter) {
+  return filter.deletedAt !== undefined || (filter.$and || []).some(mentionsDeletedAt);
+}
+
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  });
+
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this._withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  // $text and $geoNear must stay first, so merge into a leading $match instead of adding one
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first?.$geoNear) return;
+    if (first?.$match) {
+      if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, deletedAt: null };
+      return;
+    }
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  // Whether the document was deleted recently enough to be restored
+  schema.methods.isRestorable = function (now = Date.now()) {
+    return Boolean(this.deletedAt) && now <= restorableUntil(this.deletedAt).getTime();
+  };
+
+  // Deleted before this date = past the retention window
+  schema.statics.retentionCutoff = (now = Date.now()) => new Date(now - RETENTION_MS);
+}
+
+softDeletePlugin.RETENTION_DAYS = RETENTION_DAYS;
+softDeletePlugin.restorableUntil = restorableUntil;
+
+module.exports = softDeletePlugin;
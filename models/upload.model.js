@@ -0,0 +1,32 @@
+const { Schema, model } = require("mongoose");
+
+// One stored file in the two sizes the pipeline makes
+const fileSchema = new Schema(
+  {
+    key: { type: String, required: true }, // storage key, for deleting
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// An uploaded image and what it belongs to. Lets files be deleted from
+// storage once nothing references them any more.
+const uploadSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: ["product", "review"], required: true },
+    target: { type: Schema.Types.ObjectId, required: true }, // product or review _id
+    driver: { type: String, required: true }, // storage adapter the files are in
+    contentType: String, // sniffed type of the original
+    size: Number, // bytes of the original
+    full: { type: fileSchema, required: true },
+    thumbnail: { type: fileSchema, required: true },
+  },
+  { timestamps: true }
+);
+
+uploadSchema.index({ kind: 1, target: 1 });
+
+module.exports = model("Upload", uploadSchema);
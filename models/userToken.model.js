@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const { Schema, model } = require("mongoose");
+
+const TOKEN_TYPES = ["email-verification", "password-reset"];
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Single-use, expiring tokens sent by email. Only the hash is stored.
+const userTokenSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    type: { type: String, enum: TOKEN_TYPES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    usedAt: Date,
+
+    // Mongo drops expired tokens
+    expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Creates a token of `type` for the user and returns the raw value (to be
+ * emailed). Older unused tokens of the same type stop working.
+ */
+userTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  await this.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Marks the token used and returns it, or null if it is unknown, expired or
+ * already used. Atomic, so the same token can't be redeemed twice.
+ */
+userTokenSchema.statics.consume = function (token, type) {
+  if (typeof token !== "string" || !token) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = model("UserToken", userTokenSchema);
@@ -0,0 +1,25 @@
+const { Schema, model } = require("mongoose");
+
+const wishlistItemSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+
+    // Price when it was saved, so the list can show how much it moved since
+    priceAtAdd: { type: Number },
+  },
+  { _id: false, timestamps: { createdAt: "addedAt", updatedAt: false } }
+);
+
+const wishlistSchema = new Schema(
+  {
+    // One wishlist per user
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    items: [wishlistItemSchema],
+  },
+  { timestamps: true }
+);
+
+// Who is watching a product (price-drop / back-in-stock notifications)
+wishlistSchema.index({ "items.product": 1 });
+
+module.exports = model("Wishlist", wishlistSchema);
@@ -0,0 +1,62 @@
+// payments/index.js
+//
+// ℹ️ Payment provider registry. Routes never talk to a gateway directly —
+// they ask for the configured provider (PAYMENT_PROVIDER, "mock" by default)
+// and call the methods below. To add a real gateway, implement the same
+// interface and register it with `registerProvider`.
+
+/**
+ * @typedef {Object} PaymentIntent
+ * @property {string} id
+ * @property {"requires_confirmation"|"succeeded"|"failed"} status
+ * @property {number} amount       amount in the smallest currency unit (cents)
+ * @property {string} currency
+ * @property {string} [clientSecret]
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} PaymentEvent
+ * @property {string} id           unique per event — used as the idempotency key
+ * @property {"payment.succeeded"|"payment.failed"|"refund.succeeded"} type
+ * @property {string} intentId
+ * @property {string} [refundId]   refund events only
+ * @property {Object} [data]
+ */
+
+/**
+ * @typedef {Object} Refund
+ * @property {string} id
+ * @property {string} status       "succeeded" once the money is back with the buyer
+ * @property {number} amount       amount in the smallest currency unit (cents)
+ * @property {string} intentId     the payment it refunds
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name
+ * @property {(opts: { amount: number, currency: string, metadata?: Object, idempotencyKey?: string }) => Promise<PaymentIntent>} createPaymentIntent
+ * @property {(intentId: string, opts?: { paymentMethod?: string }) => Promise<PaymentIntent>} confirmPaymentIntent
+ * @property {(intentId: string) => Promise<PaymentIntent>} retrievePaymentIntent
+ * @property {(rawBody: Buffer, headers: Object) => PaymentEvent} constructWebhookEvent  throws when the signature doesn't check out
+ * @property {(intentId: string, opts?: { amount?: number, idempotencyKey?: string }) => Promise<Refund>} refund
+ * @property {(refundId: string) => Promise<Refund>} retrieveRefund
+ */
+
+const mockProvider = require("./mock.provider");
+
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+/** Registers (or replaces) a provider under its `name`. */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/** Returns the provider named by PAYMENT_PROVIDER (or `name`). */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || "mock") {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  return provider;
+}
+
+module.exports = { registerProvider, getPaymentProvider };
@@ -0,0 +1,130 @@
+// payments/mock.provider.js
+//
+// ℹ️ Offline gateway for local development and tests. Intents live in memory,
+// and webhooks are signed with HMAC-SHA256 over `${timestamp}.${rawBody}`
+// in an `x-mock-signature: t=<unix>,v1=<hex>` header (similar to Stripe).
+// Use `signPayload` to build a valid header when simulating a callback.
+//
+// Confirming with paymentMethod "pm_card_declined" makes the payment fail.
+//
+// PAYMENT_WEBHOOK_SECRET signs the webhooks. Only in development and tests
+// (NODE_ENV) does it default to a well-known value; anywhere else an unset
+// secret rejects every webhook, as anyone could sign with the default.
+
+const crypto = require("crypto");
+
+const SIGNATURE_HEADER = "x-mock-signature";
+const TOLERANCE_SECONDS = 5 * 60;
+
+const intents = new Map();
+const intentsByKey = new Map();
+const refunds = new Map(); // by idempotency key
+const refundsById = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+function webhookSecret() {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (["development", "test"].includes(process.env.NODE_ENV)) return "whsec_mock";
+  throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+}
+
+function findIntent(intentId) {
+  const intent = intents.get(intentId);
+  if (!intent) throw new Error(`No such payment intent: ${intentId}`);
+  return intent;
+}
+
+async function createPaymentIntent({ amount, currency, metadata = {}, idempotencyKey }) {
+  if (idempotencyKey && intentsByKey.has(idempotencyKey)) {
+    return { ...intentsByKey.get(idempotencyKey) };
+  }
+
+  const id = newId("pi");
+  const intent = {
+    id,
+    status: "requires_confirmation",
+    amount,
+    currency,
+    metadata,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+  };
+
+  intents.set(id, intent);
+  if (idempotencyKey) intentsByKey.set(idempotencyKey, intent);
+  return { ...intent };
+}
+
+async function confirmPaymentIntent(intentId, { paymentMethod } = {}) {
+  const intent = findIntent(intentId);
+  if (intent.status === "requires_confirmation") {
+    intent.status = paymentMethod === "pm_card_declined" ? "failed" : "succeeded";
+  }
+  return { ...intent };
+}
+
+async function retrievePaymentIntent(intentId) {
+  return { ...findIntent(intentId) };
+}
+
+async function refund(intentId, { amount, idempotencyKey } = {}) {
+  if (idempotencyKey && refunds.has(idempotencyKey)) return { ...refunds.get(idempotencyKey) };
+
+  const intent = findIntent(intentId);
+  if (intent.status !== "succeeded") {
+    throw new Error(`Payment intent ${intentId} has not succeeded`);
+  }
+
+  const result = { id: newId("re"), status: "succeeded", amount: amount ?? intent.amount, intentId };
+  refundsById.set(result.id, result);
+  if (idempotencyKey) refunds.set(idempotencyKey, result);
+  return { ...result };
+}
+
+async function retrieveRefund(refundId) {
+  const refund = refundsById.get(refundId);
+  if (!refund) throw new Error(`No such refund: ${refundId}`);
+  return { ...refund };
+}
+
+/** Builds the signature header value for a raw webhook body. */
+function signPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac("sha256", webhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function constructWebhookEvent(rawBody, headers) {
+  const header = headers[SIGNATURE_HEADER];
+  if (!rawBody || !header) throw new Error("Missing webhook signature");
+
+  const parts = Object.fromEntries(header.split(",").map((p) => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    throw new Error("Webhook timestamp outside tolerance");
+  }
+
+  const expected = Buffer.from(signPayload(rawBody.toString("utf8"), timestamp).split("v1=")[1], "hex");
+  const received = Buffer.from(parts.v1 || "", "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString("utf8"));
+  if (!event.id || !event.type || !event.intentId) throw new Error("Malformed webhook event");
+  if (event.type.startsWith("refund.") && !event.refundId) throw new Error("Malformed webhook event");
+  return event;
+}
+
+module.exports = {
+  name: "mock",
+  createPaymentIntent,
+  confirmPaymentIntent,
+  retrievePaymentIntent,
+  constructWebhookEvent,
+  refund,
+  retrieveRefund,
+  signPayload,
+};
@@ -0,0 +1,159 @@
+// payments/payment.service.js
+//
+// ℹ️ Glue between orders and the payment provider. The order only becomes
+// "paid" from what the provider reports (confirm response or signed
+// webhook), never from what the client says.
+
+const Order = require("../models/order.model");
+const { getPaymentProvider } = require("./index");
+const { releaseOrder } = require("../utils/checkout.utils");
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || "usd";
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Intents that can't be paid anymore; a retry needs a new one
+const DEAD_INTENT_STATUSES = ["failed", "canceled"];
+
+/**
+ * Creates the order's payment intent, or returns the existing one.
+ * The order id doubles as the idempotency key, so retries don't create
+ * a second intent at the gateway. An intent that failed or was canceled is
+ * replaced by a new one (keyed on the intent it replaces), and kept in
+ * payment.previousIntentIds.
+ */
+async function startPayment(order) {
+  const provider = getPaymentProvider(order.payment?.provider);
+
+  let previous;
+  if (order.payment?.intentId) {
+    previous = await provider.retrievePaymentIntent(order.payment.intentId);
+    if (!DEAD_INTENT_STATUSES.includes(previous.status)) return previous;
+  }
+
+  const intent = await provider.createPaymentIntent({
+    amount: toCents(order.total),
+    currency: CURRENCY,
+    metadata: { orderId: order._id.toString() },
+    idempotencyKey: previous ? `order-${order._id}-after-${previous.id}` : `order-${order._id}`,
+  });
+
+  order.payment = {
+    provider: provider.name,
+    intentId: intent.id,
+    status: intent.status,
+    amount: intent.amount,
+    currency: intent.currency,
+    previousIntentIds: previous ? [...order.payment.previousIntentIds, previous.id] : [],
+  };
+  await order.save();
+
+  return intent;
+}
+
+// Refunds a payment the order didn't need (it was cancelled, or already paid
+// through another intent) and records it in payment.lateRefunds
+async function refundLatePayment(order, intent) {
+  if (order.payment.lateRefunds.some((r) => r.intentId === intent.id)) return order;
+
+  const provider = getPaymentProvider(order.payment.provider);
+  const refund = await provider.refund(intent.id, { idempotencyKey: `refund-${intent.id}` });
+
+  order.payment.lateRefunds.push({
+    intentId: intent.id,
+    refundId: refund.id,
+    amount: refund.amount,
+    refundedAt: new Date(),
+  });
+  await order.save();
+  return order;
+}
+
+/**
+ * Applies a provider-reported intent to its order. Safe to call more than
+ * once for the same intent. A success for an order that no longer waits for
+ * it (cancelled meanwhile, or paid through another intent) is refunded;
+ * anything else for an order that isn't pending is left alone.
+ * Returns the order (or null when no order uses this intent).
+ */
+async function applyPaymentResult(intent, { by, note } = {}) {
+  const order = await Order.findOne({
+    $or: [{ "payment.intentId": intent.id }, { "payment.previousIntentIds": intent.id }],
+  });
+  if (!order) return null;
+
+  const isCurrent = order.payment.intentId === intent.id;
+  if (order.status !== "pending") {
+    const alreadyApplied = isCurrent && ["succeeded", "refunded"].includes(order.payment.status);
+    if (intent.status === "succeeded" && !alreadyApplied) return refundLatePayment(order, intent);
+    return order;
+  }
+
+  if (intent.status === "succeeded") {
+    if (intent.amount !== toCents(order.total)) {
+      throw new Error(`Paid amount ${intent.amount} does not match order ${order._id}`);
+    }
+    // an earlier intent went through after all: it pays the order, and the current one is retired
+    if (!isCurrent) {
+      order.payment.previousIntentIds = order.payment.previousIntentIds
+        .filter((id) => id !== intent.id)
+        .concat(order.payment.intentId);
+      order.payment.intentId = intent.id;
+    }
+    order.payment.status = "succeeded";
+    order.payment.paidAt = new Date();
+    order.transitionTo("paid", { by, note: note || `Payment ${intent.id}` });
+  } else if (isCurrent && DEAD_INTENT_STATUSES.includes(intent.status)) {
+    order.payment.status = intent.status;
+  } else {
+    return order;
+  }
+
+  await order.save();
+  return order;
+}
+
+/**
+ * Refunds the order's payment at the provider and records it on the order.
+ * Does not save or change the order status — the caller decides which
+ * transition (cancelled or refunded) goes with it.
+ */
+async function refundPayment(order) {
+  const { payment } = order;
+  if (!payment?.intentId || payment.status !== "succeeded") return null;
+
+  const provider = getPaymentProvider(payment.provider);
+  const refund = await provider.refund(payment.intentId, {
+    idempotencyKey: `refund-${order._id}`,
+  });
+
+  payment.status = "refunded";
+  payment.refundId = refund.id;
+  payment.refundedAt = new Date();
+  return refund;
+}
+
+/**
+ * Applies a provider-reported refund (fetched from the provider, not taken
+ * from a webhook body) to the order it pays back: the order becomes
+ * "refunded" and gives back its coupon use, and its stock unless it had
+ * already shipped. Refunds the app started itself (cancel, late payments)
+ * are already recorded and left alone. Returns the order, or null.
+ */
+async function applyRefund(refund, { note } = {}) {
+  if (refund.status !== "succeeded") return null;
+  const order = await Order.findOne({ "payment.intentId": refund.intentId });
+  if (!order || order.payment.status === "refunded" || !order.canTransitionTo("refunded")) return order;
+
+  const shipped = order.status !== "paid";
+  order.payment.status = "refunded";
+  order.payment.refundId = refund.id;
+  order.payment.refundedAt = new Date();
+  order.transitionTo("refunded", { note: note || `Refund ${refund.id}` });
+  await order.save();
+
+  await releaseOrder(order, { note: "Refunded", restock: !shipped });
+  return order;
+}
+
+module.exports = { startPayment, applyPaymentResult, refundPayment, applyRefund };
@@ -0,0 +1,221 @@
+// routes/admin.routes.js
+const router = require("express").Router();
+const User = require("../models/User.model");
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const AuditLog = require("../models/auditLog.model");
+const { isAuthenticated, authorize } = require("../middleware/jwt.middleware");
+const { BadRequestError, NotFoundError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const { revokeUserSessions } = require("../utils/session.utils");
+const { escapeRegex } = require("../utils/regex.utils");
+const { deleteProduct, deleteReview } = require("../utils/deletion.utils");
+const { diffFields, audit } = require("../utils/audit.utils");
+const { checkIfMatch } = require("../utils/etag.utils");
+const { cacheStats } = require("../utils/cache.utils");
+const { paginate } = require("../utils/pagination.utils");
+const schemas = require("../validation/admin.schemas");
+
+// Everything in here is admin-only
+router.use(isAuthenticated, authorize("admin"));
+
+/**
+ * GET /admin/users
+ * Admin — list users (never the password hash)
+ * ?role=seller&disabled=true&q=jane
+ */
+router.get("/users", validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const { role, disabled, q } = req.query;
+    const filter = {};
+
+    if (role) filter.role = role;
+    if (disabled !== undefined) filter.disabled = disabled;
+    if (q) {
+      // escape so the search text can't be used as a regex
+      const safe = escapeRegex(q);
+      filter.$or = [
+        { name: { $regex: safe, $options: "i" } },
+        { email: { $regex: safe, $options: "i" } },
+      ];
+    }
+
+    const users = await User.find(filter).select("-password").sort({ createdAt: -1 }).lean();
+    res.json(users);
+  } catch (err) { next(err); }
+});
+
+// Shared by the user-update routes: refuses to act on yourself
+function checkTargetUser(req) {
+  if (req.params.id === req.payload._id) {
+    throw new BadRequestError("Admins cannot change their own account here");
+  }
+}
+
+/**
+ * PATCH /admin/users/:id/disabled
+ * Admin — disable or re-enable a user. Disabling also logs them out everywhere.
+ * body: { disabled: true|false }
+ */
+router.patch("/users/:id/disabled", validate(schemas.setDisabled), async (req, res, next) => {
+  try {
+    checkTargetUser(req);
+
+    const { disabled } = req.body;
+
+    const user = await User.findByIdAndUpdate(req.params.id, { disabled }, { new: true }).select("-password");
+    if (!user) throw new NotFoundError("User not found");
+
+    if (disabled) await revokeUserSessions(user._id, "account disabled");
+    res.json(user);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /admin/users/:id/role
+ * Admin — change a user's role. A change logs them out everywhere, as their
+ * tokens still carry the old role.
+ * body: { role: "customer"|"seller"|"admin" }
+ */
+router.patch("/users/:id/role", validate(schemas.setRole), async (req, res, next) => {
+  try {
+    checkTargetUser(req);
+
+    const { role } = req.body;
+
+    // only matches when the role really changes
+    const user = await User.findOneAndUpdate({ _id: req.params.id, role: { $ne: role } }, { role }, { new: true })
+      .select("-password");
+    if (user) {
+      await revokeUserSessions(user._id, "role changed");
+      return res.json(user);
+    }
+
+    const unchanged = await User.findById(req.params.id).select("-password");
+    if (!unchanged) throw new NotFoundError("User not found");
+    res.json(unchanged);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /admin/products/:id
+ * Admin — delete any product (soft delete, with its reviews; see POST /products/:id/restore).
+ * Honours If-Match.
+ */
+router.delete("/products/:id", validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findById(id).select("updatedAt");
+    if (!product) throw new NotFoundError("Product not found");
+    checkIfMatch(req, product, "product");
+    const result = await deleteProduct(product._id, req.payload._id);
+    res.json({ message: "Product deleted", ...result });
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /admin/reviews/:reviewId
+ * Admin — delete any review (soft delete; see POST /reviews/:reviewId/restore).
+ * Honours If-Match.
+ */
+router.delete("/reviews/:reviewId", validate(schemas.byReviewId), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+
+    const review = await Review.findById(reviewId).select("product updatedAt");
+    if (!review) throw new NotFoundError("Review not found");
+    checkIfMatch(req, review, "review");
+    const result = await deleteReview(review, req.payload._id);
+    res.json({ message: "Review deleted", ...result });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /admin/audit
+ * Admin — the audit trail of product and review writes, newest first.
+ * ?entity=Product|Review&entityId=&action=&by= plus page/limit/cursor/fields
+ */
+router.get("/audit", validate(schemas.auditLog), async (req, res, next) => {
+  try {
+    const filter = {};
+    for (const key of ["entity", "entityId", "action", "by"]) {
+      if (req.query[key] !== undefined) filter[key] = req.query[key];
+    }
+
+    const page = await paginate(AuditLog, req, {
+      filter,
+      sort: { createdAt: -1 },
+      populate: { path: "by", select: "name email" },
+    });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /admin/reviews/moderation
+ * Admin — the moderation queue: reported reviews, most reported first, with the reports.
+ * ?status=flagged|hidden (default flagged) plus page/limit/cursor/fields
+ */
+router.get("/reviews/moderation", validate(schemas.moderationQueue), async (req, res, next) => {
+  try {
+    const page = await paginate(Review, req, {
+      filter: { status: req.query.status },
+      sort: { reportCount: -1, createdAt: 1 },
+      select: "+reports",
+      populate: { path: "author", select: "name email" },
+    });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /admin/reviews/:reviewId/moderate
+ * Admin — decide on a review: "approve" publishes it again, "hide" takes it off the
+ * product page and out of its rating. Either way the open reports are settled.
+ * body: { action: "approve"|"hide", note? }
+ */
+router.post("/reviews/:reviewId/moderate", validate(schemas.moderate), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+    const { action, note } = req.body;
+
+    const current = await Review.findById(reviewId).select("reportCount status");
+    if (!current) throw new NotFoundError("Review not found");
+
+    // findOneAndUpdate, so the product's rating follows (hidden reviews don't count)
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId },
+      {
+        $set: {
+          status: action === "hide" ? "hidden" : "published",
+          reports: [],
+          reportCount: 0,
+          moderation: { action, by: req.payload._id, at: new Date(), note, reports: current.reportCount },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    await audit({
+      entity: "Review",
+      entityId: review._id,
+      action: "update",
+      by: req.payload._id,
+      changes: diffFields(current, review, ["status"]),
+      note,
+    });
+    res.json(review);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /admin/cache
+ * Admin — response cache counters since the server started:
+ * { driver, entries, hits, misses, hitRate, routes: { [name]: { hits, misses, hitRate } } }
+ */
+router.get("/cache", validate(), (req, res) => {
+  res.json(cacheStats());
+});
+
+module.exports = router;
@@ -7,124 +7,282 @@ const router = express.Router();
 // ℹ️ Handles password encryption
 const bcrypt = require("bcrypt");
 
-// ℹ️ Handles creation and verification of JSON Web Tokens
-const jwt = require("jsonwebtoken");
-
 // ℹ️ Require the User model to interact with the database
 const User = require("../models/User.model");
 
 // ℹ️ Require the authentication middleware to protect certain routes
 const { isAuthenticated } = require("../middleware/jwt.middleware.js");
 
-// How many rounds should bcrypt run the salt (default - 10 rounds)
-const saltRounds = 10;
+// ℹ️ Typed errors, answered by the central error handler
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../error-handling/errors");
+
+// ℹ️ Request validation (body shapes live in validation/auth.schemas.js)
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../validation/auth.schemas");
+
+// ℹ️ Sessions: short-lived access tokens + rotating refresh tokens in an httpOnly cookie
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  signAccessToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeUserSessions,
+} = require("../utils/session.utils");
+
+// ℹ️ Single-use email tokens (verification, password reset) and the mailer
+const UserToken = require("../models/userToken.model");
+const { sendMail } = require("../mailer");
+const { verificationEmail, passwordResetEmail } = require("../mailer/templates");
+
+// ℹ️ bcrypt settings shared with /users/me/password
+const { saltRounds, hashPassword } = require("../utils/password.utils");
+
+// Same message for every failed login
+const loginFailedMessage = "Invalid email or password.";
+
+// Compared against when the email is unknown, to keep timing the same
+const dummyHash = bcrypt.hashSync("not-the-password", saltRounds);
+
+// Token lifetimes
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TTL_MINUTES = 60;
+
+// Issues a verification token and emails it; a mail failure is logged, not thrown
+function sendVerificationEmail(user) {
+  return UserToken.issue(user._id, "email-verification", VERIFICATION_TTL_MS)
+    .then((token) => sendMail(verificationEmail(user, token)))
+    .catch((err) => console.error("Verification email to", user.email, "failed:", err.message));
+}
 
 /**
  * POST /auth/signup
- * Creates a new user in the database
+ * Creates a new user in the database and emails them a verification link
+ * `role` may be "customer" (default) or "seller"; admins are only made by other admins
  */
-router.post("/signup", (req, res, next) => {
-  const { email, password, name } = req.body;
-
-  // Check if email, password or name are empty
-  if (email === "" || password === "" || name === "") {
-    res.status(400).json({ message: "Provide email, password and name" });
-    return;
-  }
-
-  // Validate email format
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-  if (!emailRegex.test(email)) {
-    res.status(400).json({ message: "Provide a valid email address." });
-    return;
-  }
-
-  // Validate password complexity
-  const passwordRegex = /(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,}/;
-  if (!passwordRegex.test(password)) {
-    res.status(400).json({
-      message:
-        "Password must have at least 6 characters and contain at least one number, one lowercase and one uppercase letter.",
-    });
-    return;
-  }
+router.post("/signup", validate(schemas.signup), (req, res, next) => {
+  // email format, password complexity and role are checked by the schema
+  const { email, password, name, role } = req.body;
 
   // Check if the email already exists in the database
   User.findOne({ email })
     .then((foundUser) => {
-      if (foundUser) {
-        res.status(400).json({ message: "User already exists." });
-        return;
-      }
+      if (foundUser) throw new ConflictError("User already exists.", "EMAIL_TAKEN");
 
       // Hash the password before saving
       const salt = bcrypt.genSaltSync(saltRounds);
       const hashedPassword = bcrypt.hashSync(password, salt);
 
       // Create the new user
-      return User.create({ email, password: hashedPassword, name });
+      return User.create({ email, password: hashedPassword, name, role });
     })
     .then((createdUser) => {
-      const { email, name, _id } = createdUser;
+      const { email, name, role, verified, _id } = createdUser;
 
       // Return user data without password
-      res.status(201).json({ user: { email, name, _id } });
+      res.status(201).json({ user: { email, name, role, verified, _id } });
+
+      sendVerificationEmail(createdUser);
     })
     .catch((err) => next(err));
 });
 
 /**
  * POST /auth/login
- * Verifies email and password and returns a JWT
+ * Verifies email and password, returns a short-lived access token (JWT)
+ * and sets the refresh token cookie
  */
-router.post("/login", (req, res, next) => {
+router.post("/login", validate(schemas.login), (req, res, next) => {
   const { email, password } = req.body;
 
-  // Check for empty fields
-  if (email === "" || password === "") {
-    res.status(400).json({ message: "Provide email and password." });
-    return;
-  }
+  // One answer for unknown email, wrong password and locked account, so it
+  // can't be used to find out which accounts exist
+  const loginFailed = () => {
+    throw new UnauthorizedError(loginFailedMessage, "INVALID_CREDENTIALS");
+  };
 
   // Check if the user exists
-  User.findOne({ email })
+  User.findOne({ email: email.toLowerCase() })
     .then((foundUser) => {
       if (!foundUser) {
-        res.status(401).json({ message: "User not found." });
-        return;
+        // still run bcrypt so the response time doesn't give it away
+        bcrypt.compareSync(password, dummyHash);
+        loginFailed();
       }
 
+      if (foundUser.isLocked()) loginFailed();
+
       // Compare password with the hashed one
       const passwordCorrect = bcrypt.compareSync(password, foundUser.password);
 
-      if (passwordCorrect) {
-        const { _id, email, name } = foundUser;
+      if (!passwordCorrect) {
+        return User.registerFailedLogin(foundUser._id).then(loginFailed);
+      }
 
-        // Create JWT payload
-        const payload = { _id, email, name };
+      if (foundUser.disabled) {
+        throw new ForbiddenError("This account has been disabled.", "ACCOUNT_DISABLED");
+      }
 
-        // Sign token
-        const authToken = jwt.sign(payload, process.env.TOKEN_SECRET, {
-          algorithm: "HS256",
-          expiresIn: "6h",
-        });
+      const reset = foundUser.failedLoginAttempts > 0 ? User.clearFailedLogins(foundUser._id) : Promise.resolve();
 
-        res.status(200).json({ authToken });
-      } else {
-        res.status(401).json({ message: "Unable to authenticate the user" });
-      }
+      // Start a session: access token in the body, refresh token as a cookie
+      return reset
+        .then(() => createSession(foundUser, req))
+        .then(({ authToken, refreshToken }) => {
+          setRefreshCookie(res, refreshToken);
+          res.status(200).json({ authToken });
+        });
     })
     .catch((err) => next(err));
 });
 
+/**
+ * POST /auth/refresh
+ * Swaps the refresh token cookie for a new one and a new access token.
+ * Reusing an old refresh token revokes the whole session.
+ */
+router.post("/refresh", validate(), async (req, res, next) => {
+  try {
+    const { session, refreshToken, error } = await rotateSession(req.cookies[REFRESH_COOKIE]);
+    if (error) {
+      clearRefreshCookie(res);
+      throw new UnauthorizedError(error, "INVALID_REFRESH_TOKEN");
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.disabled) {
+      await revokeSession(session._id, "account disabled");
+      clearRefreshCookie(res);
+      throw new UnauthorizedError("Unable to authenticate the user", "INVALID_REFRESH_TOKEN");
+    }
+
+    setRefreshCookie(res, refreshToken);
+    res.status(200).json({ authToken: signAccessToken(user, session._id) });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /auth/logout
+ * Revokes the current session (its refresh token and access tokens) and clears the cookie
+ */
+router.post("/logout", validate(), async (req, res, next) => {
+  try {
+    await endSession(req.cookies[REFRESH_COOKIE]);
+
+    clearRefreshCookie(res);
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
 /**
  * GET /auth/verify
  * Verifies stored JWT and returns payload
  */
-router.get("/verify", isAuthenticated, (req, res, next) => {
+router.get("/verify", isAuthenticated, validate(), (req, res, next) => {
   console.log("req.payload", req.payload);
   res.status(200).json(req.payload);
 });
 
+/**
+ * POST /auth/verify-email
+ * Marks the user's email as verified using the token from the email
+ * body: { token }
+ */
+router.post("/verify-email", validate(schemas.token), (req, res, next) => {
+  UserToken.consume(req.body.token, "email-verification")
+    .then((userToken) => {
+      if (!userToken) {
+        throw new BadRequestError("Verification link is invalid or has expired.", "INVALID_TOKEN");
+      }
+
+      return User.findByIdAndUpdate(userToken.user, { verified: true }).then(() => {
+        res.status(200).json({ message: "Email verified." });
+      });
+    })
+    .catch((err) => next(err));
+});
+
+/**
+ * POST /auth/resend-verification
+ * Sends a fresh verification email to the logged-in user
+ */
+router.post("/resend-verification", isAuthenticated, validate(), (req, res, next) => {
+  User.findById(req.payload._id)
+    .then((user) => {
+      if (!user) throw new NotFoundError("User not found.");
+      if (user.verified) throw new BadRequestError("Email is already verified.", "ALREADY_VERIFIED");
+
+      return sendVerificationEmail(user).then(() => {
+        res.status(200).json({ message: "Verification email sent." });
+      });
+    })
+    .catch((err) => next(err));
+});
+
+/**
+ * POST /auth/forgot-password
+ * Emails a password reset link. Always answers the same way, so it can't
+ * be used to find out which emails have an account.
+ * body: { email }
+ */
+router.post("/forgot-password", validate(schemas.forgotPassword), (req, res, next) => {
+  const { email } = req.body;
+  const genericReply = () =>
+    res.status(200).json({ message: "If that email has an account, a reset link is on its way." });
+
+  User.findOne({ email })
+    .then((user) => {
+      if (!user || user.disabled) return;
+
+      // a mail failure must not change the answer either
+      return UserToken.issue(user._id, "password-reset", RESET_TTL_MINUTES * 60 * 1000)
+        .then((token) => sendMail(passwordResetEmail(user, token, RESET_TTL_MINUTES)))
+        .catch((err) => console.error("Reset email to", user.email, "failed:", err.message));
+    })
+    .then(genericReply)
+    .catch((err) => next(err));
+});
+
+/**
+ * POST /auth/reset-password
+ * Sets a new password using the token from the reset email, then logs the
+ * user out everywhere
+ * body: { token, password }
+ */
+router.post("/reset-password", validate(schemas.resetPassword), (req, res, next) => {
+  const { token, password } = req.body;
+
+  UserToken.consume(token, "password-reset")
+    .then((userToken) => {
+      if (!userToken) {
+        throw new BadRequestError("Reset link is invalid or has expired.", "INVALID_TOKEN");
+      }
+
+      const hashedPassword = hashPassword(password);
+
+      // the link came through their inbox, so the email is proven as well
+      return User.findByIdAndUpdate(userToken.user, {
+        password: hashedPassword,
+        verified: true,
+        failedLoginAttempts: 0,
+        $unset: { lockUntil: 1 },
+      })
+        .then(() => revokeUserSessions(userToken.user, "password reset"))
+        .then(() => {
+          res.status(200).json({ message: "Password updated. Please log in again." });
+        });
+    })
+    .catch((err) => next(err));
+});
+
 // ℹ️ Export the router so it can be mounted in app.js
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,205 @@
+// routes/cart.routes.js
+const router = require("express").Router();
+const Cart = require("../models/cart.model");
+const Product = require("../models/product.model");
+const { isAuthenticated } = require("../middleware/jwt.middleware");
+const { BadRequestError, HttpError, NotFoundError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const { validateQuantity, buildCartView } = require("../utils/cart.utils");
+const { findUsableCoupon } = require("../utils/coupon.utils");
+const schemas = require("../validation/cart.schemas");
+
+// Product fields needed to price and check a cart line
+const PRODUCT_FIELDS = "title thumbnail price discountPercentage stock minimumOrderQuantity category owner variants";
+
+// Same product and same variant (both without a variant counts as the same)
+const isLine = (item, productId, variantId) =>
+  item.product.toString() === productId && String(item.variant || "") === (variantId || "");
+
+// The variant a line is for; products with variants need one
+function pickVariant(product, variantId) {
+  if (product.variants.length === 0) {
+    if (variantId) throw new NotFoundError("This product has no options");
+    return null;
+  }
+  if (!variantId) throw new BadRequestError("Choose an option (variantId) for this product", "VARIANT_REQUIRED");
+  const variant = product.variants.id(variantId);
+  if (!variant) throw new NotFoundError("Option not found");
+  return variant;
+}
+
+// Every cart route belongs to the logged-in user
+router.use(isAuthenticated);
+
+// Loads the user's cart (populated) and sends it with live prices; a coupon
+// that can't be used (any more) stays on the cart and is reported as not applied
+async function sendCart(res, userId, status = 200) {
+  const cart = await Cart.findOne({ user: userId }).populate("items.product", PRODUCT_FIELDS);
+
+  let coupon = null;
+  let couponError = null;
+  if (cart?.couponCode) {
+    try {
+      coupon = await findUsableCoupon(cart.couponCode, userId);
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      couponError = err;
+    }
+  }
+
+  res.status(status).json(buildCartView(cart, { coupon, couponError }));
+}
+
+/**
+ * GET /cart
+ * Protected — current user's cart with live prices and change flags
+ */
+router.get("/", validate(), async (req, res, next) => {
+  try {
+    await sendCart(res, req.payload._id);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /cart/items
+ * Protected — add a product (or add to the quantity already in the cart)
+ * body: { productId, variantId?, quantity = 1 } (variantId is required for products with variants)
+ */
+router.post("/items", validate(schemas.addItem), async (req, res, next) => {
+  try {
+    const { productId, variantId, quantity } = req.body;
+
+    const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+    if (!product) throw new NotFoundError("Product not found");
+    const variant = pickVariant(product, variantId);
+    const price = variant ? variant.price : product.price;
+
+    const userId = req.payload._id;
+    const cart = (await Cart.findOne({ user: userId })) || new Cart({ user: userId, items: [] });
+
+    const line = cart.items.find((item) => isLine(item, productId, variantId));
+    const newQty = (line ? line.quantity : 0) + quantity;
+
+    const error = validateQuantity(product, newQty, variant);
+    if (error) throw new BadRequestError(error);
+
+    if (line) {
+      line.quantity = newQty;
+      line.priceAtAdd = price;
+      line.availableAtAdd = true;
+    } else {
+      cart.items.push({ product: productId, variant: variant?._id, quantity: newQty, priceAtAdd: price });
+    }
+
+    await cart.save();
+    await sendCart(res, userId, 201);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /cart/items/:productId
+ * Protected — set the quantity of a line (?variantId= for a product with variants)
+ * body: { quantity }
+ */
+router.patch("/items/:productId", validate(schemas.updateItem), async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    const userId = req.payload._id;
+    const cart = await Cart.findOne({ user: userId });
+    const line = cart?.items.find((item) => isLine(item, productId, variantId));
+    if (!line) throw new NotFoundError("Product is not in the cart");
+
+    const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+    if (!product) throw new NotFoundError("Product not found");
+    const variant = pickVariant(product, variantId);
+
+    const newQty = req.body.quantity;
+    const error = validateQuantity(product, newQty, variant);
+    if (error) throw new BadRequestError(error);
+
+    // the shopper has seen the current price now, so refresh the snapshot
+    line.quantity = newQty;
+    line.priceAtAdd = variant ? variant.price : product.price;
+    line.availableAtAdd = true;
+
+    await cart.save();
+    await sendCart(res, userId);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /cart/items/:productId
+ * Protected — remove a line (?variantId= for a product with variants)
+ */
+router.delete("/items/:productId", validate(schemas.removeItem), async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    // `variant: null` also matches lines saved without the field
+    const match = { product: productId, variant: variantId || null };
+
+    const userId = req.payload._id;
+    const result = await Cart.updateOne(
+      { user: userId, items: { $elemMatch: match } },
+      { $pull: { items: match } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new NotFoundError("Product is not in the cart");
+    }
+
+    await sendCart(res, userId);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PUT /cart/coupon
+ * Protected — apply a discount code to the cart (replaces any previous one).
+ * Refused when the code can't be used on the cart as it is now.
+ * body: { code }
+ */
+router.put("/coupon", validate(schemas.applyCoupon), async (req, res, next) => {
+  try {
+    const userId = req.payload._id;
+    const coupon = await findUsableCoupon(req.body.code, userId);
+
+    const cart = await Cart.findOne({ user: userId }).populate("items.product", PRODUCT_FIELDS);
+    if (!cart || cart.items.length === 0) throw new BadRequestError("Your cart is empty");
+
+    // price the cart with the code before keeping it (minimum spend, restrictions)
+    cart.couponCode = coupon.code;
+    const view = buildCartView(cart, { coupon });
+    if (!view.coupon.applied) throw new BadRequestError(view.coupon.message, view.coupon.reason);
+
+    await Cart.updateOne({ _id: cart._id }, { $set: { couponCode: coupon.code } });
+    res.json(view);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /cart/coupon
+ * Protected — remove the discount code
+ */
+router.delete("/coupon", validate(), async (req, res, next) => {
+  try {
+    const userId = req.payload._id;
+    await Cart.updateOne({ user: userId }, { $unset: { couponCode: 1 } });
+    await sendCart(res, userId);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /cart
+ * Protected — empty the cart
+ */
+router.delete("/", validate(), async (req, res, next) => {
+  try {
+    const userId = req.payload._id;
+    await Cart.updateOne({ user: userId }, { $set: { items: [] }, $unset: { couponCode: 1 } });
+    await sendCart(res, userId);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
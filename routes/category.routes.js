@@ -0,0 +1,145 @@
+// routes/category.routes.js
+// Product category tree. Anyone can read it; only admins change it.
+const router = require("express").Router();
+const Category = require("../models/category.model");
+const Product = require("../models/product.model");
+const Coupon = require("../models/coupon.model");
+const { isAuthenticated, authorize } = require("../middleware/jwt.middleware");
+const { BadRequestError, ConflictError, NotFoundError } = require("../error-handling/errors");
+const { writeLimiter } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { findCategory, resolveCategory, moveCategory, buildTree } = require("../utils/category.utils");
+const schemas = require("../validation/category.schemas");
+
+const isAdmin = [isAuthenticated, authorize("admin")];
+
+// Fields shown in the tree and next to a category
+const PUBLIC_FIELDS = "name slug description parent order";
+
+// Refuses a slug another category already has
+async function checkSlugIsFree(slug, exceptId) {
+  if (await Category.exists({ _id: { $ne: exceptId }, slug })) {
+    throw new ConflictError(`A category with slug "${slug}" already exists`, "CATEGORY_EXISTS");
+  }
+}
+
+/**
+ * GET /categories
+ * Public — the whole tree: [{ _id, name, slug, description, order, children: [...] }]
+ */
+router.get("/", validate(), async (req, res, next) => {
+  try {
+    const categories = await Category.find().select(PUBLIC_FIELDS).lean();
+    res.json(buildTree(categories));
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /categories/:category
+ * Public — one category by id or slug, with its path from the top (`ancestors`)
+ * and its direct subcategories (`children`)
+ */
+router.get("/:category", validate(schemas.show), async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.category);
+    if (!category) throw new NotFoundError("Category not found");
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select("name slug").lean(),
+      Category.find({ parent: category._id }).select(PUBLIC_FIELDS).sort({ order: 1, name: 1 }).lean(),
+    ]);
+    // keep the root-first order of category.ancestors
+    const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+
+    res.json({
+      ...category.toJSON(),
+      ancestors: category.ancestors.map((id) => byId.get(id.toString())).filter(Boolean),
+      children,
+    });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /categories
+ * Admin — create a category. The slug defaults to one made from the name.
+ * body: { name, slug?, description?, parent? (id, slug or name), order? }
+ */
+router.post("/", writeLimiter, ...isAdmin, validate(schemas.create), async (req, res, next) => {
+  try {
+    const { name, description, order } = req.body;
+    const slug = req.body.slug || Category.slugify(name);
+    if (!slug) throw new BadRequestError("Give the category a slug", "SLUG_REQUIRED");
+    await checkSlugIsFree(slug);
+
+    const parent = req.body.parent ? await resolveCategory(req.body.parent) : null;
+
+    const category = await Category.create({
+      name,
+      slug,
+      description,
+      order,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    });
+    res.status(201).json(category);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /categories/:id
+ * Admin — rename, re-slug, describe, reorder or move a category (parent: null
+ * moves it to the top level). Its subcategories and products move with it.
+ * Renaming keeps the slug unless a new one is given, so links keep working.
+ */
+router.patch("/:id", writeLimiter, ...isAdmin, validate(schemas.update), async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) throw new NotFoundError("Category not found");
+
+    const { parent, ...fields } = req.body;
+    if (Object.keys(req.body).length === 0) {
+      throw new BadRequestError("No changes provided");
+    }
+    if (fields.slug) await checkSlugIsFree(fields.slug, category._id);
+
+    category.set(fields);
+    if (parent !== undefined) {
+      // saves the category too
+      await moveCategory(category, parent === null ? null : await resolveCategory(parent));
+    } else {
+      await category.save();
+    }
+
+    res.json(category);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /categories/:id
+ * Admin — delete an unused category (no subcategories, products or coupons)
+ */
+router.delete("/:id", writeLimiter, ...isAdmin, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) throw new NotFoundError("Category not found");
+
+    if (await Category.exists({ parent: id })) {
+      throw new ConflictError("Move or delete its subcategories first", "CATEGORY_HAS_CHILDREN");
+    }
+    // deleted products count too: they can be restored
+    if (await Product.exists({ category: id }).withDeleted()) {
+      throw new ConflictError("Products still use this category", "CATEGORY_IN_USE");
+    }
+    // a coupon without categories applies to everything, so don't quietly widen one
+    if (await Coupon.exists({ categories: id })) {
+      throw new ConflictError("Coupons are still limited to this category", "CATEGORY_IN_USE");
+    }
+
+    await category.deleteOne();
+    res.json({ message: "Category deleted" });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// routes/coupon.routes.js
+// Discount codes. Admins manage every coupon (site-wide or tied to a seller);
+// sellers manage their own, which only ever apply to their own products.
+const router = require("express").Router();
+const Coupon = require("../models/coupon.model");
+const { isAuthenticated, authorize, isOwnerOrAdmin } = require("../middleware/jwt.middleware");
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../error-handling/errors");
+const { writeLimiter } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { resolveCategoryIds } = require("../utils/category.utils");
+const { paginate } = require("../utils/pagination.utils");
+const schemas = require("../validation/coupon.schemas");
+
+router.use(isAuthenticated, authorize("seller", "admin"));
+
+const isAdmin = (req) => req.payload.role === "admin";
+
+// Loads the coupon in :id if the current user may manage it
+async function findOwnCoupon(req) {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new NotFoundError("Coupon not found");
+
+  // site-wide coupons (no seller) are admin-only
+  if (!isOwnerOrAdmin(req, coupon.seller)) {
+    throw new ForbiddenError("Not allowed to manage this coupon");
+  }
+  return coupon;
+}
+
+// Refuses a code another coupon already has
+async function checkCodeIsFree(code, exceptId) {
+  if (await Coupon.exists({ _id: { $ne: exceptId }, code: code.toUpperCase() })) {
+    throw new ConflictError(`Coupon code ${code.toUpperCase()} already exists`, "COUPON_EXISTS");
+  }
+}
+
+// startsAt must come before endsAt
+function checkDates({ startsAt, endsAt }) {
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    throw new BadRequestError("endsAt must be after startsAt", "INVALID_DATE_RANGE");
+  }
+}
+
+/**
+ * GET /coupons
+ * Protected (seller/admin) — sellers see their own coupons, admins all of them
+ * ?active=true&seller=<id> (admins) plus page/limit/cursor/fields
+ */
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const { active, seller } = req.query;
+    const filter = {};
+
+    if (!isAdmin(req)) filter.seller = req.payload._id;
+    else if (seller) filter.seller = seller;
+    if (active !== undefined) filter.active = active;
+
+    const page = await paginate(Coupon, req, { filter, sort: { createdAt: -1 } });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /coupons
+ * Protected (seller/admin) — create a coupon. The code is stored upper-case.
+ * body: { code, type: "percentage"|"fixed", value, description?, minSpend?, startsAt?, endsAt?,
+ *         usageLimit?, perUserLimit?, categories? (ids, slugs or names), seller? (admins), active? }
+ */
+router.post("/", writeLimiter, validate(schemas.create), async (req, res, next) => {
+  try {
+    const fields = { ...req.body };
+
+    if (!isAdmin(req)) {
+      if (fields.seller && fields.seller !== req.payload._id) {
+        throw new ForbiddenError("Sellers can only create coupons for their own products");
+      }
+      fields.seller = req.payload._id;
+    }
+
+    checkDates(fields);
+    await checkCodeIsFree(fields.code);
+    if (fields.categories) fields.categories = await resolveCategoryIds(fields.categories);
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.payload._id });
+    res.status(201).json(coupon);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /coupons/:id
+ * Protected (owner/admin) — one coupon, with how often it was used
+ */
+router.get("/:id", validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json(await findOwnCoupon(req));
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /coupons/:id
+ * Protected (owner/admin) — edit a coupon; null clears a date or limit.
+ * Only admins can change `seller`. Orders already placed keep their discount.
+ */
+router.patch("/:id", writeLimiter, validate(schemas.update), async (req, res, next) => {
+  try {
+    const coupon = await findOwnCoupon(req);
+
+    if (Object.keys(req.body).length === 0) {
+      throw new BadRequestError("No changes provided");
+    }
+    if (req.body.seller !== undefined && !isAdmin(req)) {
+      throw new ForbiddenError("Only admins can change who a coupon belongs to");
+    }
+    if (req.body.code) await checkCodeIsFree(req.body.code, coupon._id);
+
+    const changes = { ...req.body };
+    if (changes.categories) changes.categories = await resolveCategoryIds(changes.categories);
+
+    coupon.set(changes);
+    checkDates(coupon);
+
+    // save() so the percentage cap is checked against the final type
+    await coupon.save();
+    res.json(coupon);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /coupons/:id
+ * Protected (owner/admin) — delete a coupon. Orders that used it keep its code
+ * and discount; to stop new uses but keep the record, PATCH { active: false }.
+ */
+router.delete("/:id", writeLimiter, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const coupon = await findOwnCoupon(req);
+    await coupon.deleteOne();
+    res.json({ message: "Coupon deleted" });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+// routes/inventory.routes.js
+// Product variants and stock, managed by the product's seller (or an admin).
+// Mounted at /products next to product.routes.js.
+const router = require("express").Router();
+const { Types } = require("mongoose");
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const { isAuthenticated, isOwnerOrAdmin } = require("../middleware/jwt.middleware");
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../error-handling/errors");
+const { writeLimiter } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { adjustStock, recordMovements, skuInUse } = require("../utils/inventory.utils");
+const { notifyPriceChanges } = require("../utils/notification.utils");
+const { paginate } = require("../utils/pagination.utils");
+const schemas = require("../validation/inventory.schemas");
+
+// Loads the product in :id if the current user may manage it
+async function findOwnProduct(req) {
+  const product = await Product.findById(req.params.id).select("owner stock discountPercentage variants");
+  if (!product) throw new NotFoundError("Product not found");
+
+  if (!isOwnerOrAdmin(req, product.owner)) {
+    throw new ForbiddenError("Not allowed to manage this product");
+  }
+  return product;
+}
+
+// [{ name, value }] -> { name: value }; the same option twice is an error
+function toOptionMap(options) {
+  const map = {};
+  for (const { name, value } of options) {
+    if (map[name] !== undefined) throw new BadRequestError(`Option "${name}" is given twice`);
+    map[name] = value;
+  }
+  return map;
+}
+
+const sameOptions = (variant, options) => {
+  const current = Object.fromEntries(variant.options);
+  const names = Object.keys(options);
+  return names.length === Object.keys(current).length && names.every((n) => current[n] === options[n]);
+};
+
+// Refuses option combinations and SKUs that are already used
+async function checkVariantIsUnique(product, { options, sku }, exceptId) {
+  const others = product.variants.filter((v) => !v._id.equals(exceptId));
+
+  if (options && others.some((v) => sameOptions(v, options))) {
+    throw new ConflictError("A variant with these options already exists", "VARIANT_EXISTS");
+  }
+  if (sku) {
+    const taken = others.some((v) => v.sku === sku) || (await skuInUse(sku, product._id));
+    if (taken) throw new ConflictError(`SKU ${sku} is already in use`, "SKU_TAKEN");
+  }
+}
+
+/**
+ * POST /products/:id/variants
+ * Protected (owner/admin) — add a variant. Starting stock is logged as a restock.
+ * The first variant takes over from the product's own stock.
+ * body: { options: [{ name, value }], price, sku?, barcode?, stock? }
+ */
+router.post("/:id/variants", writeLimiter, isAuthenticated, validate(schemas.createVariant), async (req, res, next) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { sku, barcode, price, stock } = req.body;
+    const options = toOptionMap(req.body.options);
+
+    await checkVariantIsUnique(product, { options, sku });
+
+    const variant = { _id: new Types.ObjectId(), options, sku, barcode, price, stock: 0 };
+    await Product.updateOne({ _id: product._id }, { $push: { variants: variant } }, { runValidators: true });
+
+    // from now on stock is the sum of the variants; write off the old product-level count
+    if (product.variants.length === 0 && product.stock > 0) {
+      await recordMovements([{ productId: product._id, quantity: -product.stock, stockAfter: 0 }], {
+        type: "adjustment",
+        by: req.payload._id,
+        note: "Stock now tracked per variant",
+      });
+    }
+    await Product.refreshStockStatus(product._id);
+
+    if (stock > 0) {
+      await adjustStock({
+        productId: product._id,
+        variantId: variant._id,
+        quantity: stock,
+        type: "restock",
+        by: req.payload._id,
+        note: "Initial stock",
+      });
+    }
+
+    res.status(201).json(await Product.findById(product._id));
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /products/:id/variants/:variantId
+ * Protected (owner/admin) — edit a variant's options, price, SKU or barcode.
+ * A lower price notifies the users who have the product on their wishlist.
+ * Stock changes go through POST /products/:id/inventory.
+ */
+router.patch("/:id/variants/:variantId", writeLimiter, isAuthenticated, validate(schemas.updateVariant), async (req, res, next) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { variantId } = req.params;
+    if (!product.variants.id(variantId)) throw new NotFoundError("Variant not found");
+
+    const { sku, barcode, price } = req.body;
+    const options = req.body.options && toOptionMap(req.body.options);
+    await checkVariantIsUnique(product, { options, sku }, variantId);
+
+    const update = {};
+    if (options) update["variants.$.options"] = options;
+    if (sku !== undefined) update["variants.$.sku"] = sku;
+    if (barcode !== undefined) update["variants.$.barcode"] = barcode;
+    if (price !== undefined) update["variants.$.price"] = price;
+
+    if (Object.keys(update).length === 0) {
+      throw new BadRequestError("No changes provided");
+    }
+
+    await Product.updateOne({ _id: product._id, "variants._id": variantId }, { $set: update }, { runValidators: true });
+    await Product.refreshStockStatus(product._id);
+
+    const updated = await Product.findById(product._id);
+    if (price !== undefined) {
+      await notifyPriceChanges(product, updated).catch((err) =>
+        console.error("Price-drop notifications for product", product._id.toString(), "failed:", err.message)
+      );
+    }
+    res.json(updated);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /products/:id/variants/:variantId
+ * Protected (owner/admin) — remove a variant; its remaining stock is written off
+ */
+router.delete("/:id/variants/:variantId", writeLimiter, isAuthenticated, validate(schemas.removeVariant), async (req, res, next) => {
+  try {
+    const product = await findOwnProduct(req);
+    const variantId = new Types.ObjectId(req.params.variantId);
+    if (!product.variants.id(variantId)) throw new NotFoundError("Variant not found");
+
+    // one pipeline update, so the variant's stock leaves the total in the same write
+    const removed = { $filter: { input: "$variants", cond: { $eq: ["$$this._id", variantId] } } };
+    const before = await Product.findOneAndUpdate({ _id: product._id, "variants._id": variantId }, [
+      {
+        $set: {
+          stock: { $subtract: [{ $ifNull: ["$stock", 0] }, { $sum: { $map: { input: removed, in: "$$this.stock" } } }] },
+          variants: { $filter: { input: "$variants", cond: { $ne: ["$$this._id", variantId] } } },
+        },
+      },
+    ]).select("variants");
+    await Product.refreshStockStatus(product._id);
+
+    const gone = before?.variants.id(variantId);
+    if (gone?.stock > 0) {
+      await recordMovements([{ productId: product._id, variantId, quantity: -gone.stock, stockAfter: 0 }], {
+        type: "adjustment",
+        by: req.payload._id,
+        note: "Variant removed",
+      });
+    }
+
+    res.json(await Product.findById(product._id));
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /products/:id/inventory
+ * Protected (owner/admin) — the product's stock movements, newest first
+ * ?variantId=&type=restock|sale|cancellation|adjustment plus page/limit/cursor/fields
+ */
+router.get("/:id/inventory", isAuthenticated, validate(schemas.history), async (req, res, next) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { variantId, type } = req.query;
+
+    const filter = { product: product._id };
+    if (variantId) filter.variant = variantId;
+    if (type) filter.type = type;
+
+    const page = await paginate(InventoryMovement, req, {
+      filter,
+      sort: { createdAt: -1 },
+      populate: { path: "by", select: "name" },
+    });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /products/:id/inventory
+ * Protected (owner/admin) — restock or adjust stock (logged in the ledger).
+ * Products with variants need the variantId.
+ * body: { type: "restock"|"adjustment", quantity, variantId?, note? }
+ */
+router.post("/:id/inventory", writeLimiter, isAuthenticated, validate(schemas.adjust), async (req, res, next) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { type, quantity, variantId, note } = req.body;
+
+    if (type === "restock" && quantity < 0) {
+      throw new BadRequestError("A restock adds stock; use an adjustment to remove it");
+    }
+    if (product.variants.length > 0 && !variantId) {
+      throw new BadRequestError("Choose the variant to change (variantId)", "VARIANT_REQUIRED");
+    }
+    if (variantId && !product.variants.id(variantId)) throw new NotFoundError("Variant not found");
+
+    const movement = await adjustStock({
+      productId: product._id,
+      variantId,
+      quantity,
+      type,
+      by: req.payload._id,
+      note,
+    });
+
+    const updated = await Product.findById(product._id).select("stock availabilityStatus variants");
+    res.status(201).json({ movement, product: updated });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
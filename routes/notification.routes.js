@@ -0,0 +1,69 @@
+// routes/notification.routes.js
+const router = require("express").Router();
+const Notification = require("../models/notification.model");
+const { isAuthenticated } = require("../middleware/jwt.middleware");
+const { NotFoundError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const { paginate } = require("../utils/pagination.utils");
+const schemas = require("../validation/notification.schemas");
+
+// Every notification route belongs to the logged-in user
+router.use(isAuthenticated);
+
+/**
+ * GET /notifications
+ * Protected — current user's notifications, newest first, with the unread count
+ * ?unread=true&type=price-drop|back-in-stock plus page/limit/cursor/fields
+ */
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const user = req.payload._id;
+    const { unread, type } = req.query;
+
+    const filter = { user };
+    if (unread !== undefined) filter.readAt = unread ? null : { $ne: null };
+    if (type) filter.type = type;
+
+    const [page, unreadCount] = await Promise.all([
+      paginate(Notification, req, {
+        filter,
+        sort: { createdAt: -1 },
+        populate: { path: "product", select: "title thumbnail price" },
+      }),
+      Notification.countDocuments({ user, readAt: null }),
+    ]);
+    res.json({ ...page, unreadCount });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /notifications/read
+ * Protected — mark all of the current user's notifications read
+ */
+router.post("/read", validate(), async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.payload._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ updated: result.modifiedCount });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /notifications/:id/read
+ * Protected — mark one notification read (already read ones keep their date)
+ */
+router.post("/:id/read", validate(schemas.markRead), async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.id, user: req.payload._id };
+    await Notification.updateOne({ ...filter, readAt: null }, { $set: { readAt: new Date() } });
+
+    // scoping by user means other people's notifications look like they don't exist
+    const notification = await Notification.findOne(filter);
+    if (!notification) throw new NotFoundError("Notification not found");
+    res.json(notification);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+// routes/order.routes.js
+const router = require("express").Router();
+const { Types } = require("mongoose");
+const Order = require("../models/order.model");
+const Cart = require("../models/cart.model");
+const { isAuthenticated } = require("../middleware/jwt.middleware");
+const { BadRequestError, ConflictError, NotFoundError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../validation/order.schemas");
+const {
+  mergeLines,
+  priceLines,
+  reserveStock,
+  releaseStock,
+  releaseOrder,
+} = require("../utils/checkout.utils");
+const { recordMovements } = require("../utils/inventory.utils");
+const { findUsableCoupon, redeemCoupon, releaseCoupon } = require("../utils/coupon.utils");
+const { getPaymentProvider } = require("../payments");
+const {
+  startPayment,
+  applyPaymentResult,
+  refundPayment,
+} = require("../payments/payment.service");
+
+router.use(isAuthenticated);
+
+/**
+ * POST /orders
+ * Protected — checkout.
+ * body: { items: [{ productId, variantId?, quantity }], couponCode? } for an explicit list,
+ * or no `items` to check out the user's cart (the cart is emptied afterwards).
+ * A cart checkout uses the cart's coupon unless `couponCode` is given.
+ * The order starts "pending" with a payment intent; the response carries its
+ * `clientSecret`. It becomes "paid" only once the provider confirms it.
+ */
+router.post("/", validate(schemas.checkout), async (req, res, next) => {
+  try {
+    const userId = req.payload._id;
+    const { items } = req.body;
+    const fromCart = items === undefined;
+    let { couponCode } = req.body;
+
+    let lines;
+    if (fromCart) {
+      const cart = await Cart.findOne({ user: userId });
+      if (couponCode === undefined) couponCode = cart?.couponCode;
+      lines = (cart?.items || []).map((i) => ({
+        productId: i.product,
+        variantId: i.variant,
+        quantity: i.quantity,
+      }));
+    } else {
+      lines = items;
+    }
+
+    if (lines.length === 0) {
+      throw new BadRequestError("Your cart is empty");
+    }
+
+    lines = mergeLines(lines);
+
+    const coupon = couponCode ? await findUsableCoupon(couponCode, userId) : null;
+    const priced = await priceLines(lines, { coupon });
+
+    // take the stock (and the coupon use) first; if saving the order fails, give them back
+    const reserved = await reserveStock(lines);
+    const orderId = new Types.ObjectId();
+
+    try {
+      if (coupon) await redeemCoupon(coupon, userId, orderId);
+    } catch (err) {
+      await releaseStock(lines);
+      throw err;
+    }
+
+    let order;
+    try {
+      order = await Order.create({ _id: orderId, user: userId, ...priced });
+    } catch (err) {
+      await releaseStock(lines);
+      await releaseCoupon(coupon?._id, orderId);
+      throw err;
+    }
+
+    // the ledger is a record only; the order stands even if writing it fails
+    await recordMovements(reserved, { type: "sale", order: order._id, by: userId }).catch((err) =>
+      console.error("Inventory ledger for order", order._id.toString(), "failed:", err.message)
+    );
+
+    if (fromCart) await Cart.updateOne({ user: userId }, { $set: { items: [] }, $unset: { couponCode: 1 } });
+
+    // if the gateway is down the order stays pending; POST /orders/:id/pay retries
+    let clientSecret;
+    try {
+      ({ clientSecret } = await startPayment(order));
+    } catch (err) {
+      console.error("Payment intent for order", order._id.toString(), "failed:", err.message);
+    }
+
+    res.status(201).json({ ...order.toJSON(), clientSecret });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /orders
+ * Protected — current user's order history, newest first
+ */
+router.get("/", validate(), async (req, res, next) => {
+  try {
+    const orders = await Order.find({ user: req.payload._id }).sort({ createdAt: -1 }).lean();
+    res.json(orders);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /orders/:id
+ * Protected — one of the current user's orders
+ */
+router.get("/:id", validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // scoping by user means other people's orders look like they don't exist
+    const order = await Order.findOne({ _id: id, user: req.payload._id });
+    if (!order) throw new NotFoundError("Order not found");
+    res.json(order);
+  } catch (err) { next(err); }
+});
+
+// Loads one of the current user's orders (404 when it isn't theirs)
+async function findOwnOrder(req) {
+  const order = await Order.findOne({ _id: req.params.id, user: req.payload._id });
+  if (!order) throw new NotFoundError("Order not found");
+  return order;
+}
+
+/**
+ * POST /orders/:id/pay
+ * Protected — (re)creates the payment intent for a pending order
+ */
+router.post("/:id/pay", validate(schemas.byId), async (req, res, next) => {
+  try {
+    const order = await findOwnOrder(req);
+
+    if (order.status !== "pending") {
+      throw new ConflictError(`A ${order.status} order cannot be paid`);
+    }
+
+    const intent = await startPayment(order);
+    const { id, status, amount, currency, clientSecret } = intent;
+    res.json({ intentId: id, status, amount, currency, clientSecret });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /orders/:id/pay/confirm
+ * Protected — confirms the order's payment intent with the provider.
+ * The order is marked paid from the provider's answer, not the client's.
+ * body: { paymentMethod? }
+ */
+router.post("/:id/pay/confirm", validate(schemas.confirmPayment), async (req, res, next) => {
+  try {
+    const order = await findOwnOrder(req);
+
+    if (!order.payment?.intentId) {
+      throw new ConflictError("Start the payment first");
+    }
+
+    const provider = getPaymentProvider(order.payment.provider);
+    const intent = await provider.confirmPaymentIntent(order.payment.intentId, {
+      paymentMethod: req.body.paymentMethod,
+    });
+
+    const updated = await applyPaymentResult(intent, { by: req.payload._id });
+    if (intent.status === "failed") {
+      return res.status(402).json({ message: "Payment failed", order: updated });
+    }
+    res.json(updated);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /orders/:id/cancel
+ * Protected — buyer cancels a pending or paid order; a paid order is refunded
+ * through the payment provider, stock goes back on the products and the
+ * coupon use (if any) is given back
+ * body: { reason? }
+ */
+router.post("/:id/cancel", validate(schemas.cancel), async (req, res, next) => {
+  try {
+    const order = await findOwnOrder(req);
+
+    if (!order.canTransitionTo("cancelled")) {
+      throw new ConflictError(`A ${order.status} order cannot be cancelled`);
+    }
+
+    // idempotent at the provider (keyed on the order), so a retry after a failed save is safe
+    await refundPayment(order);
+
+    order.transitionTo("cancelled", { by: req.payload._id, note: req.body.reason });
+    await order.save();
+
+    // only restock once the status change is saved, so a double cancel can't restock twice
+    await releaseOrder(order, { by: req.payload._id });
+
+    res.json(order);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /orders/:id/delivered
+ * Protected — buyer confirms a shipped order arrived
+ */
+router.post("/:id/delivered", validate(schemas.byId), async (req, res, next) => {
+  try {
+    const order = await findOwnOrder(req);
+
+    if (!order.canTransitionTo("delivered")) {
+      throw new ConflictError(`A ${order.status} order cannot be marked delivered`);
+    }
+
+    order.transitionTo("delivered", { by: req.payload._id });
+    await order.save();
+    res.json(order);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// routes/payment.routes.js
+const router = require("express").Router();
+const PaymentEvent = require("../models/paymentEvent.model");
+const { BadRequestError } = require("../error-handling/errors");
+const { getPaymentProvider } = require("../payments");
+const { applyPaymentResult, applyRefund } = require("../payments/payment.service");
+
+/**
+ * POST /payments/webhook
+ * Public — called by the payment provider. The signature is checked against
+ * the raw body, and each event id is processed at most once.
+ * No body schema here: the payload format belongs to the provider, and the
+ * signature check is what vouches for it.
+ */
+router.post("/webhook", async (req, res, next) => {
+  let provider;
+  let event;
+  try {
+    provider = getPaymentProvider();
+    event = provider.constructWebhookEvent(req.rawBody, req.headers);
+  } catch (err) {
+    return next(new BadRequestError(`Webhook rejected: ${err.message}`, "INVALID_WEBHOOK"));
+  }
+
+  try {
+    await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+    });
+  } catch (err) {
+    // same event delivered again — acknowledge it so the provider stops retrying
+    if (err?.code === 11000) return res.json({ received: true, duplicate: true });
+    return next(err);
+  }
+
+  try {
+    if (event.type === "refund.succeeded") {
+      // the refund is asked from the provider too; its stock and coupon use go back as on a cancel
+      const refund = await provider.retrieveRefund(event.refundId);
+      await applyRefund(refund, { note: `Refund ${refund.id} (webhook)` });
+    } else if (event.type === "payment.succeeded" || event.type === "payment.failed") {
+      // don't trust the event body for the outcome — ask the provider
+      const intent = await provider.retrievePaymentIntent(event.intentId);
+      await applyPaymentResult(intent, { note: `Payment ${intent.id} (webhook)` });
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    // let the provider's retry process this event again
+    await PaymentEvent.deleteOne({ provider: provider.name, eventId: event.id }).catch(() => {});
+    next(err);
+  }
+});
+
+module.exports = router;
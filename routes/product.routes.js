@@ -1,188 +1,498 @@
 // routes/product.routes.js
 const express = require("express");
 const router = express.Router();
-const mongoose = require("mongoose");                     // <-- added
 const Product = require("../models/product.model");
-const { isAuthenticated } = require("../middleware/jwt.middleware");
+const Upload = require("../models/upload.model");
+const Category = require("../models/category.model");
+const AuditLog = require("../models/auditLog.model");
+const { isAuthenticated, authorize, isOwnerOrAdmin } = require("../middleware/jwt.middleware");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../error-handling/errors");
+const { writeLimiter } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { imageUpload, MAX_FILES } = require("../middleware/upload.middleware");
+const { cacheResponse } = require("../middleware/cache.middleware");
+const { storeImages, removeUploads, uploadView } = require("../utils/upload.utils");
+const { recordMovements, stockLevelSet, skuInUse } = require("../utils/inventory.utils");
+const { categoryFilter, resolveCategory } = require("../utils/category.utils");
+const { notifyPriceChanges } = require("../utils/notification.utils");
+const { deleteProduct, restoreProduct } = require("../utils/deletion.utils");
+const { diffFields, audit } = require("../utils/audit.utils");
+const { setETag, checkIfMatch, unchangedSince, staleError } = require("../utils/etag.utils");
+const { paginate } = require("../utils/pagination.utils");
+const { toTextSearch, prefixPattern, facetPipeline, formatFacets } = require("../utils/search.utils");
+const schemas = require("../validation/product.schemas");
+
+// Only sellers (and admins) can list products
+const canSell = authorize("seller", "admin");
+
+// ℹ️ Sort options
+const SORTS = {
+  "relevance":  { score: { $meta: "textScore" } },
+  "price-asc":  { price: 1 },
+  "price-desc": { price: -1 },
+  "newest":     { createdAt: -1 },
+  "top-rated":  { ratingAverage: -1, ratingCount: -1 },
+};
+
+// ℹ️ Response cache for the public catalog (writes invalidate it sooner than the TTL).
+// A product page is always revalidated by the client: its ETag makes that a cheap 304.
+const CACHED = {
+  list: cacheResponse({ name: "products:list", ttl: 60, cacheControl: "public, max-age=30" }),
+  categories: cacheResponse({ name: "products:categories", ttl: 300, cacheControl: "public, max-age=300" }),
+  product: cacheResponse({ name: "products:item", ttl: 60, cacheControl: "public, no-cache" }),
+};
+
+// Tries at setting a product's stock level while orders keep changing it
+const SET_STOCK_ATTEMPTS = 3;
+
+// Related documents shown with listed products
+const LIST_POPULATE = [
+  { path: "owner", select: "name" },
+  { path: "category", select: "name slug" },
+];
+
+// Builds the Mongo filter for the list/search query string
+async function productFilter({ category, brand, tag, q, minPrice, maxPrice, minRating }) {
+  const filter = {};
+
+  // ℹ️ Category by id, slug or name — includes its subcategories
+  if (category) filter.category = await categoryFilter(category);
+  if (brand) filter.brand = brand;
+  if (tag) filter.tags = tag;
+
+  // ℹ️ Text search on title/brand/tags/description (text index, input escaped)
+  if (q) filter.$text = { $search: toTextSearch(q) };
+
+  // ℹ️ Price range
+  const price = {};
+  if (minPrice !== undefined) price.$gte = minPrice;
+  if (maxPrice !== undefined) price.$lte = maxPrice;
+  if (Object.keys(price).length) filter.price = price;
+
+  // ℹ️ Average rating (from the Review collection)
+  if (minRating !== undefined) filter.ratingAverage = { $gte: minRating };
+
+  return filter;
+}
+
+// Ranked by relevance when searching, newest first otherwise
+function productSort({ sort, q }) {
+  if (sort === "relevance" && !q) {
+    throw new ValidationError([
+      { location: "query", field: "sort", code: "invalid", message: "sort=relevance needs a search term (q)" },
+    ]);
+  }
+  return SORTS[sort || (q ? "relevance" : "newest")];
+}
 
 /**
  * GET /products
  * Public — supports filters via query string.
- * ?category=Serum
+ * ?category=serum (id, slug or name; subcategories included)&brand=Glow&tag=vegan
  * &q=hydrating
  * &minPrice=10&maxPrice=50
- * &sort=newest|price-asc|price-desc
+ * &minRating=4
+ * &sort=relevance|newest|price-asc|price-desc|top-rated
+ * &page=2&limit=20 or &cursor=<nextCursor>   (limit is capped server side)
+ * &fields=title,price,thumbnail
+ * Answers { data, pagination, links } — see utils/pagination.utils.js
+ * Cached (X-Cache: HIT|MISS) for up to a minute, per normalized query string.
  */
-router.get("/", async (req, res, next) => {
+router.get("/", validate(schemas.list), CACHED.list, async (req, res, next) => {
   try {
-    const { category, q, minPrice, maxPrice, sort = "newest" } = req.query;
-
-    const filter = {};
+    const page = await paginate(Product, req, {
+      filter: await productFilter(req.query),
+      sort: productSort(req.query),
+      populate: LIST_POPULATE,
+    });
 
-    // ℹ️ Category (exact match; flip to regex if you want case-insensitive)
-    if (category) {
-      filter.category = category;
-      // or: filter.category = { $regex: `^${category}$`, $options: "i" };
-    }
+    res.json(page);
+  } catch (err) { next(err); }
+});
 
-    // ℹ️ Text search on title/description
-    if (q) {
-      filter.$or = [
-        { title: { $regex: q, $options: "i" } },
-        { description: { $regex: q, $options: "i" } },
-      ];
-    }
+/**
+ * GET /products/search
+ * Public — full-text search ranked by relevance, with facet counts
+ * (category, brand, tag, price bucket) for the matching products.
+ * ?q=hydrating serum (required) plus every filter/paging option of GET /products
+ * Answers { data, pagination, links, facets }
+ */
+router.get("/search", validate(schemas.search), async (req, res, next) => {
+  try {
+    const filter = await productFilter(req.query);
+
+    const [page, [facets]] = await Promise.all([
+      paginate(Product, req, {
+        filter,
+        sort: productSort(req.query),
+        populate: LIST_POPULATE,
+      }),
+      Product.aggregate(facetPipeline(filter)),
+    ]);
+
+    res.json({ ...page, facets: formatFacets(facets) });
+  } catch (err) { next(err); }
+});
 
-    // ℹ️ Price range
-    const price = {};
-    const min = parseFloat(minPrice);
-    const max = parseFloat(maxPrice);
-    if (!Number.isNaN(min)) price.$gte = min;
-    if (!Number.isNaN(max)) price.$lte = max;
-    if (Object.keys(price).length) filter.price = price;
-
-    // ℹ️ Sort options
-    const sortMap = {
-      "price-asc":  { price: 1 },
-      "price-desc": { price: -1 },
-      "newest":     { createdAt: -1 },
-    };
-    const sortStage = sortMap[sort] || sortMap["newest"];
-
-    const products = await Product.find(filter)
-      .sort(sortStage)
-      .populate("owner", "name email");
-
-    res.json(products);
+/**
+ * GET /products/suggest
+ * Public — autocomplete: products, categories and brands with a word
+ * starting with `q`.
+ * ?q=hyd&limit=8
+ */
+router.get("/suggest", validate(schemas.suggest), async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    const pattern = prefixPattern(q);
+
+    const [products, categories, brands] = await Promise.all([
+      Product.find({ title: pattern })
+        .select("title thumbnail category price")
+        .populate("category", "name slug")
+        .sort({ ratingCount: -1, _id: 1 })
+        .limit(limit)
+        .lean(),
+      Category.find({ name: pattern }).select("name slug").sort({ name: 1 }).limit(limit).lean(),
+      Product.distinct("brand", { brand: pattern }),
+    ]);
+
+    res.json({
+      products,
+      categories,
+      brands: brands.sort().slice(0, limit),
+    });
   } catch (err) { next(err); }
 });
 
 /**
  * GET /products/categories
- * Public — distinct category list for filters/dropdowns.
- * ⚠️ Keep this BEFORE "/:id" so it doesn't get captured as an id.
+ * Public — categories that have products, for filters/dropdowns
+ * ([{ _id, name, slug, parent }] by name). The full tree is at GET /categories.
+ * Cached for up to 5 minutes.
+ * ⚠️ Keep this (and /search, /suggest) BEFORE "/:id" so it doesn't get captured as an id.
  */
-router.get("/categories", async (req, res, next) => {
+router.get("/categories", validate(), CACHED.categories, async (req, res, next) => {
   try {
-    const cats = await Product.distinct("category");
-    cats.sort((a, b) => String(a).localeCompare(String(b)));
+    const ids = await Product.distinct("category");
+    const cats = await Category.find({ _id: { $in: ids } }).select("name slug parent").sort({ name: 1 }).lean();
     res.json(cats);
   } catch (err) { next(err); }
 });
 
 /**
  * GET /products/:id
- * Public — read one
+ * Public — read one. Sends an ETag; If-None-Match with it gets a 304.
+ * Cached for up to a minute.
  */
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", validate(schemas.byId), CACHED.product, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // early guard: invalid ObjectId
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ message: "Invalid product id" });
-    }
-
-    const product = await Product.findById(id).populate("owner", "name email");
-    if (!product) return res.status(404).json({ message: "Product not found" });
+    const product = await Product.findById(id)
+      .populate("owner", "name email")
+      .populate("category", "name slug ancestors");
+    if (!product) throw new NotFoundError("Product not found");
+    setETag(res, product);
     res.json(product);
   } catch (err) { next(err); }
 });
 
+// Body (already validated) -> Product paths. imageUrl is the older name for
+// thumbnail; dimensions are set one by one so a partial object keeps the rest;
+// the category can be given by id, slug or name.
+async function productChanges(body) {
+  const { imageUrl, dimensions, stock, ...fields } = body;
+  const changes = { ...fields };
+  if (fields.category !== undefined) changes.category = (await resolveCategory(fields.category))._id;
+  if (imageUrl !== undefined && fields.thumbnail === undefined) changes.thumbnail = imageUrl;
+  for (const [key, value] of Object.entries(dimensions || {})) changes[`dimensions.${key}`] = value;
+  return changes;
+}
+
 /**
  * POST /products
- * Protected — sets owner from JWT
+ * Protected (seller/admin) — sets owner from JWT.
+ * Accepts every seller-editable field (see validation/product.schemas.js);
+ * starting stock is logged in the inventory ledger as a restock.
  */
-router.post("/", isAuthenticated, async (req, res, next) => {
+router.post("/", writeLimiter, isAuthenticated, canSell, validate(schemas.create), async (req, res, next) => {
   try {
-    const { title, description, price, imageUrl, category } = req.body;
+    const { sku, stock = 0 } = req.body;
 
-    if (!title || price === undefined || !category) {
-      return res.status(400).json({ message: "title, price, category are required" });
-    }
-
-    const priceNum = Number(price);
-    if (!Number.isFinite(priceNum) || priceNum < 0) {
-      return res.status(400).json({ message: "price must be a positive number" });
+    if (sku && (await skuInUse(sku))) {
+      throw new ConflictError(`SKU ${sku} is already in use`, "SKU_TAKEN");
     }
 
     // owner comes from verified JWT
     const owner = req.payload._id;
 
-    const payload = { title, description, price: priceNum, category, owner };
-    if (imageUrl) payload.thumbnail = imageUrl; // keep your UI mapping
+    const newProduct = new Product({ owner, stock });
+    newProduct.set(await productChanges(req.body));
+    await newProduct.save();
+    await audit({ entity: "Product", entityId: newProduct._id, action: "create", by: owner });
+
+    if (stock > 0) {
+      await recordMovements([{ productId: newProduct._id, quantity: stock, stockAfter: stock }], {
+        type: "restock",
+        by: owner,
+        note: "Initial stock",
+      });
+    }
 
-    const newProduct = await Product.create(payload);
+    setETag(res, newProduct);
     res.status(201).json(newProduct);
   } catch (err) { next(err); }
 });
 
 /**
  * DELETE /products/:id
- * Protected — only owner can delete
+ * Protected — only owner (or an admin) can delete. The product and its reviews
+ * are soft-deleted: gone from the shop, restorable until `restorableUntil`.
+ * Honours If-Match (412 when the product changed).
  */
-router.delete("/:id", isAuthenticated, async (req, res, next) => {
+router.delete("/:id", writeLimiter, isAuthenticated, validate(schemas.byId), async (req, res, next) => {
   try {
     const { id } = req.params;
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ message: "Invalid product id" });
+
+    const product = await Product.findById(id);
+    if (!product) throw new NotFoundError("Product not found");
+
+    if (!isOwnerOrAdmin(req, product.owner)) {
+      throw new ForbiddenError("Not allowed to delete this product");
     }
+    checkIfMatch(req, product, "product");
 
-    const userId = req.payload._id; // from JWT
+    const result = await deleteProduct(product._id, req.payload._id);
+    res.json({ message: "Product deleted", ...result });
+  } catch (err) { next(err); }
+});
 
-    const product = await Product.findById(id);
-    if (!product) return res.status(404).json({ message: "Product not found" });
+/**
+ * POST /products/:id/restore
+ * Protected — only owner (or an admin; only an admin when an admin deleted it).
+ * Brings back a deleted product, with the reviews deleted along with it, while
+ * it's within the retention window.
+ */
+router.post("/:id/restore", writeLimiter, isAuthenticated, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-    if (product.owner.toString() !== userId) {
-      return res.status(403).json({ message: "Not allowed to delete this product" });
+    const product = await Product.findById(id).withDeleted();
+    if (!product) throw new NotFoundError("Product not found");
+
+    // the owner can't undo a removal by an admin
+    if (!isOwnerOrAdmin(req, product.owner) || !isOwnerOrAdmin(req, product.deletedBy)) {
+      throw new ForbiddenError("Not allowed to restore this product");
     }
 
-    await Product.findByIdAndDelete(id);
-    res.json({ message: "Product deleted" });
+    const result = await restoreProduct(product, req.payload._id);
+    const restored = await Product.findById(id);
+    setETag(res, restored);
+    res.json({ message: "Product restored", ...result, product: restored });
   } catch (err) { next(err); }
 });
 
 /**
- * PATCH /products/:id
- * Protected — only owner can edit
+ * GET /products/:id/audit
+ * Protected — only owner (or an admin). Who created, changed, deleted or
+ * restored the product (deleted products included), newest first, with the
+ * changed fields of each update. Paginated (?page/limit/cursor/fields).
  */
-router.patch("/:id", isAuthenticated, async (req, res, next) => {
+router.get("/:id/audit", isAuthenticated, validate(schemas.audit), async (req, res, next) => {
   try {
     const { id } = req.params;
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ message: "Invalid product id" });
+
+    const product = await Product.findById(id).withDeleted().select("owner");
+    if (!product) throw new NotFoundError("Product not found");
+
+    if (!isOwnerOrAdmin(req, product.owner)) {
+      throw new ForbiddenError("Not allowed to see this product's history");
     }
 
-    const userId = req.payload._id;
+    const page = await paginate(AuditLog, req, {
+      filter: { entity: "Product", entityId: product._id },
+      sort: { createdAt: -1 },
+      populate: { path: "by", select: "name" },
+    });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /products/:id
+ * Protected — only owner (or an admin) can edit. Same fields as POST, all optional.
+ * `stock` sets the level; the difference is logged in the inventory ledger.
+ * A lower price notifies the users who have the product on their wishlist.
+ * The changed fields are kept in the product's audit log.
+ * Honours If-Match: 412 when the product changed since that ETag was sent,
+ * even if the change lands while this request runs. Answers with the new ETag.
+ */
+router.patch("/:id", writeLimiter, isAuthenticated, validate(schemas.update), async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
     const product = await Product.findById(id);
-    if (!product) return res.status(404).json({ message: "Product not found" });
+    if (!product) throw new NotFoundError("Product not found");
 
-    if (product.owner.toString() !== userId) {
-      return res.status(403).json({ message: "Not allowed to edit this product" });
+    if (!isOwnerOrAdmin(req, product.owner)) {
+      throw new ForbiddenError("Not allowed to edit this product");
     }
+    checkIfMatch(req, product, "product");
 
-    // safe mapping for updates + number coercion
-    const { title, description, price, imageUrl, category } = req.body;
-    const update = {};
-    if (title !== undefined) update.title = title;
-    if (description !== undefined) update.description = description;
-    if (category !== undefined) update.category = category;
-
-    if (price !== undefined) {
-      const priceNum = Number(price);
-      if (!Number.isFinite(priceNum) || priceNum < 0) {
-        return res.status(400).json({ message: "price must be a positive number" });
+    // safe mapping for updates (types already checked by the schema)
+    const { price, stock, sku, lowStockThreshold } = req.body;
+    const update = await productChanges(req.body);
+
+    if (Object.keys(update).length === 0 && stock === undefined) {
+      throw new ValidationError([
+        { location: "body", field: "body", code: "required", message: "No changes provided" },
+      ]);
+    }
+    if ((price !== undefined || stock !== undefined) && product.variants.length > 0) {
+      throw new ConflictError("This product has variants; set price and stock on the variants", "HAS_VARIANTS");
+    }
+    if (sku && sku !== product.sku && (await skuInUse(sku, product._id))) {
+      throw new ConflictError(`SKU ${sku} is already in use`, "SKU_TAKEN");
+    }
+
+    // stock is set as a level in the same write as the other fields, so If-Match
+    // covers it too. It only applies over the level read here: when an order
+    // took some meanwhile, the level is read again and the write retried.
+    // The difference goes through the ledger. Older products may have no
+    // stock stored at all: read as null, which the filter matches too.
+    let stockBefore = product.stock ?? null;
+    let set;
+    for (let attempt = 1; ; attempt += 1) {
+      const filter = { _id: id, ...unchangedSince(req, product) };
+      set = { ...update };
+      if (stock !== undefined && stock !== stockBefore) {
+        filter.stock = stockBefore;
+        set.stock = stock;
       }
-      update.price = priceNum;
+      if (Object.keys(set).length === 0) break;
+
+      const result = await Product.updateOne(filter, set, { runValidators: true });
+      if (result.matchedCount === 1) break;
+      if (filter.stock === undefined || filter.updatedAt || attempt === SET_STOCK_ATTEMPTS) throw staleError("product");
+
+      const current = await Product.findById(id).select("stock").lean();
+      if (!current) throw new NotFoundError("Product not found");
+      stockBefore = current.stock ?? null;
     }
 
-    if (imageUrl !== undefined) update.thumbnail = imageUrl;
+    if (set.stock !== undefined) {
+      await stockLevelSet(
+        { productId: product._id, from: stockBefore ?? 0, to: stock },
+        { by: req.payload._id, note: "Set on product update" }
+      );
+    } else if (lowStockThreshold !== undefined) {
+      // the threshold changes what counts as "Low Stock"
+      await Product.refreshStockStatus(id);
+    }
 
-    const updated = await Product.findByIdAndUpdate(id, update, {
-      new: true,
-      runValidators: true,
-    });
+    const updated = await Product.findById(id);
+
+    const changed = stock === undefined ? Object.keys(update) : [...Object.keys(update), "stock"];
+    const changes = diffFields(product, updated, changed);
+    if (changes.length) {
+      await audit({ entity: "Product", entityId: product._id, action: "update", by: req.payload._id, changes });
+    }
+
+    // watchers hear about a lower price (a bigger discount counts too, also on the variants)
+    await notifyPriceChanges(product, updated).catch((err) =>
+      console.error("Price-drop notifications for product", id, "failed:", err.message)
+    );
+
+    setETag(res, updated);
+    res.json(updated);
+  } catch (err) { next(err); }
+});
+
+// What the image routes change on a product (kept in its audit log)
+const IMAGE_FIELDS = ["images", "thumbnail"];
+
+/**
+ * POST /products/:id/images
+ * Protected — only owner (or an admin). multipart/form-data, field "images"
+ * (1-10 files). Each image is checked, resized to full + thumbnail sizes and
+ * added to `images`; the first one also becomes the `thumbnail` if the
+ * product has none. The change is kept in the product's audit log.
+ */
+router.post(
+  "/:id/images",
+  writeLimiter,
+  isAuthenticated,
+  imageUpload("images", MAX_FILES),
+  validate(schemas.byId),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!req.files?.length) throw new BadRequestError("No image uploaded (field \"images\")", "FILE_REQUIRED");
+
+      const product = await Product.findById(id).select("owner images thumbnail");
+      if (!product) throw new NotFoundError("Product not found");
+
+      if (!isOwnerOrAdmin(req, product.owner)) {
+        throw new ForbiddenError("Not allowed to edit this product");
+      }
+
+      const uploads = await storeImages(req.files, { owner: req.payload._id, kind: "product", target: product._id });
+
+      await Product.updateOne({ _id: id }, { $push: { images: { $each: uploads.map((u) => u.full.url) } } });
+      await Product.updateOne(
+        { _id: id, thumbnail: { $in: [null, ""] } },
+        { $set: { thumbnail: uploads[0].thumbnail.url } }
+      );
+
+      const updated = await Product.findById(id).select("images thumbnail");
+      const changes = diffFields(product, updated, IMAGE_FIELDS);
+      await audit({ entity: "Product", entityId: product._id, action: "update", by: req.payload._id, changes });
+
+      res.status(201).json({ uploads: uploads.map(uploadView), product: updated });
+    } catch (err) { next(err); }
+  }
+);
+
+/**
+ * DELETE /products/:id/images/:uploadId
+ * Protected — only owner (or an admin). Removes an uploaded image from the
+ * product and from storage. If it was the thumbnail, the next uploaded image
+ * takes its place. The change is kept in the product's audit log.
+ */
+router.delete("/:id/images/:uploadId", writeLimiter, isAuthenticated, validate(schemas.image), async (req, res, next) => {
+  try {
+    const { id, uploadId } = req.params;
+
+    const product = await Product.findById(id).select("owner images thumbnail");
+    if (!product) throw new NotFoundError("Product not found");
+
+    if (!isOwnerOrAdmin(req, product.owner)) {
+      throw new ForbiddenError("Not allowed to edit this product");
+    }
+
+    const upload = await Upload.findOne({ _id: uploadId, kind: "product", target: id });
+    if (!upload) throw new NotFoundError("Image not found");
+
+    const update = { $pull: { images: upload.full.url } };
+    if ([upload.thumbnail.url, upload.full.url].includes(product.thumbnail)) {
+      const next = await Upload.findOne({ kind: "product", target: id, _id: { $ne: upload._id } }).sort({ createdAt: 1 });
+      update.$set = { thumbnail: next ? next.thumbnail.url : "" };
+    }
+
+    await Product.updateOne({ _id: id }, update);
+    await removeUploads([upload]);
+
+    const updated = await Product.findById(id).select("images thumbnail");
+    const changes = diffFields(product, updated, IMAGE_FIELDS);
+    if (changes.length) {
+      await audit({ entity: "Product", entityId: product._id, action: "update", by: req.payload._id, changes });
+    }
 
     res.json(updated);
   } catch (err) { next(err); }
@@ -1,143 +1,392 @@
 // routes/review.routes.js
 const router = require("express").Router();
-const mongoose = require("mongoose");
 const Review = require("../models/review.model");
 const Product = require("../models/product.model");
-const { isAuthenticated } = require("../middleware/jwt.middleware");
+const Upload = require("../models/upload.model");
+const ReviewVote = require("../models/reviewVote.model");
+const { isAuthenticated, isOwnerOrAdmin } = require("../middleware/jwt.middleware");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../error-handling/errors");
+const { writeLimiter } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { imageUpload } = require("../middleware/upload.middleware");
+const { storeImage, removeUploadsFor } = require("../utils/upload.utils");
+const { deleteReview, restoreReview, purgeReviews } = require("../utils/deletion.utils");
+const { diffFields, audit } = require("../utils/audit.utils");
+const { setETag, checkIfMatch, unchangedSince, staleError } = require("../utils/etag.utils");
+const { paginate } = require("../utils/pagination.utils");
+const schemas = require("../validation/review.schemas");
 
-// GET /products/:id/reviews - public
-router.get("/products/:id/reviews", async (req, res, next) => {
+// Orders for ?sort= on a product's reviews
+const SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+};
+
+// GET /products/:id/reviews - public; hidden reviews left out; ?sort=newest|helpful,
+// paginated (?page/limit/cursor/fields)
+router.get("/products/:id/reviews", validate(schemas.listForProduct), async (req, res, next) => {
   try {
     const { id } = req.params;
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ message: "Invalid product id" });
-    }
 
-    const reviews = await Review.find({ product: id })
-      .sort({ createdAt: -1 })
-      .populate("author", "name")
-      .lean();
+    const page = await paginate(Review, req, {
+      filter: { product: id, ...Review.VISIBLE },
+      sort: SORTS[req.query.sort],
+      populate: { path: "author", select: "name" },
+    });
 
-    res.json(reviews);
+    res.json(page);
   } catch (err) {
     next(err);
   }
 });
 
-// POST /products/:id/reviews - auth only; user cannot review own product
-router.post("/products/:id/reviews", isAuthenticated, async (req, res, next) => {
+// POST /products/:id/reviews - auth only; user cannot review own product.
+// verifiedPurchase is set when the user has a paid order with the product.
+// A review the user deleted earlier on this product is replaced for good
+router.post("/products/:id/reviews", writeLimiter, isAuthenticated, validate(schemas.create), async (req, res, next) => {
   try {
     const { id } = req.params;
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ message: "Invalid product id" });
-    }
-
     const { rating, comment, imageUrl } = req.body;
 
     // rating is optional — require at least one meaningful field
-    if (
-      (rating === undefined || rating === null) &&
-      (!comment || comment.trim() === "") &&
-      (!imageUrl || imageUrl.trim() === "")
-    ) {
-      return res.status(400).json({ message: "Provide rating, comment, or imageUrl" });
-    }
-
-    // validate rating only if provided
-    if (rating !== undefined && rating !== null) {
-      const num = Number(rating);
-      if (!Number.isFinite(num) || num < 1 || num > 5) {
-        return res.status(400).json({ message: "rating must be between 1 and 5" });
-      }
+    if ((rating === undefined || rating === null) && !comment && !imageUrl) {
+      throw new ValidationError([
+        { location: "body", field: "rating", code: "required", message: "Provide rating, comment, or imageUrl" },
+      ]);
     }
 
     const product = await Product.findById(id).select("owner");
-    if (!product) return res.status(404).json({ message: "Product not found" });
+    if (!product) throw new NotFoundError("Product not found");
 
     // ✅ proceed even if owner is missing; only block if owner exists AND equals current user
     if (product.owner && product.owner.toString() === req.payload._id) {
-      return res.status(403).json({ message: "You cannot review your own product" });
+      throw new ForbiddenError("You cannot review your own product");
     }
 
     const payload = {
       product: id,
       author: req.payload._id, // required by model; ensures only users can create
+      verifiedPurchase: await Review.hasPurchased(req.payload._id, id),
     };
-    if (rating !== undefined && rating !== null) payload.rating = Number(rating);
+    if (rating !== undefined && rating !== null) payload.rating = rating;
     if (comment !== undefined) payload.comment = comment;
     if (imageUrl !== undefined) payload.imageUrl = imageUrl;
 
+    // one review per user per product, deleted ones included
+    const previous = await Review.find({ product: id, author: req.payload._id, deletedAt: { $ne: null } }).distinct("_id");
+    await purgeReviews(previous, { by: req.payload._id, note: "Replaced by a new review" });
+
     const review = await Review.create(payload);
+    await audit({ entity: "Review", entityId: review._id, action: "create", by: req.payload._id });
+    setETag(res, review);
     res.status(201).json(review);
   } catch (err) {
     // handle duplicate: one review per user per product
     if (err?.code === 11000) {
-      return res.status(409).json({ message: "You already reviewed this product" });
+      return next(new ConflictError("You already reviewed this product", "ALREADY_REVIEWED"));
     }
     next(err);
   }
 });
 
-// PATCH /reviews/:reviewId - auth only; only author can update
-router.patch("/reviews/:reviewId", isAuthenticated, async (req, res, next) => {
+// GET /reviews/:reviewId - public; one review (not hidden). Sends an ETag;
+// If-None-Match with it gets a 304
+router.get("/reviews/:reviewId", validate(schemas.remove), async (req, res, next) => {
+  try {
+    const review = await findVisibleReview(req.params.reviewId);
+    await review.populate("author", "name");
+    setETag(res, review);
+    res.json(review);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /reviews/:reviewId - auth only; only author (or an admin) can update.
+// { rating: null } clears the rating.
+// Honours If-Match (412 when the review changed since); answers with the new ETag
+router.patch("/reviews/:reviewId", writeLimiter, isAuthenticated, validate(schemas.update), async (req, res, next) => {
   try {
     const { reviewId } = req.params;
-    if (!mongoose.isValidObjectId(reviewId)) {
-      return res.status(400).json({ message: "Invalid review id" });
-    }
 
-    const review = await Review.findById(reviewId).select("author");
-    if (!review) return res.status(404).json({ message: "Review not found" });
+    const review = await Review.findById(reviewId).select("author product rating comment imageUrl verifiedPurchase updatedAt");
+    if (!review) throw new NotFoundError("Review not found");
 
-    if (review.author.toString() !== req.payload._id) {
-      return res.status(403).json({ message: "Not allowed to edit this review" });
+    if (!isOwnerOrAdmin(req, review.author)) {
+      throw new ForbiddenError("Not allowed to edit this review");
     }
+    checkIfMatch(req, review, "review");
 
     const { rating, comment, imageUrl } = req.body;
     const update = {};
+    const unset = {};
 
-    if (rating !== undefined && rating !== null) {
-      const num = Number(rating);
-      if (!Number.isFinite(num) || num < 1 || num > 5) {
-        return res.status(400).json({ message: "rating must be between 1 and 5" });
-      }
-      update.rating = num;
-    }
+    // rating: null clears it (the review stops counting for the product's rating)
+    if (rating === null) unset.rating = 1;
+    else if (rating !== undefined) update.rating = rating;
     if (comment !== undefined) update.comment = comment;
     if (imageUrl !== undefined) update.imageUrl = imageUrl;
 
-    if (Object.keys(update).length === 0) {
-      return res.status(400).json({ message: "No changes provided" });
+    if (Object.keys(update).length === 0 && Object.keys(unset).length === 0) {
+      throw new ValidationError([
+        { location: "body", field: "body", code: "required", message: "No changes provided" },
+      ]);
     }
 
-    const updated = await Review.findByIdAndUpdate(reviewId, update, {
+    // the author may have bought the product since writing the review
+    update.verifiedPurchase = await Review.hasPurchased(review.author, review.product);
+
+    const write = Object.keys(unset).length ? { $set: update, $unset: unset } : { $set: update };
+    const updated = await Review.findOneAndUpdate({ _id: reviewId, ...unchangedSince(req, review) }, write, {
       new: true,
       runValidators: true,
     });
+    if (!updated) throw staleError("review");
 
+    const changes = diffFields(review, updated, [...Object.keys(update), ...Object.keys(unset)]);
+    if (changes.length) {
+      await audit({ entity: "Review", entityId: review._id, action: "update", by: req.payload._id, changes });
+    }
+
+    // an uploaded image that was replaced by another URL isn't needed any more
+    if (imageUrl !== undefined) {
+      const keep = await Upload.find({ kind: "review", target: reviewId, "full.url": imageUrl }).distinct("_id");
+      await removeUploadsFor("review", [reviewId], { keep });
+    }
+
+    setETag(res, updated);
     res.json(updated);
   } catch (err) {
     next(err);
   }
 });
 
-// DELETE /reviews/:reviewId - auth only; only author can delete
-router.delete("/reviews/:reviewId", isAuthenticated, async (req, res, next) => {
+// DELETE /reviews/:reviewId - auth only; only author (or an admin) can delete.
+// Soft delete: the review can be restored until `restorableUntil`. Honours If-Match
+router.delete("/reviews/:reviewId", writeLimiter, isAuthenticated, validate(schemas.remove), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+
+    const review = await Review.findById(reviewId).select("author product updatedAt");
+    if (!review) throw new NotFoundError("Review not found");
+
+    if (!isOwnerOrAdmin(req, review.author)) {
+      throw new ForbiddenError("Not allowed to delete this review");
+    }
+    checkIfMatch(req, review, "review");
+
+    const result = await deleteReview(review, req.payload._id);
+    res.json({ message: "Review deleted", ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /reviews/:reviewId/restore - auth only; only author (or an admin; only an admin
+// when an admin deleted it), within the retention window. Reviews deleted with
+// their product come back with it
+router.post("/reviews/:reviewId/restore", writeLimiter, isAuthenticated, validate(schemas.remove), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+
+    const review = await Review.findById(reviewId).withDeleted().select("author product deletedAt deletedBy");
+    if (!review) throw new NotFoundError("Review not found");
+
+    // the author can't undo a removal by an admin
+    if (!isOwnerOrAdmin(req, review.author) || !isOwnerOrAdmin(req, review.deletedBy)) {
+      throw new ForbiddenError("Not allowed to restore this review");
+    }
+
+    await restoreReview(review, req.payload._id);
+    const restored = await Review.findById(reviewId);
+    setETag(res, restored);
+    res.json(restored);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /reviews/:reviewId/image - auth only; only author (or an admin).
+// multipart/form-data, field "image": checked, resized and set as the review's imageUrl
+// (kept in the review's audit log)
+router.post(
+  "/reviews/:reviewId/image",
+  writeLimiter,
+  isAuthenticated,
+  imageUpload("image"),
+  validate(schemas.remove),
+  async (req, res, next) => {
+    try {
+      const { reviewId } = req.params;
+      if (!req.file) throw new BadRequestError("No image uploaded (field \"image\")", "FILE_REQUIRED");
+
+      const review = await Review.findById(reviewId).select("author imageUrl");
+      if (!review) throw new NotFoundError("Review not found");
+
+      if (!isOwnerOrAdmin(req, review.author)) {
+        throw new ForbiddenError("Not allowed to edit this review");
+      }
+
+      const upload = await storeImage(req.file, { owner: req.payload._id, kind: "review", target: review._id });
+
+      const updated = await Review.findByIdAndUpdate(reviewId, { imageUrl: upload.full.url }, { new: true });
+      // the previous image, if it was uploaded too
+      await removeUploadsFor("review", [review._id], { keep: [upload._id] });
+
+      const changes = diffFields(review, updated, ["imageUrl"]);
+      await audit({ entity: "Review", entityId: review._id, action: "update", by: req.payload._id, changes });
+
+      setETag(res, updated);
+      res.status(201).json(updated);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Loads a review that isn't hidden (404 otherwise)
+async function findVisibleReview(reviewId, fields) {
+  const review = await Review.findOne({ _id: reviewId, ...Review.VISIBLE }).select(fields);
+  if (!review) throw new NotFoundError("Review not found");
+  return review;
+}
+
+// POST /reviews/:reviewId/report - auth only; one report per user. The review
+// goes to the moderation queue (GET /admin/reviews/moderation); the report is
+// kept in its audit log
+router.post("/reviews/:reviewId/report", writeLimiter, isAuthenticated, validate(schemas.report), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+    const userId = req.payload._id;
+
+    const review = await findVisibleReview(reviewId, "author status reportCount");
+    if (review.author.toString() === userId) {
+      throw new ForbiddenError("You cannot report your own review");
+    }
+
+    const { reason, note } = req.body;
+    const result = await Review.updateOne(
+      { _id: reviewId, ...Review.VISIBLE, "reports.user": { $ne: userId } },
+      {
+        $push: { reports: { user: userId, reason, note } },
+        $inc: { reportCount: 1 },
+        $set: { status: "flagged" },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new ConflictError("You already reported this review", "ALREADY_REPORTED");
+    }
+
+    const reported = { status: "flagged", reportCount: (review.reportCount || 0) + 1 };
+    const changes = diffFields(review, reported, ["status", "reportCount"]);
+    await audit({ entity: "Review", entityId: review._id, action: "update", by: userId, changes, note: `Reported: ${reason}` });
+
+    res.status(201).json({ message: "Review reported" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /reviews/:reviewId/vote - auth only; { value: "helpful"|"unhelpful" },
+// one vote per user (voting again changes it); not on your own review
+router.put("/reviews/:reviewId/vote", writeLimiter, isAuthenticated, validate(schemas.vote), async (req, res, next) => {
   try {
     const { reviewId } = req.params;
-    if (!mongoose.isValidObjectId(reviewId)) {
-      return res.status(400).json({ message: "Invalid review id" });
+    const userId = req.payload._id;
+
+    const review = await findVisibleReview(reviewId, "author");
+    if (review.author.toString() === userId) {
+      throw new ForbiddenError("You cannot vote on your own review");
     }
 
-    const review = await Review.findById(reviewId).select("author");
-    if (!review) return res.status(404).json({ message: "Review not found" });
+    const { value } = req.body;
+    await ReviewVote.updateOne({ review: reviewId, user: userId }, { $set: { value } }, { upsert: true });
+    const counts = await ReviewVote.syncReviewCounts(reviewId);
 
-    if (review.author.toString() !== req.payload._id) {
-      return res.status(403).json({ message: "Not allowed to delete this review" });
+    res.json({ review: reviewId, vote: value, ...counts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /reviews/:reviewId/vote - auth only; take back your vote
+router.delete("/reviews/:reviewId/vote", writeLimiter, isAuthenticated, validate(schemas.remove), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+
+    const result = await ReviewVote.deleteOne({ review: reviewId, user: req.payload._id });
+    if (result.deletedCount === 0) throw new NotFoundError("You haven't voted on this review");
+    const counts = await ReviewVote.syncReviewCounts(reviewId);
+
+    res.json({ review: reviewId, vote: null, ...counts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Loads a review with its product's owner if the current user may answer it
+async function findReviewToReply(req) {
+  const review = await findVisibleReview(req.params.reviewId);
+  const product = await Product.findById(review.product).select("owner");
+
+  if (!isOwnerOrAdmin(req, product?.owner)) {
+    throw new ForbiddenError("Only the product's seller can reply to its reviews");
+  }
+  return review;
+}
+
+// Reply fields kept in the review's audit log
+const REPLY_FIELDS = ["reply.text", "reply.author"];
+
+// PUT /reviews/:reviewId/reply - the product's seller (or an admin) answers the
+// review; { text } replaces an earlier reply
+router.put("/reviews/:reviewId/reply", writeLimiter, isAuthenticated, validate(schemas.reply), async (req, res, next) => {
+  try {
+    const review = await findReviewToReply(req);
+    const before = review.toObject();
+    const { text } = req.body;
+
+    if (review.reply) {
+      review.reply.text = text;
+      review.reply.author = req.payload._id;
+    } else {
+      review.reply = { text, author: req.payload._id };
+    }
+    await review.save();
+
+    const changes = diffFields(before, review, REPLY_FIELDS);
+    if (changes.length) {
+      await audit({ entity: "Review", entityId: review._id, action: "update", by: req.payload._id, changes });
     }
 
-    await Review.findByIdAndDelete(reviewId);
-    res.json({ message: "Review deleted" });
+    setETag(res, review);
+    res.json(review);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /reviews/:reviewId/reply - the product's seller (or an admin) removes the reply
+router.delete("/reviews/:reviewId/reply", writeLimiter, isAuthenticated, validate(schemas.remove), async (req, res, next) => {
+  try {
+    const review = await findReviewToReply(req);
+    if (!review.reply) throw new NotFoundError("This review has no reply");
+    const before = review.toObject();
+
+    review.reply = undefined;
+    await review.save();
+
+    const changes = diffFields(before, review, REPLY_FIELDS);
+    await audit({ entity: "Review", entityId: review._id, action: "update", by: req.payload._id, changes });
+
+    setETag(res, review);
+    res.json(review);
   } catch (err) {
     next(err);
   }
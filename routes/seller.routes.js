@@ -0,0 +1,172 @@
+// routes/seller.routes.js
+const router = require("express").Router();
+const Order = require("../models/order.model");
+const Product = require("../models/product.model");
+const { isAuthenticated, authorize } = require("../middleware/jwt.middleware");
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnsupportedMediaTypeError,
+} = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../validation/order.schemas");
+const inventorySchemas = require("../validation/inventory.schemas");
+const catalogSchemas = require("../validation/catalog.schemas");
+const productSchemas = require("../validation/product.schemas");
+const { importProducts, exportProducts } = require("../utils/catalog.utils");
+const { paginate } = require("../utils/pagination.utils");
+
+router.use(isAuthenticated, authorize("seller", "admin"));
+
+// Keeps only the seller's own lines so other sellers' items aren't exposed
+function sellerView(order, sellerId) {
+  const { _id, user, status, history, createdAt, updatedAt } = order;
+  const items = order.items.filter((i) => i.seller?.toString() === sellerId);
+  return { _id, user, status, history, createdAt, updatedAt, items };
+}
+
+/**
+ * GET /seller/orders
+ * Protected — orders containing the current user's products
+ * ?status=paid
+ */
+router.get("/orders", validate(schemas.sellerList), async (req, res, next) => {
+  try {
+    const sellerId = req.payload._id;
+    const filter = { "items.seller": sellerId };
+
+    const { status } = req.query;
+    if (status) filter.status = status;
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("user", "name email")
+      .lean();
+
+    res.json(orders.map((o) => sellerView(o, sellerId)));
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /seller/orders/:id/ship
+ * Protected — mark the seller's lines shipped with a tracking number.
+ * Once every line of the order has shipped, the order moves to "shipped".
+ * body: { trackingNumber, carrier?, itemIds? } (itemIds defaults to all the seller's unshipped lines)
+ */
+router.post("/orders/:id/ship", validate(schemas.ship), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { trackingNumber, carrier, itemIds } = req.body;
+
+    const sellerId = req.payload._id;
+    const order = await Order.findOne({ _id: id, "items.seller": sellerId });
+    if (!order) throw new NotFoundError("Order not found");
+
+    if (order.status !== "paid") {
+      throw new ConflictError(`A ${order.status} order cannot be shipped`);
+    }
+
+    const ownLines = order.items.filter((i) => i.seller?.toString() === sellerId);
+    const lines = itemIds
+      ? ownLines.filter((i) => itemIds.includes(i._id.toString()))
+      : ownLines.filter((i) => !i.shippedAt);
+
+    if (itemIds && lines.length !== itemIds.length) {
+      throw new BadRequestError("Some items are not yours or don't exist");
+    }
+    if (lines.length === 0 || lines.some((i) => i.shippedAt)) {
+      throw new ConflictError("Nothing left to ship");
+    }
+
+    const now = new Date();
+    for (const line of lines) {
+      line.shippedAt = now;
+      line.trackingNumber = trackingNumber;
+      if (carrier) line.carrier = carrier;
+    }
+
+    if (order.items.every((i) => i.shippedAt)) {
+      order.transitionTo("shipped", { by: sellerId, note: `Tracking ${trackingNumber}` });
+    }
+
+    await order.save();
+    res.json(sellerView(order, sellerId));
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /seller/inventory
+ * Protected — stock overview of the current user's products, lowest stock first.
+ * Each product's movements are at GET /products/:id/inventory.
+ * ?status=Low Stock|Out of Stock|In Stock
+ */
+router.get("/inventory", validate(inventorySchemas.overview), async (req, res, next) => {
+  try {
+    const filter = { owner: req.payload._id };
+    if (req.query.status) filter.availabilityStatus = req.query.status;
+
+    const products = await Product.find(filter)
+      .select("title sku stock lowStockThreshold availabilityStatus variants._id variants.options variants.sku variants.stock")
+      .sort({ stock: 1, _id: 1 })
+      .lean();
+
+    res.json(products);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /seller/products/deleted
+ * Protected — the current user's deleted products that can still be restored
+ * (POST /products/:id/restore), most recently deleted first.
+ * Paginated (?page/limit/cursor/fields)
+ */
+router.get("/products/deleted", validate(productSchemas.deletedList), async (req, res, next) => {
+  try {
+    const page = await paginate(Product, req, {
+      filter: { owner: req.payload._id, deletedAt: { $gte: Product.retentionCutoff() } },
+      sort: { deletedAt: -1 },
+      select: "title sku thumbnail price deletedAt deletedBy",
+    });
+    res.json(page);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /seller/products/import
+ * Protected — bulk create/update the current user's products from a file.
+ * The request body IS the file: Content-Type text/csv or application/json
+ * (columns and shape: utils/catalog.utils.js). Rows are matched on sku.
+ * ?dryRun=true checks every row and reports without writing anything.
+ * Answers { dryRun, rows, created, updated, failed, errors: [{ row, sku, errors }] }
+ */
+router.post("/products/import", validate(catalogSchemas.importProducts), async (req, res, next) => {
+  try {
+    const format = req.is("text/csv") ? "csv" : req.is("application/json") ? "json" : null;
+    if (!format) {
+      throw new UnsupportedMediaTypeError("Send the file as text/csv or application/json", "UNSUPPORTED_FILE_TYPE");
+    }
+
+    const report = await importProducts(req, format, { owner: req.payload._id, dryRun: req.query.dryRun });
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /seller/products/export
+ * Protected — download the current user's catalog (same format the import reads;
+ * products without a sku need one before they can be imported back)
+ * ?format=csv|json (default csv)
+ */
+router.get("/products/export", validate(catalogSchemas.exportProducts), async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.type(format === "csv" ? "text/csv" : "application/json");
+    res.attachment(`products-${date}.${format}`);
+    await exportProducts(req.payload._id, format, res);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
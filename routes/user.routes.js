@@ -0,0 +1,155 @@
+// routes/user.routes.js
+const router = require("express").Router();
+const bcrypt = require("bcrypt");
+const User = require("../models/User.model");
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const { isAuthenticated } = require("../middleware/jwt.middleware");
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const { revokeUserSessions, clearRefreshCookie } = require("../utils/session.utils");
+const { hasOpenOrders, deleteAccount } = require("../utils/account.utils");
+const { hashPassword } = require("../utils/password.utils");
+const schemas = require("../validation/user.schemas");
+
+// Never send these back, not even to the account owner
+const PRIVATE_FIELDS = "-password -failedLoginAttempts -lockUntil";
+
+/**
+ * GET /users/me
+ * Protected — the logged-in user's account
+ */
+router.get("/me", isAuthenticated, validate(), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.payload._id).select(PRIVATE_FIELDS);
+    if (!user) throw new NotFoundError("User not found");
+    res.json(user);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /users/me
+ * Protected — update name, avatar and/or the shipping address list
+ * body: { name?, avatar?, addresses? } (addresses replaces the whole list)
+ */
+router.patch("/me", isAuthenticated, validate(schemas.updateMe), async (req, res, next) => {
+  try {
+    const { name, avatar, addresses } = req.body;
+    const update = {};
+
+    if (name !== undefined) update.name = name;
+    if (avatar !== undefined) update.avatar = avatar;
+    if (addresses !== undefined) {
+      if (addresses.filter((a) => a.isDefault).length > 1) {
+        throw new ValidationError([
+          { location: "body", field: "addresses", code: "invalid", message: "Only one address can be the default" },
+        ]);
+      }
+      update.addresses = addresses;
+    }
+
+    if (Object.keys(update).length === 0) {
+      throw new ValidationError([
+        { location: "body", field: "body", code: "required", message: "No changes provided" },
+      ]);
+    }
+
+    const user = await User.findByIdAndUpdate(req.payload._id, update, {
+      new: true,
+      runValidators: true,
+    }).select(PRIVATE_FIELDS);
+    if (!user) throw new NotFoundError("User not found");
+    res.json(user);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /users/me/password
+ * Protected — change password; the current one is required.
+ * Other sessions are logged out, the current one stays.
+ * body: { currentPassword, newPassword }
+ */
+router.patch("/me/password", isAuthenticated, validate(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.payload._id);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!bcrypt.compareSync(currentPassword, user.password)) {
+      throw new ForbiddenError("Current password is incorrect");
+    }
+
+    user.password = hashPassword(newPassword);
+    await user.save();
+
+    await revokeUserSessions(user._id, "password changed", req.payload.sid);
+    res.json({ message: "Password updated" });
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /users/me
+ * Protected — delete the account (password required).
+ * See deleteAccount for what happens to products and reviews.
+ * body: { password }
+ */
+router.delete("/me", isAuthenticated, validate(schemas.deleteMe), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.payload._id);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!bcrypt.compareSync(password, user.password)) {
+      throw new ForbiddenError("Password is incorrect");
+    }
+
+    if (await hasOpenOrders(user._id)) {
+      throw new ConflictError(
+        "You have orders that are still open. Wait for them to complete or cancel them first.",
+        "OPEN_ORDERS"
+      );
+    }
+
+    const result = await deleteAccount(user._id);
+    clearRefreshCookie(res);
+    res.json({ message: "Account deleted", ...result });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /users/:id
+ * Public — seller profile: their products and the average rating across
+ * reviews of those products (reviews hidden by a moderator don't count)
+ */
+router.get("/:id", validate(schemas.profile), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select("name avatar role createdAt").lean();
+    if (!user) throw new NotFoundError("User not found");
+
+    const products = await Product.find({ owner: id })
+      .select("title price discountPercentage thumbnail category stock createdAt")
+      .populate("category", "name slug")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const [stats] = await Review.aggregate([
+      { $match: { product: { $in: products.map((p) => p._id) }, rating: { $ne: null }, ...Review.VISIBLE } },
+      { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      ...user,
+      products,
+      rating: {
+        average: stats ? Math.round(stats.average * 10) / 10 : null,
+        count: stats ? stats.count : 0,
+      },
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
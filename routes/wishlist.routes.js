@@ -0,0 +1,118 @@
+// routes/wishlist.routes.js
+const router = require("express").Router();
+const Wishlist = require("../models/wishlist.model");
+const Product = require("../models/product.model");
+const Cart = require("../models/cart.model");
+const { isAuthenticated } = require("../middleware/jwt.middleware");
+const { NotFoundError } = require("../error-handling/errors");
+const { validate } = require("../middleware/validate.middleware");
+const { netPrice } = require("../utils/pricing.utils");
+const schemas = require("../validation/wishlist.schemas");
+
+// Product fields shown for a saved product
+const PRODUCT_FIELDS = "title thumbnail price discountPercentage stock availabilityStatus";
+
+// Every wishlist route belongs to the logged-in user
+router.use(isAuthenticated);
+
+// Saved products with their current price and stock. priceAtAdd and price
+// are what one unit costs after the product's own discount.
+function buildWishlistView(wishlist) {
+  const items = (wishlist?.items || []).map((item) => {
+    const product = item.product;
+
+    // product was deleted after being saved
+    if (!product || !product._id) {
+      return { product: null, priceAtAdd: item.priceAtAdd, addedAt: item.addedAt, available: false };
+    }
+
+    const price = netPrice(product);
+    return {
+      product: {
+        _id: product._id,
+        title: product.title,
+        thumbnail: product.thumbnail,
+        price: product.price,
+        discountPercentage: product.discountPercentage,
+        stock: product.stock,
+        availabilityStatus: product.availabilityStatus,
+      },
+      price,
+      priceAtAdd: item.priceAtAdd,
+      priceDropped: item.priceAtAdd !== undefined && price < item.priceAtAdd,
+      available: (product.stock ?? 0) > 0,
+      addedAt: item.addedAt,
+    };
+  });
+
+  return { _id: wishlist?._id, items, updatedAt: wishlist?.updatedAt };
+}
+
+// Loads the user's wishlist (populated) and sends it
+async function sendWishlist(res, userId, status = 200) {
+  const wishlist = await Wishlist.findOne({ user: userId }).populate("items.product", PRODUCT_FIELDS);
+  res.status(status).json(buildWishlistView(wishlist));
+}
+
+/**
+ * GET /wishlist
+ * Protected — current user's saved products with live price and stock
+ */
+router.get("/", validate(), async (req, res, next) => {
+  try {
+    await sendWishlist(res, req.payload._id);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /wishlist
+ * Protected — save a product (saving it again changes nothing).
+ * With fromCart: true the product's cart lines are removed ("save for later").
+ * body: { productId, fromCart? }
+ */
+router.post("/", validate(schemas.addItem), async (req, res, next) => {
+  try {
+    const { productId, fromCart } = req.body;
+    const userId = req.payload._id;
+
+    const product = await Product.findById(productId).select("price discountPercentage");
+    if (!product) throw new NotFoundError("Product not found");
+
+    // only pushes when the product isn't saved yet
+    await Wishlist.updateOne(
+      { user: userId, "items.product": { $ne: product._id } },
+      { $push: { items: { product: product._id, priceAtAdd: netPrice(product) } } },
+      { upsert: true }
+    ).catch((err) => {
+      // the upsert hits the unique user index when the product was already saved
+      if (err?.code !== 11000) throw err;
+    });
+
+    if (fromCart) {
+      await Cart.updateOne({ user: userId }, { $pull: { items: { product: product._id } } });
+    }
+
+    await sendWishlist(res, userId, 201);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /wishlist/:productId
+ * Protected — remove a saved product
+ */
+router.delete("/:productId", validate(schemas.removeItem), async (req, res, next) => {
+  try {
+    const userId = req.payload._id;
+    const result = await Wishlist.updateOne(
+      { user: userId, "items.product": req.params.productId },
+      { $pull: { items: { product: req.params.productId } } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new NotFoundError("Product is not on the wishlist");
+    }
+
+    await sendWishlist(res, userId);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// scripts/backfill-coupon-redemptions.js
+//
+// One-off: writes a CouponRedemption for every order placed with a coupon
+// before redemptions were recorded, so those uses count against the coupon's
+// perUserLimit (and cancelling the order gives them back). Cancelled orders
+// are skipped. Safe to run again: orders that have one already are left alone.
+// Run with: npm run backfill-coupon-redemptions
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const Order = require("../models/order.model");
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  // each customer's uses of each coupon, oldest first
+  const groups = await Order.aggregate([
+    { $match: { "coupon.couponId": { $exists: true }, status: { $ne: "cancelled" } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: { coupon: "$coupon.couponId", user: "$user" }, orders: { $push: "$_id" } } },
+  ]);
+
+  const coupons = await Coupon.find({ _id: { $in: groups.map((g) => g._id.coupon) } }).select("perUserLimit").lean();
+  const limited = new Set(coupons.filter((c) => c.perUserLimit).map((c) => c._id.toString()));
+
+  const ops = groups.flatMap(({ _id, orders }) =>
+    orders.map((order, i) => ({
+      updateOne: {
+        filter: { order },
+        update: {
+          $setOnInsert: {
+            coupon: _id.coupon,
+            user: _id.user,
+            order,
+            ...(limited.has(_id.coupon.toString()) && { slot: i + 1 }),
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+  if (ops.length === 0) {
+    console.log("No coupon orders to backfill");
+    return;
+  }
+
+  let created = 0;
+  try {
+    created = (await CouponRedemption.bulkWrite(ops, { ordered: false })).upsertedCount;
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    created = err.result?.upsertedCount ?? 0;
+    for (const writeError of err.writeErrors) console.error("Skipped:", writeError.errmsg || writeError.message);
+  }
+  console.log(`Backfilled ${created} coupon redemption(s) from ${ops.length} order(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// scripts/cleanup-uploads.js
+//
+// Deletes uploaded images that no product or review uses any more (older
+// than an hour, so uploads in progress are safe). Run it from a cron job.
+// Run with: npm run cleanup-uploads
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const { removeUnreferencedUploads } = require("../utils/upload.utils");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  const removed = await removeUnreferencedUploads();
+  console.log(`Removed ${removed} unused upload(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,87 @@
+// scripts/migrate-categories.js
+//
+// One-off: turns the free-text Product.category strings into Category
+// documents and points every product at its category. Spellings that give the
+// same slug ("Serum", "serum ") become one category, named after the most
+// used spelling. Coupons limited to category names are converted too.
+// New categories start at the top level; arrange them with PATCH /categories/:id.
+// Safe to run again: only values that are still text are touched.
+// Run with: npm run migrate-categories
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const Category = require("../models/category.model");
+const Product = require("../models/product.model");
+const Coupon = require("../models/coupon.model");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  // every spelling still stored as text, most used first
+  const spellings = await Product.collection
+    .aggregate([
+      { $match: { category: { $type: "string" } } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ])
+    .toArray();
+
+  // slug -> Category, found or created on first use
+  const bySlug = new Map();
+  let created = 0;
+  async function categoryFor(text) {
+    const slug = Category.slugify(text);
+    if (!slug) return null;
+    if (!bySlug.has(slug)) {
+      let category = await Category.findOne({ slug });
+      if (!category) {
+        category = await Category.create({ name: text.trim(), slug });
+        created += 1;
+      }
+      bySlug.set(slug, category);
+    }
+    return bySlug.get(slug);
+  }
+
+  let moved = 0;
+  const skipped = [];
+  for (const { _id: text } of spellings) {
+    const category = await categoryFor(text);
+    if (!category) {
+      skipped.push(text);
+      continue;
+    }
+    const result = await Product.collection.updateMany({ category: text }, { $set: { category: category._id } });
+    moved += result.modifiedCount;
+  }
+
+  // coupons limited to categories by name
+  const coupons = await Coupon.collection.find({ categories: { $type: "string" } }).toArray();
+  for (const coupon of coupons) {
+    const ids = [];
+    for (const value of coupon.categories) {
+      if (typeof value !== "string") ids.push(value);
+      else {
+        const category = await categoryFor(value);
+        if (category) ids.push(category._id);
+      }
+    }
+    // a coupon left without categories would apply to everything, so switch it off instead
+    const update = ids.length ? { categories: ids } : { categories: ids, active: false };
+    await Coupon.collection.updateOne({ _id: coupon._id }, { $set: update });
+  }
+
+  console.log(`Created ${created} categor${created === 1 ? "y" : "ies"}, moved ${moved} product(s), updated ${coupons.length} coupon(s)`);
+  if (skipped.length) {
+    console.log(`No usable name, left as they are: ${skipped.map((s) => JSON.stringify(s)).join(", ")}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
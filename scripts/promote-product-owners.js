@@ -0,0 +1,31 @@
+// scripts/promote-product-owners.js
+//
+// One-off: gives the "seller" role to every customer who already owns
+// products, so they keep being able to create products after roles landed.
+// Run with: npm run promote-sellers
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const User = require("../models/User.model");
+const Product = require("../models/product.model");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  const ownerIds = await Product.distinct("owner");
+  const result = await User.updateMany(
+    { _id: { $in: ownerIds }, role: { $in: [null, "customer"] } },
+    { $set: { role: "seller" } }
+  );
+
+  console.log(`Promoted ${result.modifiedCount} product owner(s) to seller`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+// scripts/purge-deleted.js
+//
+// Removes for good the products and reviews that were deleted longer ago
+// than the retention window (SOFT_DELETE_RETENTION_DAYS, default 30), with
+// their reviews, votes and uploaded images. Until then they can be
+// restored. Run it from a cron job.
+// Run with: npm run purge-deleted
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const { purgeExpired } = require("../utils/deletion.utils");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  const { products, reviews } = await purgeExpired();
+  console.log(`Purged ${products} product(s) and ${reviews} review(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
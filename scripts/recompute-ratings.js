@@ -0,0 +1,27 @@
+// scripts/recompute-ratings.js
+//
+// One-off: rebuilds ratingAverage, ratingCount and ratingHistogram on every
+// product from the Review collection (e.g. for data written before the
+// fields were kept in sync). Safe to run again at any time.
+// Run with: npm run recompute-ratings
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../db");
+
+const Review = require("../models/review.model");
+require("../models/product.model");
+
+async function main() {
+  await mongoose.connection.asPromise();
+
+  const updated = await Review.syncAllProductRatings();
+  console.log(`Recomputed ratings, ${updated} product(s) updated`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// storage/index.js
+//
+// ℹ️ Uploaded files go through the adapter named by STORAGE_DRIVER ("local"
+// by default). Built in:
+//   - local: files under UPLOAD_DIR (default ./uploads), served by app.js at /uploads
+// A cloud bucket (S3, GCS, ...) is another object with the same methods,
+// added with `registerStorage`.
+
+/**
+ * @typedef {Object} StoredFile
+ * @property {string} key  adapter-specific path, e.g. "products/<id>/ab12-full.webp"
+ * @property {string} url  public URL clients load the file from
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {(key: string, data: Buffer, opts: { contentType: string }) => Promise<StoredFile>} put
+ * @property {(key: string) => Promise<void>} remove  no error when the file is already gone
+ * @property {(key: string) => string} urlFor
+ */
+
+const localStorage = require("./local.storage");
+
+const adapters = new Map([[localStorage.name, localStorage]]);
+
+/** Registers (or replaces) an adapter under its `name`. */
+function registerStorage(adapter) {
+  adapters.set(adapter.name, adapter);
+}
+
+/** The configured adapter (STORAGE_DRIVER, default "local"). */
+function getStorage(name = process.env.STORAGE_DRIVER || "local") {
+  const adapter = adapters.get(name);
+  if (!adapter) throw new Error(`Unknown storage driver "${name}"`);
+  return adapter;
+}
+
+module.exports = { registerStorage, getStorage };
@@ -0,0 +1,55 @@
+// storage/local.storage.js
+//
+// ℹ️ Stores files on the server's disk. Fine for development and a single
+// instance; with several instances use a shared bucket adapter instead.
+//   UPLOAD_DIR         where files are written (default ./uploads)
+//   UPLOAD_PUBLIC_URL  URL prefix they're served from (default /uploads)
+//   SERVER_URL         this server's address, for a relative UPLOAD_PUBLIC_URL
+//                      (default http://localhost:<PORT>)
+// URLs are always absolute: they end up in review.imageUrl and product
+// images/thumbnail, which only take http(s) URLs.
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const root = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5005}`;
+const publicUrl = () =>
+  new URL(process.env.UPLOAD_PUBLIC_URL || "/uploads", `${serverUrl().replace(/\/$/, "")}/`).href.replace(/\/$/, "");
+
+// Keys come from our own code, but never let one point outside the upload dir
+function fileFor(key) {
+  const file = path.resolve(root(), key);
+  if (!file.startsWith(root() + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+  return file;
+}
+
+const localStorage = {
+  name: "local",
+
+  // for express.static in app.js
+  get directory() {
+    return root();
+  },
+
+  urlFor(key) {
+    return `${publicUrl()}/${key}`;
+  },
+
+  async put(key, data) {
+    const file = fileFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+    return { key, url: this.urlFor(key) };
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(fileFor(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+};
+
+module.exports = localStorage;
@@ -0,0 +1,68 @@
+// test/admin-role.test.js
+//
+// PATCH /admin/users/:id/role logs the user out everywhere when their role
+// changes, since their tokens still carry the old one (routes/admin.routes.js).
+// The database is replaced by one in-memory user.
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const User = require("../models/User.model");
+const Session = require("../models/session.model");
+const router = require("../routes/admin.routes");
+
+const setRole = router.stack.find((layer) => layer.route?.path === "/users/:id/role").route.stack.at(-1).handle;
+
+let stored;
+let revoked;
+
+// findOneAndUpdate/findById(...).select(): the user (as a plain object) or null
+const selectable = (result) => ({ select: async () => result && { ...result } });
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = { _id: new Types.ObjectId(), name: "Sam", role: "seller" };
+  revoked = [];
+  mock.method(User, "findOneAndUpdate", (filter, update) => {
+    const matches = String(filter._id) === String(stored._id) && stored.role !== filter.role.$ne;
+    if (matches) Object.assign(stored, update);
+    return selectable(matches ? stored : null);
+  });
+  mock.method(User, "findById", (id) => selectable(String(id) === String(stored._id) ? stored : null));
+  mock.method(Session, "updateMany", async (filter, update) => revoked.push({ filter, reason: update.$set.revokedReason }));
+});
+
+function send(id, role) {
+  const req = { params: { id: String(id) }, body: { role }, payload: { _id: String(new Types.ObjectId()), role: "admin" } };
+  return new Promise((resolve) => {
+    setRole(req, { json: (data) => resolve({ status: 200, data }) }, (err) => resolve({ status: err.status, error: err }));
+  });
+}
+
+test("a new role revokes the user's sessions", async () => {
+  const { status, data } = await send(stored._id, "customer");
+
+  assert.equal(status, 200);
+  assert.equal(data.role, "customer");
+  assert.equal(revoked.length, 1);
+  assert.equal(String(revoked[0].filter.user), String(stored._id));
+  assert.equal(revoked[0].reason, "role changed");
+});
+
+test("the same role again leaves the sessions alone", async () => {
+  const { status, data } = await send(stored._id, "seller");
+
+  assert.equal(status, 200);
+  assert.equal(data.role, "seller");
+  assert.equal(revoked.length, 0);
+});
+
+test("an unknown user is a 404", async () => {
+  const { status } = await send(new Types.ObjectId(), "admin");
+
+  assert.equal(status, 404);
+  assert.equal(revoked.length, 0);
+});
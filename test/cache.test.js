@@ -0,0 +1,170 @@
+// test/cache.test.js
+//
+// The public catalog response cache (middleware/cache.middleware.js,
+// utils/cache.utils.js, cache/memory.cache.js): keys, HIT/MISS, 304s from a
+// cached ETag, and what a product write drops. Served by a small app with
+// in-memory routes standing in for the catalog.
+// Run with: npm test (no database needed)
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { Types } = require("mongoose");
+
+const { getCache } = require("../cache");
+const { cacheResponse } = require("../middleware/cache.middleware");
+const { cacheKey, invalidateProducts, filteredIds, cacheStats } = require("../utils/cache.utils");
+
+const ids = [new Types.ObjectId(), new Types.ObjectId()];
+let computed; // path -> times the route handler ran
+let beforeAnswer; // runs inside the handler, before it answers
+let server;
+let baseUrl;
+
+before(async () => {
+  const router = express.Router();
+  const answer = (req, res, body) => {
+    computed[req.originalUrl] = (computed[req.originalUrl] || 0) + 1;
+    return Promise.resolve(beforeAnswer?.()).then(() => res.json(body));
+  };
+  router.get("/", cacheResponse({ name: "test:list", ttl: 60, cacheControl: "public, max-age=30" }), (req, res) =>
+    answer(req, res, { data: ids })
+  );
+  router.get("/:id", cacheResponse({ name: "test:item", ttl: 60, cacheControl: "public, no-cache" }), (req, res) => {
+    if (!ids.some((id) => id.equals(req.params.id))) return res.status(404).json({ code: "NOT_FOUND" });
+    res.set("ETag", `"${req.params.id}"`);
+    return answer(req, res, { _id: req.params.id });
+  });
+
+  const app = express();
+  app.use("/products", router);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(async () => {
+  await getCache().clear();
+  computed = {};
+  beforeAnswer = null;
+});
+
+// http.get rather than fetch, which marks requests with If-None-Match no-cache
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(baseUrl + path, { headers }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      })
+      .on("error", reject);
+  });
+}
+
+const item = (i) => `/products/${ids[i]}`;
+
+test("the key sorts the query and leaves out unset values", () => {
+  const req = {
+    baseUrl: "/products",
+    path: "/",
+    query: { sort: "newest", category: "serum", limit: 20, tags: ["vegan", "matte"], q: "", brand: undefined },
+  };
+
+  assert.equal(cacheKey(req), "http:/products/?category=serum&limit=20&sort=newest&tags=vegan%2Cmatte");
+});
+
+test("answers the second request from the cache", async () => {
+  const first = await get("/products/?limit=20&sort=newest");
+  const second = await get("/products/?sort=newest&limit=20");
+
+  assert.equal(first.headers["x-cache"], "MISS");
+  assert.equal(second.headers["x-cache"], "HIT");
+  assert.equal(second.headers["cache-control"], "public, max-age=30");
+  assert.equal(second.body, first.body);
+  assert.equal(Object.values(computed).reduce((a, b) => a + b, 0), 1);
+});
+
+test("a cached answer keeps its ETag and gives 304 for If-None-Match", async () => {
+  await get(item(0));
+  const cached = await get(item(0), { "If-None-Match": `"${ids[0]}"` });
+
+  assert.equal(cached.headers["x-cache"], "HIT");
+  assert.equal(cached.status, 304);
+});
+
+test("a product write drops its page and the lists, not other products", async () => {
+  await Promise.all([get("/products/"), get(item(0)), get(item(1))]);
+
+  await invalidateProducts([ids[0]]);
+  const [list, changed, other] = await Promise.all([get("/products/"), get(item(0)), get(item(1))]);
+
+  assert.deepEqual([list, changed, other].map((res) => res.headers["x-cache"]), ["MISS", "MISS", "HIT"]);
+});
+
+test("a write to unknown products drops every product page", async () => {
+  await Promise.all([get(item(0)), get(item(1))]);
+
+  await invalidateProducts(filteredIds({ price: { $gt: 10 } }));
+  const pages = await Promise.all([get(item(0)), get(item(1))]);
+
+  assert.deepEqual(pages.map((res) => res.headers["x-cache"]), ["MISS", "MISS"]);
+});
+
+test("an answer computed while a write invalidated the cache isn't stored", async () => {
+  beforeAnswer = () => invalidateProducts([ids[0]]);
+  await get(item(0));
+  beforeAnswer = null;
+
+  const next = await get(item(0));
+
+  assert.equal(next.headers["x-cache"], "MISS");
+  assert.equal(computed[item(0)], 2);
+});
+
+test("error answers aren't cached", async () => {
+  const path = `/products/${new Types.ObjectId()}`;
+
+  await get(path);
+  const again = await get(path);
+
+  assert.equal(again.status, 404);
+  assert.equal(again.headers["x-cache"], "MISS");
+});
+
+test("filteredIds reads the ids a query filter is limited to", () => {
+  assert.deepEqual(filteredIds({ _id: ids[0] }), [ids[0]]);
+  assert.deepEqual(filteredIds({ _id: { $in: ids }, owner: ids[0] }), ids);
+  assert.equal(filteredIds({ owner: ids[0] }), null);
+  assert.equal(filteredIds(undefined), null);
+});
+
+test("the memory store drops the least recently used entry when full", async () => {
+  const store = getCache();
+  process.env.CACHE_MAX_ENTRIES = "2";
+  try {
+    await store.set("a", "1", 60000);
+    await store.set("b", "2", 60000);
+    await store.get("a");
+    await store.set("c", "3", 60000);
+
+    assert.deepEqual(await Promise.all(["a", "b", "c"].map((key) => store.get(key))), ["1", undefined, "3"]);
+  } finally {
+    delete process.env.CACHE_MAX_ENTRIES;
+  }
+});
+
+test("counts hits and misses per route", async () => {
+  const before = cacheStats().routes["test:item"] || { hits: 0, misses: 0 };
+
+  await get(item(1));
+  await get(item(1));
+  const after = cacheStats().routes["test:item"];
+
+  assert.deepEqual([after.hits - before.hits, after.misses - before.misses], [1, 1]);
+});
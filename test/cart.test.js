@@ -0,0 +1,105 @@
+// test/cart.test.js
+//
+// Cart lines checked against live products (utils/cart.utils.js): quantity
+// limits, and the price and availability changes reported since a line was
+// added. Carts are plain objects with their products populated.
+// Run with: npm test (no database needed)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Coupon = require("../models/coupon.model");
+const { validateQuantity, variantLabel, buildCartView } = require("../utils/cart.utils");
+
+const product = (fields = {}) => ({ _id: new Types.ObjectId(), title: "Serum", price: 10, stock: 5, ...fields });
+const line = (item, fields = {}) => ({
+  product: item,
+  quantity: 1,
+  priceAtAdd: item?.price,
+  availableAtAdd: true,
+  ...fields,
+});
+
+test("validateQuantity checks the quantity against stock and the minimum order", () => {
+  assert.equal(validateQuantity(product(), 5), null);
+  assert.equal(validateQuantity(product(), 0), "quantity must be a positive integer");
+  assert.equal(validateQuantity(product(), 1.5), "quantity must be a positive integer");
+  assert.equal(validateQuantity(product(), 6), "Only 5 left in stock");
+  assert.equal(
+    validateQuantity(product({ minimumOrderQuantity: 3 }), 2),
+    "Minimum order quantity for this product is 3"
+  );
+  assert.equal(validateQuantity(product({ stock: 0 }), 1), "Product is out of stock");
+});
+
+test("a product without a stored stock counts as out of stock", () => {
+  assert.equal(validateQuantity(product({ stock: undefined }), 1), "Product is out of stock");
+});
+
+test("a variant's own stock is what counts", () => {
+  const variant = { _id: new Types.ObjectId(), price: 12, stock: 1 };
+
+  assert.equal(validateQuantity(product({ stock: 9 }), 2, variant), "Only 1 left in stock");
+});
+
+test("variantLabel reads options from a document Map or a lean object", () => {
+  assert.equal(variantLabel({ options: new Map([["Size", "50ml"], ["Color", "Red"]]) }), "Size: 50ml, Color: Red");
+  assert.equal(variantLabel({ options: { Size: "50ml" } }), "Size: 50ml");
+});
+
+test("an unchanged cart is priced with no changes to report", () => {
+  const view = buildCartView({ items: [line(product(), { quantity: 2 })] });
+
+  assert.equal(view.hasChanges, false);
+  assert.deepEqual([view.items[0].priceChanged, view.items[0].availabilityChanged], [false, false]);
+  assert.deepEqual([view.subtotal, view.total], [20, 20]);
+});
+
+test("reports a new price since the line was added", () => {
+  const view = buildCartView({ items: [line(product({ price: 12 }), { priceAtAdd: 10 })] });
+
+  assert.equal(view.hasChanges, true);
+  assert.equal(view.items[0].priceChanged, true);
+  assert.equal(view.items[0].unitPrice, 12);
+  assert.equal(view.total, 12);
+});
+
+test("a line that can't be bought any more is reported and left out of the totals", () => {
+  const view = buildCartView({
+    items: [
+      line(product(), { quantity: 2 }),
+      line(product({ stock: 1 }), { quantity: 3 }),
+      line(null, { priceAtAdd: 4 }),
+    ],
+  });
+
+  assert.equal(view.hasChanges, true);
+  assert.deepEqual(
+    view.items.map((item) => [item.available, item.availabilityChanged, item.message]),
+    [
+      [true, false, null],
+      [false, true, "Only 1 left in stock"],
+      [false, true, "Product is no longer available"],
+    ]
+  );
+  assert.equal(view.total, 20);
+});
+
+test("a removed variant can't be bought", () => {
+  const item = product({ variants: [] });
+
+  const view = buildCartView({ items: [line(item, { variant: new Types.ObjectId() })] });
+
+  assert.equal(view.items[0].available, false);
+  assert.equal(view.items[0].message, "This option is no longer available");
+  assert.equal(view.items[0].priceChanged, false);
+});
+
+test("a coupon that no longer applies is shown as not applied, with the reason", () => {
+  const coupon = new Coupon({ code: "SPRING", type: "fixed", value: 5, minSpend: 50, createdBy: new Types.ObjectId() });
+
+  const view = buildCartView({ items: [line(product())], couponCode: "SPRING" }, { coupon });
+
+  assert.deepEqual([view.coupon.applied, view.coupon.reason], [false, "COUPON_MIN_SPEND"]);
+  assert.deepEqual([view.couponDiscount, view.total], [0, 10]);
+});
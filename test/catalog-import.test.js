@@ -0,0 +1,102 @@
+// test/catalog-import.test.js
+//
+// Catalog import rows that set `stock` only apply over the level the import
+// read (utils/catalog.utils.js importBatch). The database is replaced by
+// in-memory products that answer the guarded updates like MongoDB does:
+// { stock: null } also matches a document without a stock field.
+// Run with: npm test (no database needed)
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { Types } = require("mongoose");
+
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const AuditLog = require("../models/auditLog.model");
+const { importProducts } = require("../utils/catalog.utils");
+
+const owner = new Types.ObjectId();
+let stored; // sku -> the product as the database holds it
+let ledger;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === "_id" || key === "owner") return String(value) === String(doc[key]);
+    if (value === null) return doc[key] === undefined || doc[key] === null;
+    return doc[key] === value;
+  });
+
+function write(filter, update) {
+  const doc = Object.values(stored).find((product) => matches(product, filter));
+  if (doc) Object.assign(doc, update.$set);
+  return { matchedCount: doc ? 1 : 0 };
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  ledger = [];
+  const query = () => ({
+    withDeleted() { return this; },
+    select() { return this; },
+    lean: async () => Object.values(stored).map((product) => ({ ...product })),
+  });
+  mock.method(Product, "find", query);
+  mock.method(Product, "bulkWrite", async (ops) => ops.forEach(({ updateOne }) => write(updateOne.filter, updateOne.update)));
+  mock.method(Product, "updateOne", async (filter, update) => write(filter, update));
+  mock.method(Product, "refreshStockStatus", async () => {});
+  mock.method(InventoryMovement, "insertMany", async (entries) => ledger.push(...entries) && entries);
+  mock.method(AuditLog, "insertMany", async () => []);
+});
+
+const product = (sku, fields = {}) => ({ _id: new Types.ObjectId(), owner, sku, title: sku, price: 10, ...fields });
+
+const importCsv = (csv) => importProducts(Readable.from([csv]), "csv", { owner });
+
+test("sets the stock of a product that never had one stored", async () => {
+  stored = { A: product("A") };
+
+  const report = await importCsv("sku,stock\nA,6\n");
+
+  assert.equal(report.failed, 0, JSON.stringify(report.errors));
+  assert.equal(report.updated, 1);
+  assert.equal(stored.A.stock, 6);
+  assert.equal(ledger.length, 1);
+  assert.deepEqual([ledger[0].quantity, ledger[0].stockAfter], [6, 6]);
+});
+
+test("stores 0 on a product without stock and logs no movement", async () => {
+  stored = { A: product("A") };
+
+  const report = await importCsv("sku,stock\nA,0\n");
+
+  assert.equal(report.failed, 0, JSON.stringify(report.errors));
+  assert.equal(stored.A.stock, 0);
+  assert.equal(ledger.length, 0);
+});
+
+test("logs the difference from the level read", async () => {
+  stored = { A: product("A", { stock: 5 }) };
+
+  await importCsv("sku,stock\nA,2\n");
+
+  assert.equal(stored.A.stock, 2);
+  assert.deepEqual([ledger[0].quantity, ledger[0].stockAfter], [-3, 2]);
+});
+
+test("reports a conflict when the stock changed after it was read", async () => {
+  stored = { A: product("A", { stock: 5 }), B: product("B", { stock: 5 }) };
+  mock.method(Product, "updateOne", async (filter, update) => {
+    if (String(filter._id) === String(stored.A._id)) stored.A.stock = 4; // an order lands meanwhile
+    return write(filter, update);
+  });
+
+  const report = await importCsv("sku,stock\nA,9\nB,9\n");
+
+  assert.equal(report.updated, 1);
+  assert.equal(report.failed, 1);
+  assert.equal(report.errors[0].sku, "A");
+  assert.equal(report.errors[0].errors[0].code, "conflict");
+  assert.equal(stored.A.stock, 4);
+  assert.equal(stored.B.stock, 9);
+  assert.deepEqual(ledger.map((entry) => String(entry.product)), [String(stored.B._id)]);
+});
@@ -0,0 +1,179 @@
+// test/checkout-stock.test.js
+//
+// Stock taken at checkout and given back on cancel (utils/checkout.utils.js):
+// a decrement only applies when there is enough stock left, and a checkout
+// that can't get every line puts back what it took. The database is replaced
+// by in-memory products that answer the conditional updates like MongoDB does.
+// Run with: npm test (no database needed)
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Product = require("../models/product.model");
+const Wishlist = require("../models/wishlist.model");
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const { mergeLines, reserveStock, releaseStock, releaseOrder } = require("../utils/checkout.utils");
+
+let products; // the products as stored
+let ledger;
+let releasedCoupons;
+
+const enough = (stock, condition) => condition === undefined || stock >= condition.$gte;
+
+// changeStock's update: { _id, stock?: { $gte }, variants?: { $elemMatch: { _id, stock? } } }
+function stockUpdate(filter, { $inc }) {
+  const product = products.find((p) => p._id.equals(filter._id));
+  const match = filter.variants?.$elemMatch;
+  const variant = match && product?.variants.find((v) => v._id.equals(match._id));
+  const applies =
+    product && enough(product.stock, filter.stock) && (!match || (variant && enough(variant.stock, match.stock)));
+  if (applies) {
+    product.stock += $inc.stock;
+    if (variant) variant.stock += $inc["variants.$.stock"];
+  }
+  const result = applies ? { ...product, variants: product.variants.map((v) => ({ ...v })) } : null;
+  const query = { select: () => query, lean: () => query, withDeleted: () => query };
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  products = [];
+  ledger = [];
+  releasedCoupons = [];
+  mock.method(Product, "findOneAndUpdate", stockUpdate);
+  mock.method(Product, "refreshStockStatus", async () => {});
+  mock.method(Wishlist, "find", () => ({ distinct: async () => [] }));
+  mock.method(InventoryMovement, "insertMany", async (entries) => ledger.push(...entries) && entries);
+  mock.method(CouponRedemption, "deleteOne", async ({ order }) => releasedCoupons.push(order));
+  mock.method(Coupon, "updateOne", async () => ({ modifiedCount: 1 }));
+});
+
+function product(stock, variantStocks = []) {
+  const doc = {
+    _id: new Types.ObjectId(),
+    title: "Serum",
+    stock,
+    variants: variantStocks.map((variantStock) => ({ _id: new Types.ObjectId(), stock: variantStock })),
+  };
+  products.push(doc);
+  return doc;
+}
+
+test("mergeLines adds up repeated products and variants", () => {
+  const [a, b] = [new Types.ObjectId(), new Types.ObjectId()];
+
+  const merged = mergeLines([
+    { productId: a, quantity: 1 },
+    { productId: a, quantity: "2" },
+    { productId: a, variantId: b, quantity: 1 },
+  ]);
+
+  assert.deepEqual(
+    merged.map(({ variantId, quantity }) => [Boolean(variantId), quantity]),
+    [
+      [false, 3],
+      [true, 1],
+    ]
+  );
+});
+
+test("reserves every line and returns the sale movements", async () => {
+  const [serum, cream] = [product(5), product(2)];
+
+  const reserved = await reserveStock([
+    { productId: serum._id, quantity: 2 },
+    { productId: cream._id, quantity: 2 },
+  ]);
+
+  assert.deepEqual([serum.stock, cream.stock], [3, 0]);
+  assert.deepEqual(
+    reserved.map(({ quantity, stockAfter }) => [quantity, stockAfter]),
+    [
+      [-2, 3],
+      [-2, 0],
+    ]
+  );
+});
+
+test("two buyers racing for the last unit: one gets it, the other a conflict", async () => {
+  const serum = product(1);
+  const line = [{ productId: serum._id, quantity: 1 }];
+
+  const results = await Promise.allSettled([reserveStock(line), reserveStock(line)]);
+
+  assert.deepEqual(results.map((result) => result.status), ["fulfilled", "rejected"]);
+  assert.equal(results[1].reason.code, "OUT_OF_STOCK");
+  assert.equal(serum.stock, 0);
+});
+
+test("a checkout that can't get every line puts back what it took", async () => {
+  const [serum, cream] = [product(5), product(1)];
+
+  await assert.rejects(
+    reserveStock([
+      { productId: serum._id, quantity: 2 },
+      { productId: cream._id, quantity: 3 },
+    ]),
+    { status: 409, code: "OUT_OF_STOCK" }
+  );
+  assert.deepEqual([serum.stock, cream.stock], [5, 1]);
+});
+
+test("a variant's stock and the product total move together", async () => {
+  const serum = product(5, [3, 2]);
+  const [small, large] = serum.variants;
+
+  await reserveStock([{ productId: serum._id, variantId: large._id, quantity: 2 }]);
+  await assert.rejects(reserveStock([{ productId: serum._id, variantId: large._id, quantity: 1 }]), {
+    code: "OUT_OF_STOCK",
+  });
+
+  assert.deepEqual([serum.stock, small.stock, large.stock], [3, 3, 0]);
+});
+
+test("releaseStock skips products that no longer exist", async () => {
+  const serum = product(0);
+
+  const released = await releaseStock([
+    { productId: serum._id, quantity: 2 },
+    { productId: new Types.ObjectId(), quantity: 1 },
+  ]);
+
+  assert.equal(serum.stock, 2);
+  assert.deepEqual(released.map(({ quantity, stockAfter }) => [quantity, stockAfter]), [[2, 2]]);
+});
+
+test("releaseOrder gives back the stock, logged as a cancellation, and the coupon use", async () => {
+  const serum = product(1);
+  const order = {
+    _id: new Types.ObjectId(),
+    items: [{ product: serum._id, quantity: 2 }],
+    coupon: { couponId: new Types.ObjectId() },
+  };
+
+  await releaseOrder(order, { by: new Types.ObjectId() });
+
+  assert.equal(serum.stock, 3);
+  const movements = ledger.map(({ type, quantity, stockAfter }) => [type, quantity, stockAfter]);
+  assert.deepEqual(movements, [["cancellation", 2, 3]]);
+  assert.deepEqual(releasedCoupons, [order._id]);
+});
+
+test("releaseOrder without restock only gives back the coupon use", async () => {
+  const serum = product(1);
+  const order = {
+    _id: new Types.ObjectId(),
+    items: [{ product: serum._id, quantity: 2 }],
+    coupon: { couponId: new Types.ObjectId() },
+  };
+
+  await releaseOrder(order, { restock: false });
+
+  assert.equal(serum.stock, 1);
+  assert.equal(ledger.length, 0);
+  assert.deepEqual(releasedCoupons, [order._id]);
+});
@@ -0,0 +1,97 @@
+// test/coupon-redemption.test.js
+//
+// A coupon's per-customer and total limits hold when checkouts race
+// (utils/coupon.utils.js). The database is replaced by in-memory
+// redemptions that enforce the unique slot index like MongoDB does.
+// Run with: npm test (no database needed)
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const { findUsableCoupon, redeemCoupon, releaseCoupon } = require("../utils/coupon.utils");
+
+const user = new Types.ObjectId();
+let redemptions;
+let usedCount;
+
+const coupon = (fields) => new Coupon({ code: "SPRING", type: "fixed", value: 5, createdBy: user, ...fields });
+
+beforeEach(() => {
+  mock.restoreAll();
+  redemptions = [];
+  usedCount = 0;
+  mock.method(CouponRedemption, "create", async (redemption) => {
+    // unique { coupon, user, slot } where a slot is set
+    const taken = redemptions.some(
+      (other) => other.slot && other.slot === redemption.slot && String(other.user) === String(redemption.user)
+    );
+    if (taken) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    redemptions.push(redemption);
+    return redemption;
+  });
+  mock.method(CouponRedemption, "deleteOne", async ({ order }) => {
+    redemptions = redemptions.filter((redemption) => String(redemption.order) !== String(order));
+  });
+  mock.method(CouponRedemption, "countDocuments", async () => redemptions.length);
+  mock.method(Coupon, "updateOne", async (filter, update) => {
+    if (filter.usedCount?.$lt !== undefined && usedCount >= filter.usedCount.$lt) return { modifiedCount: 0 };
+    if (filter.usedCount?.$gt !== undefined && usedCount <= filter.usedCount.$gt) return { modifiedCount: 0 };
+    usedCount += update.$inc.usedCount;
+    return { modifiedCount: 1 };
+  });
+});
+
+test("two checkouts racing for a once-per-customer coupon: only one gets it", async () => {
+  const once = coupon({ perUserLimit: 1 });
+
+  const results = await Promise.allSettled([
+    redeemCoupon(once, user, new Types.ObjectId()),
+    redeemCoupon(once, user, new Types.ObjectId()),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status), ["fulfilled", "rejected"]);
+  assert.equal(results[1].reason.code, "COUPON_LIMIT_REACHED");
+  assert.equal(redemptions.length, 1);
+  assert.equal(usedCount, 1);
+});
+
+test("each use takes the next free slot up to the limit", async () => {
+  const twice = coupon({ perUserLimit: 2 });
+
+  await redeemCoupon(twice, user, new Types.ObjectId());
+  await redeemCoupon(twice, user, new Types.ObjectId());
+  await assert.rejects(redeemCoupon(twice, user, new Types.ObjectId()), { code: "COUPON_LIMIT_REACHED" });
+
+  assert.deepEqual(redemptions.map((redemption) => redemption.slot), [1, 2]);
+});
+
+test("a released use frees its slot again", async () => {
+  const once = coupon({ perUserLimit: 1 });
+  const cancelled = new Types.ObjectId();
+
+  await redeemCoupon(once, user, cancelled);
+  await releaseCoupon(once._id, cancelled);
+  await redeemCoupon(once, user, new Types.ObjectId());
+
+  assert.equal(redemptions.length, 1);
+  assert.equal(usedCount, 1);
+});
+
+test("a coupon used up meanwhile gives back the claimed slot", async () => {
+  const limited = coupon({ perUserLimit: 1, usageLimit: 1 });
+  usedCount = 1; // another customer took the last use
+
+  await assert.rejects(redeemCoupon(limited, user, new Types.ObjectId()), { status: 409, code: "COUPON_USED_UP" });
+  assert.equal(redemptions.length, 0);
+});
+
+test("findUsableCoupon turns the code away once the customer used up their uses", async (t) => {
+  const once = coupon({ perUserLimit: 1 });
+  t.mock.method(Coupon, "findOne", async () => once);
+
+  assert.equal(await findUsableCoupon("spring", user), once);
+  await redeemCoupon(once, user, new Types.ObjectId());
+  await assert.rejects(findUsableCoupon("spring", user), { status: 400, code: "COUPON_LIMIT_REACHED" });
+});
@@ -0,0 +1,173 @@
+// test/etag.test.js
+//
+// ETags and conditional requests (utils/etag.utils.js), and how the review
+// routes answer them over HTTP: 304 for If-None-Match, 412 for a stale
+// If-Match. The database is replaced by one in-memory review.
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { Types } = require("mongoose");
+
+const Review = require("../models/review.model");
+const Session = require("../models/session.model");
+const AuditLog = require("../models/auditLog.model");
+const { etagOf, checkIfMatch, unchangedSince } = require("../utils/etag.utils");
+const { signAccessToken } = require("../utils/session.utils");
+const reviewRoutes = require("../routes/review.routes");
+
+const author = { _id: new Types.ObjectId(), email: "sam@example.com", name: "Sam", role: "customer" };
+const token = signAccessToken(author, new Types.ObjectId());
+
+let stored;
+let writes;
+let server;
+let baseUrl;
+
+// A request with just the headers checkIfMatch reads
+const withIfMatch = (value) => ({ get: (name) => (name === "If-Match" ? value : undefined) });
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/", reviewRoutes);
+  require("../error-handling")(app);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = {
+    _id: new Types.ObjectId(),
+    product: new Types.ObjectId(),
+    author: author._id,
+    rating: 4,
+    comment: "Nice",
+    verifiedPurchase: true,
+    status: "published",
+    updatedAt: new Date("2026-05-01T10:00:00Z"),
+  };
+  writes = [];
+
+  const current = () => {
+    const doc = Review.hydrate({ ...stored });
+    doc.populate = async () => doc;
+    return doc;
+  };
+  // isAuthenticated: the token's session is live
+  const session = { expiresAt: new Date(Date.now() + 60000) };
+  mock.method(Session, "findById", () => ({ select: () => ({ lean: async () => session }) }));
+  mock.method(Review, "findOne", () => ({ select: async () => current() }));
+  mock.method(Review, "findById", () => ({ select: async () => current() }));
+  mock.method(Review, "hasPurchased", async () => true);
+  mock.method(Review, "findOneAndUpdate", async (filter, write) => {
+    if (filter.updatedAt && filter.updatedAt.getTime() !== stored.updatedAt.getTime()) return null;
+    writes.push(write);
+    Object.assign(stored, write.$set, { updatedAt: new Date(stored.updatedAt.getTime() + 1000) });
+    return current();
+  });
+  mock.method(AuditLog, "insertMany", async (entries) => entries);
+});
+
+const reviewUrl = () => `${baseUrl}/reviews/${stored._id}`;
+
+// http.get rather than fetch: fetch marks requests with If-None-Match no-cache, which skips the 304
+function get(headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(reviewUrl(), { headers }, (res) => resolve(res.resume())).on("error", reject);
+  });
+}
+
+function patch(body, headers = {}) {
+  return fetch(reviewUrl(), {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}`, ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test("the ETag follows the document's updatedAt", () => {
+  const tag = etagOf(stored);
+
+  assert.match(tag, /^"[\w-]+"$/);
+  assert.equal(etagOf({ ...stored }), tag);
+  assert.notEqual(etagOf({ ...stored, updatedAt: new Date(stored.updatedAt.getTime() + 1) }), tag);
+});
+
+test("checkIfMatch lets through a missing header, * and the current tag", () => {
+  const tag = etagOf(stored);
+
+  for (const header of [undefined, "*", tag, `"other", ${tag}`]) {
+    assert.doesNotThrow(() => checkIfMatch(withIfMatch(header), stored, "review"));
+  }
+});
+
+test("checkIfMatch refuses an old tag and a weak one with 412", () => {
+  const old = etagOf({ ...stored, updatedAt: new Date(0) });
+
+  for (const header of [old, `W/${etagOf(stored)}`]) {
+    assert.throws(() => checkIfMatch(withIfMatch(header), stored, "review"), { status: 412, code: "STALE_VERSION" });
+  }
+});
+
+test("unchangedSince only guards the write when If-Match names a version", () => {
+  assert.deepEqual(unchangedSince(withIfMatch(undefined), stored), {});
+  assert.deepEqual(unchangedSince(withIfMatch("*"), stored), {});
+  assert.deepEqual(unchangedSince(withIfMatch(etagOf(stored)), stored), { updatedAt: stored.updatedAt });
+});
+
+test("GET answers 304 when If-None-Match holds the current ETag", async () => {
+  const first = await get();
+  const tag = first.headers.etag;
+
+  const again = await get({ "If-None-Match": tag });
+  const changed = await get({ "If-None-Match": etagOf({ ...stored, updatedAt: new Date(0) }) });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(tag, etagOf(stored));
+  assert.equal(again.statusCode, 304);
+  assert.equal(changed.statusCode, 200);
+});
+
+test("PATCH with the current ETag applies and answers with the new one", async () => {
+  const res = await patch({ comment: "Better" }, { "If-Match": etagOf(stored) });
+
+  assert.equal(res.status, 200);
+  assert.equal(stored.comment, "Better");
+  assert.equal(res.headers.get("etag"), etagOf(stored));
+});
+
+test("PATCH with an old ETag is a 412 and changes nothing", async () => {
+  const res = await patch({ comment: "Better" }, { "If-Match": etagOf({ ...stored, updatedAt: new Date(0) }) });
+  const body = await res.json();
+
+  assert.equal(res.status, 412);
+  assert.equal(body.code, "STALE_VERSION");
+  assert.equal(writes.length, 0);
+});
+
+test("PATCH is a 412 when the review changes between the check and the write", async () => {
+  const tag = etagOf(stored);
+  mock.method(Review, "findById", () => ({
+    select: async () => {
+      const review = Review.hydrate({ ...stored });
+      stored.updatedAt = new Date(stored.updatedAt.getTime() + 500); // another edit lands right after the read
+      return review;
+    },
+  }));
+
+  const res = await patch({ comment: "Better" }, { "If-Match": tag });
+
+  assert.equal(res.status, 412);
+  assert.equal(stored.comment, "Nice");
+});
@@ -0,0 +1,133 @@
+// test/pagination.test.js
+//
+// Page and cursor pagination (utils/pagination.utils.js). The model is an
+// in-memory list that answers find() with the filter, sort, skip, limit and
+// projection paginate() builds, like MongoDB would.
+// Run with: npm test (no database needed)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { paginate, MAX_LIMIT } = require("../utils/pagination.utils");
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (condition?.$gt !== undefined) return compare(doc[key], condition.$gt) > 0;
+    if (condition?.$lt !== undefined) return compare(doc[key], condition.$lt) < 0;
+    return doc[key] === condition;
+  });
+}
+
+function fakeModel(docs) {
+  return {
+    find(filter) {
+      const state = { skip: 0 };
+      const query = {
+        sort: (sort) => Object.assign(state, { sort }) && query,
+        skip: (n) => Object.assign(state, { skip: n }) && query,
+        limit: (n) => Object.assign(state, { limit: n }) && query,
+        select: (fields) => Object.assign(state, { fields: fields.split(" ") }) && query,
+        populate: () => query,
+        async lean() {
+          const sorted = docs.filter((doc) => matches(doc, filter));
+          const keys = Object.entries(state.sort).filter(([, dir]) => typeof dir === "number");
+          sorted.sort((a, b) => keys.reduce((order, [key, dir]) => order || dir * compare(a[key], b[key]), 0));
+          return sorted
+            .slice(state.skip, state.skip + state.limit)
+            .map((doc) => (state.fields ? Object.fromEntries(state.fields.map((key) => [key, doc[key]])) : { ...doc }));
+        },
+      };
+      return query;
+    },
+    countDocuments: async (filter) => docs.filter((doc) => matches(doc, filter)).length,
+  };
+}
+
+// _ids as the hex strings a cursor carries, in insertion order
+const docs = [10, 20, 20, 20, 30].map((price, i) => ({ _id: `00000000000000000000000${i}`, title: `P${i}`, price }));
+const Product = fakeModel(docs);
+
+const list = (query) => paginate(Product, { query, originalUrl: "/products?limit=2" }, { sort: { price: 1 } });
+const titles = (page) => page.data.map((doc) => doc.title);
+
+test("pages by number", async () => {
+  const page = await list({ page: 2, limit: 2 });
+
+  assert.deepEqual(titles(page), ["P2", "P1"]); // equal prices: highest _id first
+  assert.equal(page.pagination.page, 2);
+  assert.equal(page.pagination.total, 5);
+  assert.equal(page.pagination.totalPages, 3);
+  assert.equal(page.links.next, "/products?limit=2&page=3");
+  assert.equal(page.links.prev, "/products?limit=2&page=1");
+});
+
+test("follows cursors forward and back without skipping equal sort values", async () => {
+  const first = await list({ limit: 2 });
+  const second = await list({ limit: 2, cursor: first.pagination.nextCursor });
+  const third = await list({ limit: 2, cursor: second.pagination.nextCursor });
+  const back = await list({ limit: 2, cursor: third.pagination.prevCursor });
+
+  assert.deepEqual([titles(first), titles(second), titles(third)], [["P0", "P3"], ["P2", "P1"], ["P4"]]);
+  assert.equal(third.pagination.hasNext, false);
+  assert.equal(third.pagination.nextCursor, null);
+  assert.deepEqual(titles(back), ["P2", "P1"]);
+  assert.equal(back.pagination.hasPrev, true);
+  assert.match(second.links.next, /^\/products\?limit=2&cursor=/);
+});
+
+test("a cursor keeps its place when documents are added before it", async () => {
+  const first = await list({ limit: 2 });
+  const before = docs.slice();
+  docs.unshift({ _id: "00000000000000000000000a", title: "New", price: 5 });
+  try {
+    const second = await list({ limit: 2, cursor: first.pagination.nextCursor });
+    assert.deepEqual(titles(second), ["P2", "P1"]);
+  } finally {
+    docs.splice(0, docs.length, ...before);
+  }
+});
+
+test("rejects a broken cursor or one made for another sort", async () => {
+  const { pagination } = await list({ limit: 2 });
+  const req = { query: { cursor: pagination.nextCursor }, originalUrl: "/products" };
+
+  await assert.rejects(list({ cursor: "not-a-cursor" }), { status: 400, code: "INVALID_CURSOR" });
+  await assert.rejects(paginate(Product, req, { sort: { title: 1 } }), { status: 400, code: "INVALID_CURSOR" });
+});
+
+test("page and cursor can't be combined", async () => {
+  const { pagination } = await list({ limit: 2 });
+
+  await assert.rejects(list({ page: 2, cursor: pagination.nextCursor }), { code: "VALIDATION_ERROR" });
+});
+
+test("a text-score sort pages by number only", async () => {
+  const req = { query: { limit: 2 }, originalUrl: "/products/search?q=serum" };
+  const sort = { score: { $meta: "textScore" } };
+
+  const page = await paginate(Product, req, { sort });
+  req.query.cursor = "anything";
+
+  assert.equal(page.pagination.nextCursor, null);
+  assert.equal(page.pagination.hasNext, true);
+  await assert.rejects(paginate(Product, req, { sort }), { code: "CURSOR_NOT_SUPPORTED" });
+});
+
+test("fields leaves the sort keys out of the rows", async () => {
+  const page = await list({ limit: 2, fields: ["title"] });
+
+  assert.deepEqual(page.data, [
+    { _id: docs[0]._id, title: "P0" },
+    { _id: docs[3]._id, title: "P3" },
+  ]);
+  assert.notEqual(page.pagination.nextCursor, null);
+});
+
+test("limit is capped", async () => {
+  const page = await list({ limit: MAX_LIMIT + 50 });
+
+  assert.equal(page.pagination.limit, MAX_LIMIT);
+});
@@ -0,0 +1,146 @@
+// test/payment-webhook.test.js
+//
+// POST /payments/webhook with the mock gateway: signature and secret checks,
+// one processing per event id, and refunds verified with the provider and
+// released like a cancel (routes/payment.routes.js, payments/). The database
+// is replaced by in-memory documents.
+// Run with: npm test (no database needed)
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Order = require("../models/order.model");
+const Product = require("../models/product.model");
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const PaymentEvent = require("../models/paymentEvent.model");
+const mockProvider = require("../payments/mock.provider");
+const router = require("../routes/payment.routes");
+
+const webhook = router.stack.find((layer) => layer.route?.path === "/webhook").route.stack.at(-1).handle;
+
+let events; // PaymentEvent ids stored so far
+let order;
+let stockChanges;
+let releasedCoupons;
+
+beforeEach(() => {
+  mock.restoreAll();
+  process.env.NODE_ENV = "test";
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+  events = new Set();
+  stockChanges = [];
+  releasedCoupons = [];
+
+  mock.method(PaymentEvent, "create", async ({ eventId }) => {
+    if (events.has(eventId)) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    events.add(eventId);
+  });
+  mock.method(PaymentEvent, "deleteOne", async ({ eventId }) => events.delete(eventId));
+  mock.method(Order, "findOne", async () => order);
+  // changeStock: Product.findOneAndUpdate(...).select().lean(), maybe .withDeleted()
+  mock.method(Product, "findOneAndUpdate", (filter, update) => {
+    stockChanges.push(update.$inc.stock);
+    const query = { select: () => query, lean: () => query, withDeleted: () => query };
+    query.then = (resolve) => resolve({ _id: filter._id, title: "Serum", stock: 10, variants: [] });
+    return query;
+  });
+  mock.method(Product, "refreshStockStatus", async () => {});
+  mock.method(InventoryMovement, "insertMany", async (entries) => entries);
+  mock.method(CouponRedemption, "deleteOne", async ({ order: orderId }) => releasedCoupons.push(orderId));
+  mock.method(Coupon, "updateOne", async () => ({ modifiedCount: 1 }));
+});
+
+// A paid order, paid through the mock gateway
+async function paidOrder(status = "paid") {
+  const intent = await mockProvider.createPaymentIntent({ amount: 2000, currency: "usd" });
+  await mockProvider.confirmPaymentIntent(intent.id, {});
+  const doc = new Order({
+    user: new Types.ObjectId(),
+    items: [{ product: new Types.ObjectId(), title: "Serum", price: 20, quantity: 2, lineTotal: 20 }],
+    subtotal: 20,
+    total: 20,
+    status,
+    coupon: { couponId: new Types.ObjectId(), code: "SPRING", discount: 0 },
+    payment: { provider: "mock", intentId: intent.id, status: "succeeded", amount: 2000, currency: "usd" },
+  });
+  doc.save = async function () {
+    return this;
+  };
+  return doc;
+}
+
+function deliver(event, { sign = true } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const headers = sign ? { "x-mock-signature": mockProvider.signPayload(rawBody.toString("utf8")) } : {};
+  return new Promise((resolve) => {
+    const res = { json: (data) => resolve({ status: 200, data }) };
+    webhook({ rawBody, headers }, res, (err) => resolve({ status: err.status || err.statusCode, error: err }));
+  });
+}
+
+test("rejects a webhook without a valid signature", async () => {
+  const { status, error } = await deliver({ id: "evt_1", type: "payment.succeeded", intentId: "pi_x" }, { sign: false });
+
+  assert.equal(status, 400);
+  assert.equal(error.code, "INVALID_WEBHOOK");
+});
+
+test("rejects every webhook when no secret is set outside development", async () => {
+  const rawBody = Buffer.from(JSON.stringify({ id: "evt_1", type: "payment.succeeded", intentId: "pi_x" }));
+  const header = mockProvider.signPayload(rawBody.toString("utf8")); // signed with the development default
+  process.env.NODE_ENV = "production";
+
+  assert.throws(() => mockProvider.constructWebhookEvent(rawBody, { "x-mock-signature": header }), /not set/);
+  process.env.PAYMENT_WEBHOOK_SECRET = "whsec_real";
+  assert.throws(() => mockProvider.constructWebhookEvent(rawBody, { "x-mock-signature": header }), /Invalid/);
+});
+
+test("processes an event once and acknowledges a repeat", async () => {
+  order = await paidOrder();
+  const refund = await mockProvider.refund(order.payment.intentId);
+  const event = { id: "evt_refund", type: "refund.succeeded", intentId: order.payment.intentId, refundId: refund.id };
+
+  const first = await deliver(event);
+  const again = await deliver(event);
+
+  assert.deepEqual(first.data, { received: true });
+  assert.deepEqual(again.data, { received: true, duplicate: true });
+  assert.deepEqual(stockChanges, [2]);
+});
+
+test("a refund from the provider refunds a paid order and gives back its stock and coupon use", async () => {
+  order = await paidOrder();
+  const refund = await mockProvider.refund(order.payment.intentId);
+
+  await deliver({ id: "evt_2", type: "refund.succeeded", intentId: order.payment.intentId, refundId: refund.id });
+
+  assert.equal(order.status, "refunded");
+  assert.equal(order.payment.status, "refunded");
+  assert.equal(order.payment.refundId, refund.id);
+  assert.deepEqual(stockChanges, [2]);
+  assert.deepEqual(releasedCoupons.map(String), [String(order._id)]);
+});
+
+test("a refund of a shipped order gives back the coupon use but no stock", async () => {
+  order = await paidOrder("shipped");
+  const refund = await mockProvider.refund(order.payment.intentId);
+
+  await deliver({ id: "evt_3", type: "refund.succeeded", intentId: order.payment.intentId, refundId: refund.id });
+
+  assert.equal(order.status, "refunded");
+  assert.deepEqual(stockChanges, []);
+  assert.equal(releasedCoupons.length, 1);
+});
+
+test("a refund the provider doesn't know changes nothing and is retried later", async () => {
+  order = await paidOrder();
+  const event = { id: "evt_4", type: "refund.succeeded", intentId: order.payment.intentId, refundId: "re_forged" };
+
+  const { error } = await deliver(event);
+
+  assert.match(error.message, /No such refund/);
+  assert.equal(order.status, "paid");
+  assert.equal(events.has("evt_4"), false);
+});
@@ -0,0 +1,109 @@
+// test/pricing.test.js
+//
+// Cart and checkout prices (utils/pricing.utils.js): product discounts first,
+// then the coupon spread over the eligible lines, to the cent.
+// Run with: npm test (no database needed)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Coupon = require("../models/coupon.model");
+const { priceItems, netPrice, round2 } = require("../utils/pricing.utils");
+
+const seller = new Types.ObjectId();
+const otherSeller = new Types.ObjectId();
+
+const product = (price, fields = {}) => ({ _id: new Types.ObjectId(), price, owner: seller, ...fields });
+const coupon = (fields) => new Coupon({ code: "SPRING", createdBy: new Types.ObjectId(), ...fields });
+
+test("round2 rounds to cents", () => {
+  assert.equal(round2(0.1 + 0.2), 0.3);
+  assert.equal(round2(19.999), 20);
+});
+
+test("netPrice takes the product discount off the product or variant price", () => {
+  assert.equal(netPrice(product(20, { discountPercentage: 15 })), 17);
+  assert.equal(netPrice(product(20, { discountPercentage: 10 }), { price: 30 }), 27);
+  assert.equal(netPrice(product(9.99)), 9.99);
+});
+
+test("prices lines with their product discount", () => {
+  const priced = priceItems([
+    { product: product(100, { discountPercentage: 10 }), quantity: 2 },
+    { product: product(5), variant: { price: 7.5 }, quantity: 1 },
+  ]);
+
+  const rows = priced.items.map(({ unitPrice, gross, productDiscount, lineTotal }) => [
+    unitPrice,
+    gross,
+    productDiscount,
+    lineTotal,
+  ]);
+  assert.deepEqual(rows, [
+    [100, 200, 20, 180],
+    [7.5, 7.5, 0, 7.5],
+  ]);
+  assert.deepEqual(
+    [priced.subtotal, priced.productDiscount, priced.couponDiscount, priced.discountTotal, priced.total],
+    [207.5, 20, 0, 20, 187.5]
+  );
+  assert.equal(priced.coupon, null);
+});
+
+test("a percentage coupon applies to what is left after the product discount", () => {
+  const priced = priceItems([{ product: product(100, { discountPercentage: 10 }), quantity: 2 }], {
+    coupon: coupon({ type: "percentage", value: 10 }),
+  });
+
+  assert.equal(priced.items[0].couponDiscount, 18);
+  assert.equal(priced.total, 162);
+  assert.equal(priced.coupon.discount, 18);
+});
+
+test("a fixed coupon is spread over the lines and the cents add up", () => {
+  const priced = priceItems([10, 10, 10].map((price) => ({ product: product(price), quantity: 1 })), {
+    coupon: coupon({ type: "fixed", value: 10 }),
+  });
+
+  assert.deepEqual(priced.items.map((item) => item.couponDiscount), [3.33, 3.33, 3.34]);
+  assert.equal(priced.couponDiscount, 10);
+  assert.equal(priced.total, 20);
+});
+
+test("a fixed coupon never takes off more than the eligible lines cost", () => {
+  const priced = priceItems([{ product: product(8), quantity: 1 }], { coupon: coupon({ type: "fixed", value: 25 }) });
+
+  assert.equal(priced.couponDiscount, 8);
+  assert.equal(priced.total, 0);
+});
+
+test("a seller's coupon only discounts that seller's lines", () => {
+  const priced = priceItems(
+    [
+      { product: product(40), quantity: 1 },
+      { product: product(60, { owner: otherSeller }), quantity: 1 },
+    ],
+    { coupon: coupon({ type: "percentage", value: 50, seller }) }
+  );
+
+  assert.deepEqual(priced.items.map((item) => item.couponDiscount), [20, 0]);
+  assert.equal(priced.total, 80);
+});
+
+test("a coupon that no line qualifies for is refused", () => {
+  const lines = [{ product: product(40), quantity: 1 }];
+
+  assert.throws(() => priceItems(lines, { coupon: coupon({ type: "fixed", value: 5, seller: otherSeller }) }), {
+    status: 400,
+    code: "COUPON_NOT_APPLICABLE",
+  });
+});
+
+test("minSpend counts the eligible lines after product discounts", () => {
+  const lines = [{ product: product(50, { discountPercentage: 10 }), quantity: 1 }];
+
+  assert.throws(() => priceItems(lines, { coupon: coupon({ type: "fixed", value: 5, minSpend: 50 }) }), {
+    code: "COUPON_MIN_SPEND",
+  });
+  assert.equal(priceItems(lines, { coupon: coupon({ type: "fixed", value: 5, minSpend: 45 }) }).total, 40);
+});
@@ -0,0 +1,139 @@
+// test/product-stock.test.js
+//
+// PATCH /products/:id sets `stock` as a level, guarded on the level it read
+// (see the retry loop in routes/product.routes.js). The database is replaced
+// by an in-memory product that answers the guarded update like MongoDB does:
+// { stock: null } also matches a document without a stock field.
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const AuditLog = require("../models/auditLog.model");
+const Wishlist = require("../models/wishlist.model");
+const router = require("../routes/product.routes");
+const { etagOf } = require("../utils/etag.utils");
+
+// the handler itself, after the rate limit, auth and validation middleware
+const patchRoute = router.stack.find((layer) => layer.route?.path === "/:id" && layer.route.methods.patch).route;
+const patch = patchRoute.stack.at(-1).handle;
+
+const owner = new Types.ObjectId();
+let stored; // the product as the database holds it
+let ledger;
+let updates;
+
+// A findById query: awaitable for a document, or .select().lean() for a plain object
+function findQuery() {
+  const query = Promise.resolve(stored && Product.hydrate({ ...stored }));
+  query.select = () => ({ lean: async () => stored && { ...stored } });
+  return query;
+}
+
+const matches = (filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === "_id") return String(value) === String(stored._id);
+    if (value === null) return stored[key] === undefined || stored[key] === null;
+    if (value instanceof Date) return stored[key]?.getTime() === value.getTime();
+    return stored[key] === value;
+  });
+
+beforeEach(() => {
+  mock.restoreAll();
+  ledger = [];
+  updates = [];
+  mock.method(Product, "findById", findQuery);
+  mock.method(Product, "updateOne", async (filter, set) => {
+    updates.push(filter);
+    if (!matches(filter)) return { matchedCount: 0 };
+    Object.assign(stored, set, { updatedAt: new Date(stored.updatedAt.getTime() + 1000) });
+    return { matchedCount: 1 };
+  });
+  mock.method(Product, "refreshStockStatus", async () => {});
+  mock.method(InventoryMovement, "insertMany", async (entries) => ledger.push(...entries) && entries);
+  mock.method(AuditLog, "insertMany", async () => []);
+  mock.method(Wishlist, "find", () => ({ distinct: async () => [] }));
+});
+
+function productWithout(...fields) {
+  const product = { _id: new Types.ObjectId(), owner, title: "Serum", price: 20, variants: [], updatedAt: new Date(0) };
+  for (const field of fields) delete product[field];
+  return product;
+}
+
+function send(body, headers = {}) {
+  const req = {
+    params: { id: String(stored._id) },
+    body,
+    payload: { _id: String(owner), role: "seller" },
+    get: (name) => headers[name],
+  };
+  return new Promise((resolve) => {
+    const res = { statusCode: 200, set() { return this; }, json: (data) => resolve({ status: res.statusCode, data }) };
+    patch(req, res, (err) => resolve({ status: err.status || err.statusCode, error: err }));
+  });
+}
+
+test("sets the stock of a product that never had one stored", async () => {
+  stored = productWithout("stock");
+
+  const { status, data } = await send({ stock: 7 });
+
+  assert.equal(status, 200);
+  assert.equal(data.stock, 7);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].stock, null);
+  assert.equal(ledger.length, 1);
+  assert.deepEqual([ledger[0].type, ledger[0].quantity, ledger[0].stockAfter], ["restock", 7, 7]);
+});
+
+test("sets 0 on a product without stock, so the field gets stored", async () => {
+  stored = productWithout("stock");
+
+  const { status } = await send({ stock: 0 });
+
+  assert.equal(status, 200);
+  assert.equal(stored.stock, 0);
+  assert.equal(ledger.length, 0);
+});
+
+test("reads the level again when an order took stock meanwhile", async () => {
+  stored = { ...productWithout(), stock: 5 };
+  const original = Product.updateOne;
+  let first = true;
+  mock.method(Product, "updateOne", async (filter, set) => {
+    if (first) stored.stock = 4; // an order lands between the read and the write
+    first = false;
+    return original(filter, set);
+  });
+
+  const { status } = await send({ stock: 10 });
+
+  assert.equal(status, 200);
+  assert.equal(stored.stock, 10);
+  assert.deepEqual(updates.map((filter) => filter.stock), [5, 4]);
+  assert.equal(ledger[0].quantity, 6);
+});
+
+test("answers 412 instead of retrying when the product changed under If-Match", async () => {
+  stored = { ...productWithout(), stock: 5 };
+  const original = Product.updateOne;
+  mock.method(Product, "updateOne", async (filter, set) => {
+    // an order lands between the read and the write
+    stored.stock = 4;
+    stored.updatedAt = new Date(500);
+    return original(filter, set);
+  });
+
+  const { status, error } = await send({ stock: 10 }, { "If-Match": etagOf(stored) });
+
+  assert.equal(status, 412);
+  assert.equal(error.code, "STALE_VERSION");
+  assert.equal(updates.length, 1);
+  assert.equal(stored.stock, 4);
+  assert.equal(ledger.length, 0);
+});
@@ -0,0 +1,48 @@
+// test/review-image.test.js
+//
+// An image uploaded to a review (local storage) must leave the review valid:
+// its URL goes into review.imageUrl, which later saves (replies, moderation)
+// validate, and clients send it back through the review schemas.
+// Run with: npm test (no database needed)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { Types } = require("mongoose");
+
+const { getStorage } = require("../storage");
+const Review = require("../models/review.model");
+const { checkShape } = require("../middleware/validate.middleware");
+const reviewSchemas = require("../validation/review.schemas");
+
+let uploadDir;
+
+before(async () => {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+  process.env.UPLOAD_DIR = uploadDir;
+});
+
+after(() => fs.rm(uploadDir, { recursive: true, force: true }));
+
+test("a review with an uploaded image can still be saved", async () => {
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#c0ffee" } }).webp().toBuffer();
+  const stored = await getStorage("local").put(`reviews/${new Types.ObjectId()}/test-full.webp`, image, {
+    contentType: "image/webp",
+  });
+
+  // as POST /reviews/:reviewId/image leaves it, then as a reply saves it
+  const review = Review.hydrate({
+    _id: new Types.ObjectId(),
+    product: new Types.ObjectId(),
+    author: new Types.ObjectId(),
+    rating: 4,
+    imageUrl: stored.url,
+  });
+  review.reply = { text: "Thanks!", author: new Types.ObjectId() };
+  await review.validate();
+
+  const { errors } = checkShape(reviewSchemas.update.body, { imageUrl: stored.url });
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,82 @@
+// test/review-rating.test.js
+//
+// PATCH /reviews/:reviewId with { rating: null } clears the rating, as the
+// review schemas allow (routes/review.routes.js). The database is replaced by
+// one in-memory review.
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Review = require("../models/review.model");
+const AuditLog = require("../models/auditLog.model");
+const { checkShape } = require("../middleware/validate.middleware");
+const reviewSchemas = require("../validation/review.schemas");
+const router = require("../routes/review.routes");
+
+const patchRoute = router.stack.find((layer) => layer.route?.path === "/reviews/:reviewId" && layer.route.methods.patch)
+  .route;
+const patch = patchRoute.stack.at(-1).handle;
+
+const author = new Types.ObjectId();
+let stored;
+let writes;
+let audited;
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = {
+    _id: new Types.ObjectId(),
+    product: new Types.ObjectId(),
+    author,
+    rating: 4,
+    comment: "Nice",
+    verifiedPurchase: true,
+    updatedAt: new Date(0),
+  };
+  writes = [];
+  audited = [];
+  mock.method(Review, "findById", () => ({ select: async () => Review.hydrate({ ...stored }) }));
+  mock.method(Review, "hasPurchased", async () => true);
+  mock.method(Review, "findOneAndUpdate", async (filter, write) => {
+    writes.push(write);
+    Object.assign(stored, write.$set);
+    for (const field of Object.keys(write.$unset || {})) delete stored[field];
+    return Review.hydrate({ ...stored });
+  });
+  mock.method(AuditLog, "insertMany", async (entries) => audited.push(...entries));
+});
+
+function send(body) {
+  const req = { params: { reviewId: String(stored._id) }, body, payload: { _id: String(author) }, get: () => undefined };
+  return new Promise((resolve) => {
+    const res = { set() { return this; }, json: (data) => resolve({ status: 200, data }) };
+    patch(req, res, (err) => resolve({ status: err.status, error: err }));
+  });
+}
+
+test("the update schema accepts a null rating", () => {
+  const { value, errors } = checkShape(reviewSchemas.update.body, { rating: null }, "body");
+
+  assert.deepEqual(errors, []);
+  assert.equal(value.rating, null);
+});
+
+test("rating: null clears the rating", async () => {
+  const { status, data } = await send({ rating: null });
+
+  assert.equal(status, 200);
+  assert.deepEqual(writes[0].$unset, { rating: 1 });
+  assert.equal(data.rating, undefined);
+  assert.deepEqual(audited[0].changes.map(({ field, from, to }) => [field, from, to]), [["rating", 4, undefined]]);
+});
+
+test("a rating is still set as before", async () => {
+  const { status, data } = await send({ rating: 2 });
+
+  assert.equal(status, 200);
+  assert.equal(writes[0].$unset, undefined);
+  assert.equal(data.rating, 2);
+});
@@ -0,0 +1,60 @@
+// test/search.test.js
+//
+// Turning user input into product searches (utils/search.utils.js): $text
+// operators are dropped, prefix patterns match literally, and facet results
+// are shaped for the response.
+// Run with: npm test (no database needed)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toTextSearch, prefixPattern, formatFacets } = require("../utils/search.utils");
+
+// What the $regex/$options pair from prefixPattern matches
+const prefixMatches = (q, text) => {
+  const { $regex, $options } = prefixPattern(q);
+  return new RegExp($regex, $options).test(text);
+};
+
+test("toTextSearch keeps plain words", () => {
+  assert.equal(toTextSearch("  vitamin   C serum "), "vitamin C serum");
+});
+
+test("toTextSearch drops phrase quotes and negation", () => {
+  assert.equal(toTextSearch('"hydrating serum" -oily --dry'), "hydrating serum oily dry");
+  assert.equal(toTextSearch('- " --'), "");
+});
+
+test("toTextSearch keeps hyphens inside words", () => {
+  assert.equal(toTextSearch("anti-aging"), "anti-aging");
+});
+
+test("prefixPattern matches the start of any word, whatever the case", () => {
+  assert.equal(prefixMatches("ser", "Hydrating Serum"), true);
+  assert.equal(prefixMatches(" HYD ", "Hydrating Serum"), true);
+  assert.equal(prefixMatches("rum", "Hydrating Serum"), false);
+});
+
+test("prefixPattern treats regex characters literally", () => {
+  assert.equal(prefixMatches("c++", "C++ Primer"), true);
+  assert.equal(prefixMatches("a.c", "abc"), false);
+  assert.equal(prefixMatches(".*", "anything"), false);
+});
+
+test("formatFacets turns price buckets into ranges", () => {
+  const facets = formatFacets({
+    brand: [{ value: "Acme", count: 3 }],
+    price: [
+      { _id: 0, count: 2 },
+      { _id: 50, count: 1 },
+      { _id: "other", count: 4 },
+    ],
+  });
+
+  assert.deepEqual(facets.price, [
+    { min: 0, max: 25, count: 2 },
+    { min: 50, max: 100, count: 1 },
+    { min: 500, max: null, count: 4 },
+  ]);
+  assert.deepEqual(facets.brand, [{ value: "Acme", count: 3 }]);
+  assert.deepEqual([facets.category, facets.tag], [[], []]);
+});
@@ -0,0 +1,122 @@
+// test/session.test.js
+//
+// Rotating refresh tokens (utils/session.utils.js): each refresh swaps the
+// token, and presenting one that was already swapped out revokes the whole
+// session. The database is replaced by in-memory sessions that answer the
+// conditional updates like MongoDB does.
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const Session = require("../models/session.model");
+const { createSession, rotateSession, endSession, isSessionRevoked } = require("../utils/session.utils");
+
+const user = { _id: new Types.ObjectId(), email: "sam@example.com", name: "Sam", role: "customer" };
+const req = { get: () => "node-test", ip: "127.0.0.1" };
+
+let sessions; // id -> the session as stored
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (value === null) return doc[key] === undefined || doc[key] === null;
+    return String(doc[key]) === String(value);
+  });
+
+function apply(doc, { $set = {}, $push = {} }) {
+  Object.assign(doc, $set);
+  for (const [key, { $each, $slice }] of Object.entries($push)) doc[key] = [...doc[key], ...$each].slice($slice);
+}
+
+// Session.findById(id): awaited for a document, or .select().lean() for a plain object
+function findById(id) {
+  const doc = sessions.get(String(id));
+  const query = {
+    select: () => query,
+    lean: async () => doc && { ...doc },
+    then: (resolve, reject) => Promise.resolve(doc && Session.hydrate({ ...doc })).then(resolve, reject),
+  };
+  return query;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessions = new Map();
+  mock.method(Session.prototype, "save", async function () {
+    sessions.set(String(this._id), this.toObject());
+    return this;
+  });
+  mock.method(Session, "findById", findById);
+  mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    const doc = [...sessions.values()].find((session) => matches(session, filter));
+    if (!doc) return null;
+    apply(doc, update);
+    return Session.hydrate({ ...doc });
+  });
+  mock.method(Session, "updateOne", async (filter, update) => {
+    const doc = [...sessions.values()].find((session) => matches(session, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+});
+
+const sessionOf = (token) => sessions.get(token.split(".")[0]);
+
+test("a refresh swaps the token for a new one", async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  const rotated = await rotateSession(refreshToken);
+
+  assert.equal(rotated.error, undefined);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal((await rotateSession(rotated.refreshToken)).error, undefined);
+});
+
+test("reusing a rotated-out token revokes the session", async () => {
+  const { authToken, refreshToken } = await createSession(user, req);
+  const { refreshToken: current } = await rotateSession(refreshToken);
+
+  const reused = await rotateSession(refreshToken);
+
+  assert.match(reused.error, /reuse detected/);
+  assert.equal(sessionOf(refreshToken).revokedReason, "refresh token reuse");
+  assert.equal((await rotateSession(current)).error, "Session revoked");
+  const { sid } = JSON.parse(Buffer.from(authToken.split(".")[1], "base64url"));
+  assert.equal(await isSessionRevoked(sid), true);
+});
+
+test("two refreshes racing with the same token: one wins, the session is revoked", async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  const results = await Promise.all([rotateSession(refreshToken), rotateSession(refreshToken)]);
+
+  assert.deepEqual(results.map((result) => Boolean(result.error)), [false, true]);
+  assert.ok(sessionOf(refreshToken).revokedAt);
+});
+
+test("unknown, malformed and expired tokens are refused", async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  assert.equal((await rotateSession(`${new Types.ObjectId()}.abc`)).error, "Invalid refresh token");
+  assert.equal((await rotateSession("nonsense")).error, "Invalid refresh token");
+  assert.equal((await rotateSession(undefined)).error, "Invalid refresh token");
+  assert.equal((await rotateSession(`${refreshToken.split(".")[0]}.guessed`)).error, "Invalid refresh token");
+
+  sessionOf(refreshToken).expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await rotateSession(refreshToken)).error, "Session expired");
+});
+
+test("logout ends the session for its current token only", async () => {
+  const { refreshToken } = await createSession(user, req);
+  const { refreshToken: current } = await rotateSession(refreshToken);
+  const sessionId = refreshToken.split(".")[0];
+
+  await endSession(refreshToken); // an old token can't log the session out
+  assert.equal(await isSessionRevoked(sessionId), false);
+
+  await endSession(current);
+  assert.equal(await isSessionRevoked(sessionId), true);
+  assert.equal(sessionOf(current).revokedReason, "logout");
+});
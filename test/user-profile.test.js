@@ -0,0 +1,64 @@
+// test/user-profile.test.js
+//
+// GET /users/:id shows a seller's rating over the reviews of their products;
+// reviews a moderator hid must not count (routes/user.routes.js). The
+// database is replaced by in-memory documents; the rating pipeline's $match
+// is applied to them as MongoDB would ($in and $ne only).
+// Run with: npm test (no database needed)
+process.env.TOKEN_SECRET ||= "test-secret";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const User = require("../models/User.model");
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const router = require("../routes/user.routes");
+
+// the handler itself, after the validation middleware
+const profileRoute = router.stack.find((layer) => layer.route?.path === "/:id" && layer.route.methods.get).route;
+const profile = profileRoute.stack.at(-1).handle;
+
+const sameValue = (a, b) => String(a) === String(b);
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (condition?.$in) return condition.$in.some((value) => sameValue(value, doc[key]));
+    if (condition && "$ne" in condition) return (doc[key] ?? null) !== condition.$ne;
+    return sameValue(condition, doc[key]);
+  });
+
+function aggregateRatings(reviews) {
+  return async ([{ $match }]) => {
+    const ratings = reviews.filter((review) => matches(review, $match)).map((review) => review.rating);
+    if (ratings.length === 0) return [];
+    return [{ _id: null, average: ratings.reduce((a, b) => a + b, 0) / ratings.length, count: ratings.length }];
+  };
+}
+
+function chain(result) {
+  const query = {};
+  for (const method of ["select", "populate", "sort"]) query[method] = () => query;
+  query.lean = async () => result;
+  return query;
+}
+
+test("leaves reviews hidden by a moderator out of the seller's rating", async (t) => {
+  const seller = { _id: new Types.ObjectId(), name: "Seller", role: "seller" };
+  const product = { _id: new Types.ObjectId(), title: "Serum" };
+  const reviews = [
+    { product: product._id, rating: 5, status: "published" },
+    { product: product._id, rating: 4, status: "flagged" },
+    { product: product._id, rating: 1, status: "hidden" },
+    { product: product._id, rating: null, status: "published" },
+  ];
+  t.mock.method(User, "findById", () => chain(seller));
+  t.mock.method(Product, "find", () => chain([product]));
+  t.mock.method(Review, "aggregate", aggregateRatings(reviews));
+
+  const body = await new Promise((resolve, reject) => {
+    profile({ params: { id: String(seller._id) } }, { json: resolve }, reject);
+  });
+
+  assert.deepEqual(body.rating, { average: 4.5, count: 2 });
+});
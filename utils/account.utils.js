@@ -0,0 +1,75 @@
+// utils/account.utils.js
+const User = require("../models/User.model");
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const ReviewVote = require("../models/reviewVote.model");
+const Cart = require("../models/cart.model");
+const Wishlist = require("../models/wishlist.model");
+const Notification = require("../models/notification.model");
+const Order = require("../models/order.model");
+const Coupon = require("../models/coupon.model");
+const Session = require("../models/session.model");
+const UserToken = require("../models/userToken.model");
+const { purgeProducts, purgeReviews } = require("./deletion.utils");
+
+const OPEN_ORDER_STATUSES = ["pending", "paid", "shipped"];
+
+/**
+ * True while the user still has orders in flight, as buyer or as seller.
+ * Accounts can't be deleted until those are settled.
+ */
+function hasOpenOrders(userId) {
+  return Order.exists({
+    status: { $in: OPEN_ORDER_STATUSES },
+    $or: [{ user: userId }, { "items.seller": userId }],
+  });
+}
+
+/**
+ * Account deletion policy:
+ * - the user's products are purged, together with every review on them
+ * - the user's own reviews on other products are purged
+ * - helpfulness votes by the user or on those reviews are deleted
+ * - uploaded images of those products and reviews are deleted from storage
+ * - soft-deleted products and reviews are included: nothing is left to restore
+ * - the seller's coupons are deleted (orders keep the code and discount they used)
+ * - cart, wishlist, notifications, sessions and email tokens are deleted
+ * - past orders are kept as the record of sale (they hold their own product snapshots)
+ * So no Product.owner or Review.author is left pointing at a missing user.
+ */
+async function deleteAccount(userId) {
+  const productIds = await Product.find({ owner: userId }).withDeleted().distinct("_id");
+
+  // other sellers' products this user reviewed — their ratings change
+  const reviewedProductIds = await Review.find({
+    author: userId,
+    product: { $nin: productIds },
+  }).distinct("product");
+
+  const reviewIds = await Review.find({ author: userId, product: { $nin: productIds } })
+    .withDeleted()
+    .distinct("_id");
+
+  // purging takes the reviews' votes and images with them
+  const note = "Account deleted";
+  const { products } = await purgeProducts(productIds, { note });
+  await purgeReviews(reviewIds, { note });
+
+  // reviews that stay but lose this user's vote
+  const votedReviewIds = await ReviewVote.find({ user: userId }).distinct("review");
+  await ReviewVote.deleteMany({ user: userId });
+  await ReviewVote.syncReviewCounts(votedReviewIds);
+
+  await Promise.all(reviewedProductIds.map((id) => Review.syncProductRating(id)));
+  await Coupon.deleteMany({ seller: userId });
+  await Cart.deleteOne({ user: userId });
+  await Wishlist.deleteOne({ user: userId });
+  await Notification.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await UserToken.deleteMany({ user: userId });
+  await User.findByIdAndDelete(userId);
+
+  return { productsDeleted: products };
+}
+
+module.exports = { hasOpenOrders, deleteAccount };
@@ -0,0 +1,44 @@
+// utils/audit.utils.js
+//
+// Audit trail of product and review writes (models/auditLog.model.js).
+const AuditLog = require("../models/auditLog.model");
+
+// Value at a dotted path ("dimensions.width") of a plain object, or under that
+// very key in a flat { path: value } update
+const valueAt = (obj, path) =>
+  obj && Object.hasOwn(obj, path) ? obj[path] : path.split(".").reduce((value, key) => value?.[key], obj);
+
+// ObjectIds, Dates and arrays compare by their JSON form
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two versions of a document (documents,
+ * plain objects or flat { path: value } updates), looking only at `fields`
+ * (dotted paths).
+ * Returns [{ field, from, to }] for the fields that changed.
+ */
+function diffFields(before, after, fields) {
+  const from = typeof before?.toObject === "function" ? before.toObject() : before;
+  const to = typeof after?.toObject === "function" ? after.toObject() : after;
+
+  return fields
+    .map((field) => ({ field, from: valueAt(from, field), to: valueAt(to, field) }))
+    .filter((change) => !sameValue(change.from, change.to));
+}
+
+/**
+ * Writes audit entries: one { entity, entityId, action, by?, changes?, note? }
+ * or a list of them. The writes they record have already happened, so a
+ * failure is logged instead of failing the request.
+ */
+async function audit(entries) {
+  const list = [].concat(entries);
+  if (list.length === 0) return;
+  try {
+    await AuditLog.insertMany(list);
+  } catch (err) {
+    console.error("Audit log write failed:", err.message);
+  }
+}
+
+module.exports = { diffFields, audit };
@@ -0,0 +1,98 @@
+// utils/cache.utils.js
+//
+// Keys, invalidation and hit/miss counters for the response cache
+// (middleware/cache.middleware.js; stores in cache/).
+//
+// A cached response is keyed by its path and normalized query string, e.g.
+//   http:/products/?category=serum&limit=20&sort=newest
+// Product writes drop the entries they affect (see the hooks in
+// models/product.model.js and models/category.model.js); review writes get
+// there through the product rating sync. Other sellers' names shown in the
+// lists are only refreshed when the entry expires.
+const { Types } = require("mongoose");
+const { getCache } = require("../cache");
+
+const PREFIX = "http:";
+
+// Validated query -> "a=1&tags=x%2Cy": keys sorted, unset values left out
+function normalizeQuery(query) {
+  return Object.keys(query)
+    .filter((key) => query[key] !== undefined && query[key] !== null && query[key] !== "")
+    .sort()
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent([].concat(query[key]).map(String).join(","))}`)
+    .join("&");
+}
+
+/** Cache key for a request (after validate(), so the query is already normalized). */
+function cacheKey(req) {
+  return `${PREFIX}${req.baseUrl}${req.path}?${normalizeQuery(req.query)}`;
+}
+
+// Bumped by every invalidation. A response computed before one isn't stored,
+// as it may hold what the write just changed.
+let generation = 0;
+const currentGeneration = () => generation;
+
+async function invalidate(paths) {
+  generation += 1;
+  const store = getCache();
+  try {
+    await Promise.all(paths.map((path) => store.deleteByPrefix(PREFIX + path)));
+  } catch (err) {
+    console.error("Cache invalidation failed:", err.message);
+  }
+}
+
+/**
+ * Drops the cached catalog responses a product write affects: the product
+ * lists and the category list always, plus the pages of `productIds` — or
+ * every product page when the ids aren't known (null).
+ */
+function invalidateProducts(productIds) {
+  if (!productIds) return invalidate(["/products/"]);
+  return invalidate(["/products/?", "/products/categories?", ...productIds.map((id) => `/products/${id}?`)]);
+}
+
+// Ids a query filter is limited to ({ _id: id } or { _id: { $in: ids } }), or null
+function filteredIds(filter) {
+  const id = filter?._id;
+  if (typeof id === "string" || id instanceof Types.ObjectId) return [id];
+  if (Array.isArray(id?.$in)) return id.$in;
+  return null;
+}
+
+// name -> { hits, misses }, since the server started
+const counters = new Map();
+
+function countLookup(name, hit) {
+  if (!counters.has(name)) counters.set(name, { hits: 0, misses: 0 });
+  counters.get(name)[hit ? "hits" : "misses"] += 1;
+}
+
+const withRate = ({ hits, misses }) => ({
+  hits,
+  misses,
+  hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+});
+
+/** Hit/miss counters, overall and per cached route, plus the store's size. */
+function cacheStats() {
+  const store = getCache();
+  const total = { hits: 0, misses: 0 };
+  const routes = {};
+  for (const [name, count] of counters) {
+    total.hits += count.hits;
+    total.misses += count.misses;
+    routes[name] = withRate(count);
+  }
+  return { driver: store.name, entries: store.size ?? null, ...withRate(total), routes };
+}
+
+module.exports = {
+  cacheKey,
+  currentGeneration,
+  invalidateProducts,
+  filteredIds,
+  countLookup,
+  cacheStats,
+};
@@ -0,0 +1,143 @@
+// utils/cart.utils.js
+const { priceItems } = require("./pricing.utils");
+const { HttpError } = require("../error-handling/errors");
+
+/**
+ * Checks a requested quantity against the product's (or variant's) stock and
+ * minimumOrderQuantity. Returns an error message, or null when it's fine.
+ * A product without a `stock` value is treated as out of stock.
+ */
+function validateQuantity(product, quantity, variant = null) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return "quantity must be a positive integer";
+  }
+
+  const minQty = product.minimumOrderQuantity || 1;
+  if (quantity < minQty) {
+    return `Minimum order quantity for this product is ${minQty}`;
+  }
+
+  const stock = (variant || product).stock ?? 0;
+  if (quantity > stock) {
+    return stock > 0 ? `Only ${stock} left in stock` : "Product is out of stock";
+  }
+
+  return null;
+}
+
+// "Size: 50ml, Color: Red" — variant options come as a Map (document) or object (lean)
+function variantLabel(variant) {
+  const options = variant.options instanceof Map ? [...variant.options] : Object.entries(variant.options || {});
+  return options.map(([name, value]) => `${name}: ${value}`).join(", ");
+}
+
+// Prices the available lines, with the coupon when it still applies
+function priceCart(lines, coupon) {
+  if (!coupon) return { priced: priceItems(lines), couponError: null };
+  try {
+    return { priced: priceItems(lines, { coupon }), couponError: null };
+  } catch (err) {
+    if (!(err instanceof HttpError)) throw err;
+    return { priced: priceItems(lines), couponError: err };
+  }
+}
+
+/**
+ * Builds the cart response with live prices. Expects `cart.items.product`
+ * to be populated (with `variants` when lines can have one). Each line reports whether its price or availability
+ * changed since it was added.
+ * Money comes from utils/pricing.utils.js (same numbers as checkout), over the
+ * available lines only. options.coupon is the Coupon for cart.couponCode, or
+ * options.couponError why it can't be used; either way the view's `coupon`
+ * says whether it was applied.
+ */
+function buildCartView(cart, { coupon = null, couponError = null } = {}) {
+  let hasChanges = false;
+  const available = []; // lines that count towards the totals, for pricing
+
+  const items = (cart?.items || []).map((line) => {
+    const product = line.product;
+
+    // product was deleted after being added to the cart
+    if (!product || !product._id) {
+      hasChanges = true;
+      return {
+        product: null,
+        quantity: line.quantity,
+        priceAtAdd: line.priceAtAdd,
+        available: false,
+        availabilityChanged: line.availableAtAdd !== false,
+        priceChanged: false,
+        message: "Product is no longer available",
+      };
+    }
+
+    // a line for a variant that has since been removed can't be bought
+    const variant = line.variant ? product.variants?.find((v) => v._id.equals(line.variant)) : null;
+    const variantGone = Boolean(line.variant) && !variant;
+
+    const message = variantGone
+      ? "This option is no longer available"
+      : validateQuantity(product, line.quantity, variant);
+    const unitPrice = variant ? variant.price : product.price;
+    const isAvailable = message === null;
+    const priceChanged = !variantGone && unitPrice !== line.priceAtAdd;
+    const availabilityChanged = isAvailable !== line.availableAtAdd;
+
+    if (priceChanged || availabilityChanged) hasChanges = true;
+
+    const view = {
+      product: {
+        _id: product._id,
+        title: product.title,
+        thumbnail: product.thumbnail,
+        price: product.price,
+        discountPercentage: product.discountPercentage,
+        stock: product.stock,
+        minimumOrderQuantity: product.minimumOrderQuantity,
+      },
+      variant: variant
+        ? { _id: variant._id, label: variantLabel(variant), sku: variant.sku, price: variant.price, stock: variant.stock }
+        : line.variant && { _id: line.variant },
+      quantity: line.quantity,
+      unitPrice,
+      lineTotal: unitPrice * line.quantity,
+      priceAtAdd: line.priceAtAdd,
+      priceChanged,
+      available: isAvailable,
+      availabilityChanged,
+      message,
+    };
+    if (isAvailable) available.push({ view, line: { product, variant, quantity: line.quantity } });
+    return view;
+  });
+
+  const { priced, couponError: pricingError } = priceCart(available.map((a) => a.line), coupon);
+  available.forEach(({ view }, i) => {
+    const { gross, productDiscount, couponDiscount, lineTotal } = priced.items[i];
+    Object.assign(view, { gross, productDiscount, couponDiscount, lineTotal });
+  });
+
+  const problem = couponError || pricingError;
+  let couponView = null;
+  if (priced.coupon) {
+    couponView = { code: priced.coupon.code, applied: true, discount: priced.coupon.discount };
+  } else if (cart?.couponCode) {
+    couponView = { code: cart.couponCode, applied: false, reason: problem?.code, message: problem?.message };
+  }
+
+  return {
+    _id: cart?._id,
+    items,
+    subtotal: priced.subtotal,
+    productDiscount: priced.productDiscount,
+    couponDiscount: priced.couponDiscount,
+    discountTotal: priced.discountTotal,
+    total: priced.total,
+    coupon: couponView,
+    hasChanges,
+    updatedAt: cart?.updatedAt,
+  };
+}
+
+module.exports = { validateQuantity, variantLabel, buildCartView };
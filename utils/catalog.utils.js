@@ -0,0 +1,453 @@
+// utils/catalog.utils.js
+//
+// Bulk product import/export for sellers, in CSV or JSON.
+// Both directions stream: rows are read and written in batches, so a big
+// catalog never sits in memory as a whole.
+//
+// CSV: one column per entry of COLUMNS (header row required); tags and
+// images are separated by "|". JSON: an array of objects shaped like the
+// export (dimensions and meta.barcode nested). Categories are written as
+// their slug and read by slug, name or id.
+const { Transform, pipeline } = require("stream");
+const { pipeline: pipelineAsync } = require("stream/promises");
+const { parse } = require("csv-parse");
+const { stringify } = require("csv-stringify");
+const { parser: jsonParser } = require("stream-json");
+const { streamArray } = require("stream-json/streamers/StreamArray");
+
+const Product = require("../models/product.model");
+const Category = require("../models/category.model");
+const { checkShape } = require("../middleware/validate.middleware");
+const { recordMovements } = require("./inventory.utils");
+const { findCategory } = require("./category.utils");
+const { diffFields, audit } = require("./audit.utils");
+const { notifyPriceChanges } = require("./notification.utils");
+const { BadRequestError } = require("../error-handling/errors");
+const schemas = require("../validation/catalog.schemas");
+
+// File column -> Product path
+const COLUMNS = [
+  ["sku", "sku"],
+  ["title", "title"],
+  ["description", "description"],
+  ["price", "price"],
+  ["discountPercentage", "discountPercentage"],
+  ["stock", "stock"],
+  ["lowStockThreshold", "lowStockThreshold"],
+  ["category", "category"],
+  ["brand", "brand"],
+  ["tags", "tags"],
+  ["weight", "weight"],
+  ["dimensions.width", "dimensions.width"],
+  ["dimensions.height", "dimensions.height"],
+  ["dimensions.depth", "dimensions.depth"],
+  ["warrantyInformation", "warrantyInformation"],
+  ["shippingInformation", "shippingInformation"],
+  ["returnPolicy", "returnPolicy"],
+  ["minimumOrderQuantity", "minimumOrderQuantity"],
+  ["barcode", "meta.barcode"],
+  ["thumbnail", "thumbnail"],
+  ["images", "images"],
+];
+const LIST_COLUMNS = ["tags", "images"];
+const LIST_SEPARATOR = "|";
+
+const BATCH_SIZE = 200;
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 50000;
+// Row errors listed in the report; the counts always cover every row
+const MAX_REPORTED_ERRORS = 500;
+
+const valueAt = (obj, path) => path.split(".").reduce((o, key) => o?.[key], obj);
+
+// ---------- reading ----------
+
+// CSV record (all strings) -> row: empty cells are "not given", lists are split
+function fromCsv(record) {
+  const row = {};
+  for (const [column, value] of Object.entries(record)) {
+    if (value === "") continue;
+    row[column] = LIST_COLUMNS.includes(column) ? value.split(LIST_SEPARATOR).map((s) => s.trim()).filter(Boolean) : value;
+  }
+  return row;
+}
+
+// JSON object (nested like the export) -> row with the flat column names
+function fromJson(item) {
+  if (item === null || typeof item !== "object" || Array.isArray(item)) return item;
+
+  const { dimensions, meta, ...rest } = item;
+  const row = { ...rest };
+  if (dimensions && typeof dimensions === "object") {
+    for (const [key, value] of Object.entries(dimensions)) row[`dimensions.${key}`] = value;
+  } else if (dimensions !== undefined) {
+    row.dimensions = dimensions; // reported as not allowed
+  }
+  if (meta && typeof meta === "object") {
+    const { barcode, ...otherMeta } = meta;
+    if (barcode !== undefined) row.barcode = barcode;
+    for (const key of Object.keys(otherMeta)) row[`meta.${key}`] = otherMeta[key];
+  }
+  return row;
+}
+
+/**
+ * Reads rows from a CSV or JSON stream.
+ * Yields { row: <line or item number>, data }.
+ */
+async function* readRows(input, format) {
+  // pipeline() hands a parse or connection error on to the loop below
+  const done = () => {};
+  try {
+    if (format === "csv") {
+      const csv = pipeline(input, parse({ columns: true, bom: true, trim: true, skip_empty_lines: true, info: true }), done);
+      for await (const { record, info } of csv) {
+        yield { row: info.lines, data: fromCsv(record) };
+      }
+    } else {
+      const items = pipeline(input, jsonParser(), streamArray(), done);
+      for await (const { key, value } of items) {
+        yield { row: key + 1, data: fromJson(value) };
+      }
+    }
+  } catch (err) {
+    if (err instanceof BadRequestError) throw err;
+    throw new BadRequestError(`Could not read the ${format.toUpperCase()} file: ${err.message}`, "INVALID_FILE");
+  }
+}
+
+// ---------- importing ----------
+
+// Row values -> { path: value } for $set / new documents
+function toPaths(value) {
+  const paths = {};
+  for (const [column, path] of COLUMNS) {
+    if (column !== "sku" && column !== "stock" && value[column] !== undefined) paths[path] = value[column];
+  }
+  return paths;
+}
+
+/**
+ * Imports (or with dryRun only checks) one batch of rows and adds the
+ * outcome to `report`. Products are matched on sku within the seller's
+ * catalog: a known sku is updated with the given columns, a new one is created.
+ * `stock` sets the stock level; the change is logged in the inventory ledger.
+ * A row whose stock changed between reading and writing it fails with a
+ * "conflict" error instead of overwriting that change. A lower price
+ * notifies the product's watchers.
+ */
+async function importBatch(batch, { owner, dryRun, seen, categories, report }) {
+  const fail = (row, sku, errors) => {
+    report.failed += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ row, sku, errors });
+    else report.errorsTruncated = true;
+  };
+  const rowError = (field, code, message) => [{ location: "row", field, code, message }];
+
+  // 1. shape of every row, skus repeated in the file and unknown categories
+  const valid = [];
+  for (const { row, data } of batch) {
+    const { value, errors } = checkShape(schemas.row, data, "row");
+    if (errors.length) {
+      fail(row, typeof data?.sku === "string" ? data.sku : undefined, errors);
+      continue;
+    }
+    if (seen.has(value.sku)) {
+      fail(row, value.sku, rowError("sku", "duplicate", "sku appears more than once in the file"));
+      continue;
+    }
+    seen.add(value.sku);
+
+    if (value.category !== undefined) {
+      // the same few categories come back on every row, so look each one up once
+      if (!categories.has(value.category)) {
+        categories.set(value.category, (await findCategory(value.category))?._id);
+      }
+      const categoryId = categories.get(value.category);
+      if (!categoryId) {
+        fail(row, value.sku, rowError("category", "unknown", `Unknown category "${value.category}"`));
+        continue;
+      }
+      value.category = categoryId;
+    }
+    valid.push({ row, value });
+  }
+  if (valid.length === 0) return;
+
+  // 2. which skus exist, and whose they are
+  const skus = valid.map((r) => r.value.sku);
+  // deleted products keep their skus (they can be restored), so they're matched too
+  const matches = await Product.find({ $or: [{ sku: { $in: skus } }, { "variants.sku": { $in: skus } }] })
+    .withDeleted()
+    .select(`${EXPORT_FIELDS} owner deletedAt variants._id variants.sku variants.price variants.options`)
+    .lean();
+
+  const own = new Map();
+  const taken = new Set();
+  const deleted = new Set();
+  for (const product of matches) {
+    if (product.deletedAt && product.owner?.toString() === String(owner)) {
+      for (const used of [product.sku, ...(product.variants || []).map((v) => v.sku)]) deleted.add(used);
+      continue;
+    }
+    const isOwn = product.owner?.toString() === String(owner);
+    if (isOwn && skus.includes(product.sku) && !own.has(product.sku)) own.set(product.sku, product);
+    else taken.add(product.sku);
+    for (const variant of product.variants || []) taken.add(variant.sku);
+  }
+
+  // 3. plan the writes
+  const planned = []; // { row, sku, productId, created, op?, guarded?, changes?, movement? } — no op: nothing to change
+  const refresh = [];
+
+  for (const { row, value } of valid) {
+    const { sku } = value;
+    const existing = own.get(sku);
+
+    if (!existing) {
+      if (deleted.has(sku)) {
+        fail(row, sku, rowError("sku", "deleted", `sku ${sku} belongs to one of your deleted products; restore it first`));
+        continue;
+      }
+      if (taken.has(sku)) {
+        fail(row, sku, rowError("sku", "taken", `sku ${sku} is already used by another product or variant`));
+        continue;
+      }
+      const missing = ["title", "price", "category"].filter((field) => value[field] === undefined);
+      if (missing.length) {
+        fail(row, sku, missing.flatMap((field) => rowError(field, "required", `${field} is required for a new product`)));
+        continue;
+      }
+
+      const doc = new Product({ owner, sku, stock: value.stock ?? 0 });
+      for (const [path, v] of Object.entries(toPaths(value))) doc.set(path, v);
+      try {
+        await doc.validate();
+      } catch (err) {
+        fail(row, sku, Object.values(err.errors || {}).map((e) => rowError(e.path, "invalid", e.message)[0]));
+        continue;
+      }
+
+      planned.push({
+        row,
+        sku,
+        productId: doc._id,
+        created: true,
+        op: { insertOne: { document: doc.toObject() } },
+        movement: doc.stock > 0 && { productId: doc._id, quantity: doc.stock, stockAfter: doc.stock, type: "restock" },
+      });
+      continue;
+    }
+
+    if (existing.variants?.length && (value.price !== undefined || value.stock !== undefined)) {
+      fail(row, sku, rowError(value.price !== undefined ? "price" : "stock", "has_variants",
+        "this product has variants; set price and stock on the variants"));
+      continue;
+    }
+
+    const set = toPaths(value);
+    const filter = { _id: existing._id, owner };
+    let movement = null;
+    if (value.stock !== undefined && value.stock !== existing.stock) {
+      // the new level only applies if the stock is still what was read above (orders may have taken some since);
+      // a product without a stored stock matches { stock: null } and counts as 0 in the ledger
+      set.stock = value.stock;
+      filter.stock = existing.stock ?? null;
+      const quantity = value.stock - (existing.stock ?? 0);
+      if (quantity !== 0) movement = { productId: existing._id, quantity, stockAfter: value.stock, type: "adjustment" };
+    }
+    if (Object.keys(set).length === 0) {
+      // nothing to change still counts as an update of that row
+      planned.push({ row, sku, created: false });
+      continue;
+    }
+
+    const changes = diffFields(existing, set, Object.keys(set));
+    const repriced = changes.some((c) => c.field === "price" || c.field === "discountPercentage");
+    planned.push({
+      row,
+      sku,
+      productId: existing._id,
+      created: false,
+      op: { updateOne: { filter, update: { $set: set } } },
+      guarded: set.stock !== undefined,
+      changes,
+      movement,
+      priceChange: repriced && { before: existing, after: { ...existing, ...set } },
+    });
+    if (set.stock !== undefined || value.lowStockThreshold !== undefined) refresh.push(existing._id);
+  }
+
+  if (dryRun) {
+    for (const p of planned) {
+      if (p.created) report.created += 1;
+      else report.updated += 1;
+    }
+    return;
+  }
+
+  // 4. write; with ordered:false one bad row doesn't stop the rest
+  const bulk = planned.filter((plan) => plan.op && !plan.guarded);
+  if (bulk.length) {
+    try {
+      await Product.bulkWrite(bulk.map((plan) => plan.op), { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      for (const writeError of err.writeErrors) bulk[writeError.index].error = writeError.errmsg || writeError.message;
+    }
+  }
+
+  // stock changes go one by one, so a row whose stock moved meanwhile can be told apart
+  for (const p of planned.filter((plan) => plan.guarded)) {
+    try {
+      const { matchedCount } = await Product.updateOne(p.op.updateOne.filter, p.op.updateOne.update);
+      if (matchedCount === 0) p.conflict = true;
+    } catch (err) {
+      p.error = err.message;
+    }
+  }
+
+  const movements = [];
+  const audits = [];
+  const priceChanges = [];
+  planned.forEach((p) => {
+    if (!p.op) {
+      report.updated += 1;
+      return;
+    }
+    if (p.conflict) {
+      fail(p.row, p.sku, rowError("stock", "conflict", "stock changed while importing; the row was not applied, import it again"));
+      return;
+    }
+    if (p.error) {
+      fail(p.row, p.sku, rowError("row", "write_failed", p.error));
+      return;
+    }
+    if (p.created) report.created += 1;
+    else report.updated += 1;
+    if (p.movement) movements.push(p.movement);
+    if (p.priceChange) priceChanges.push(p.priceChange);
+    if (p.created || p.changes.length) {
+      audits.push({
+        entity: "Product",
+        entityId: p.productId,
+        action: p.created ? "create" : "update",
+        by: owner,
+        changes: p.changes,
+        note: "Catalog import",
+      });
+    }
+  });
+
+  for (const type of ["restock", "adjustment"]) {
+    await recordMovements(
+      movements.filter((m) => m.type === type),
+      { type, by: owner, note: "Catalog import" }
+    );
+  }
+  await Promise.all(refresh.map((id) => Product.refreshStockStatus(id)));
+  await audit(audits);
+
+  // watchers hear about lower prices, as with an edit through the API
+  for (const { before, after } of priceChanges) {
+    await notifyPriceChanges(before, after).catch((err) =>
+      console.error("Price-drop notifications for product", String(before._id), "failed:", err.message)
+    );
+  }
+}
+
+/**
+ * Imports a CSV/JSON product file for `owner`. With dryRun nothing is
+ * written; the report says what would happen.
+ * Returns { dryRun, rows, created, updated, failed, errors: [{ row, sku, errors }] }
+ */
+async function importProducts(input, format, { owner, dryRun = false }) {
+  const report = { dryRun, rows: 0, created: 0, updated: 0, failed: 0, errors: [] };
+  const context = { owner, dryRun, seen: new Set(), categories: new Map(), report };
+
+  let batch = [];
+  for await (const item of readRows(input, format)) {
+    report.rows += 1;
+    if (report.rows > MAX_ROWS) {
+      throw new BadRequestError(`Files can have at most ${MAX_ROWS} rows; split it up`, "TOO_MANY_ROWS");
+    }
+    batch.push(item);
+    if (batch.length === BATCH_SIZE) {
+      await importBatch(batch, context);
+      batch = [];
+    }
+  }
+  if (batch.length) await importBatch(batch, context);
+
+  return report;
+}
+
+// ---------- exporting ----------
+
+const EXPORT_FIELDS = COLUMNS.map(([, path]) => path).join(" ");
+
+// Product -> CSV record (flat, lists joined)
+function toCsvRecord(product, slugs) {
+  const record = {};
+  for (const [column, path] of COLUMNS) {
+    const value = column === "category" ? slugs.get(String(product.category)) : valueAt(product, path);
+    record[column] = Array.isArray(value) ? value.join(LIST_SEPARATOR) : value ?? "";
+  }
+  return record;
+}
+
+// Product -> JSON object in the import shape
+function toJsonItem(product, slugs) {
+  const item = {};
+  for (const [column, path] of COLUMNS) {
+    const value = column === "category" ? slugs.get(String(product.category)) : valueAt(product, path);
+    if (value === undefined || value === null) continue;
+    if (column === "barcode") item.meta = { barcode: value };
+    else if (column.startsWith("dimensions.")) item.dimensions = { ...item.dimensions, [column.slice(11)]: value };
+    else item[column] = value;
+  }
+  return item;
+}
+
+// Writes a JSON array one product at a time
+function jsonArrayWriter(slugs) {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(product, encoding, callback) {
+      const prefix = first ? "[\n" : ",\n";
+      first = false;
+      callback(null, prefix + JSON.stringify(toJsonItem(product, slugs)));
+    },
+    flush(callback) {
+      callback(null, first ? "[]\n" : "\n]\n");
+    },
+  });
+}
+
+/**
+ * Streams the seller's catalog into `output` (the response) as CSV or JSON.
+ */
+async function exportProducts(owner, format, output) {
+  // category id -> slug (the category tree is small)
+  const categories = await Category.find().select("slug").lean();
+  const slugs = new Map(categories.map((c) => [c._id.toString(), c.slug]));
+
+  const cursor = Product.find({ owner }).select(EXPORT_FIELDS).sort({ _id: 1 }).lean().cursor();
+
+  const stages =
+    format === "csv"
+      ? [
+          new Transform({
+            objectMode: true,
+            transform(product, encoding, callback) {
+              callback(null, toCsvRecord(product, slugs));
+            },
+          }),
+          stringify({ header: true, columns: COLUMNS.map(([column]) => column) }),
+        ]
+      : [jsonArrayWriter(slugs)];
+
+  await pipelineAsync(cursor, ...stages, output);
+}
+
+module.exports = { importProducts, exportProducts, COLUMNS };
@@ -0,0 +1,99 @@
+// utils/category.utils.js
+//
+// Clients name a category by id, slug or name ("Serum", "serum" and "SERUM"
+// are the same category); these helpers turn that into Category documents.
+const Category = require("../models/category.model");
+const { BadRequestError } = require("../error-handling/errors");
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// id, slug or name -> the Category, or null
+function findCategory(value) {
+  const text = String(value).trim();
+  if (OBJECT_ID.test(text)) return Category.findById(text);
+  return Category.findOne({ slug: Category.slugify(text) });
+}
+
+/**
+ * The Category for `value` (id, slug or name). Throws a BadRequestError
+ * (UNKNOWN_CATEGORY) when there is none — categories are managed by admins.
+ */
+async function resolveCategory(value) {
+  const category = await findCategory(value);
+  if (!category) {
+    throw new BadRequestError(`Unknown category "${value}"`, "UNKNOWN_CATEGORY");
+  }
+  return category;
+}
+
+// Several at once: [id | slug | name] -> [ObjectId]
+async function resolveCategoryIds(values) {
+  const categories = await Promise.all(values.map(resolveCategory));
+  return categories.map((c) => c._id);
+}
+
+/**
+ * Product filter value for ?category=: the category and all of its
+ * descendants. An unknown category matches nothing.
+ */
+async function categoryFilter(value) {
+  const category = await findCategory(value);
+  if (!category) return { $in: [] };
+  return { $in: await Category.subtreeIds(category._id) };
+}
+
+/**
+ * Puts `category` (a document) under `parent` (a document, or null for the
+ * top level) and rewrites the ancestors of its whole subtree. Refuses to put
+ * a category under itself or one of its own descendants.
+ */
+async function moveCategory(category, parent) {
+  if (parent && (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id)))) {
+    throw new BadRequestError("A category can't be moved under itself or its subcategories", "CATEGORY_CYCLE");
+  }
+
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  const descendants = await Category.find({ ancestors: category._id }).select("ancestors").lean();
+
+  category.parent = parent ? parent._id : null;
+  category.ancestors = ancestors;
+  await category.save();
+
+  // a descendant keeps its path below `category` and gets the new path above it
+  const ops = descendants.map((d) => {
+    const below = d.ancestors.slice(d.ancestors.findIndex((id) => id.equals(category._id)));
+    return { updateOne: { filter: { _id: d._id }, update: { $set: { ancestors: [...ancestors, ...below] } } } };
+  });
+  if (ops.length) await Category.bulkWrite(ops);
+}
+
+/**
+ * Nests a flat list of categories (each with `parent`) into
+ * [{ ...category, children: [...] }], siblings by order then name.
+ */
+function buildTree(categories) {
+  const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const bySiblingOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+  const sort = (list) => {
+    list.sort(bySiblingOrder);
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+module.exports = {
+  findCategory,
+  resolveCategory,
+  resolveCategoryIds,
+  categoryFilter,
+  moveCategory,
+  buildTree,
+};
@@ -0,0 +1,152 @@
+// utils/checkout.utils.js
+const Product = require("../models/product.model");
+const { validateQuantity, variantLabel } = require("./cart.utils");
+const { changeStock, recordMovements } = require("./inventory.utils");
+const { releaseCoupon } = require("./coupon.utils");
+const { priceItems, round2 } = require("./pricing.utils");
+const { BadRequestError, ConflictError, NotFoundError } = require("../error-handling/errors");
+
+/**
+ * Merges duplicate product (+ variant) lines and sums their quantities.
+ * lines: [{ productId, variantId?, quantity }]
+ */
+function mergeLines(lines) {
+  const merged = new Map();
+  for (const { productId, variantId, quantity } of lines) {
+    const key = `${productId}:${variantId || ""}`;
+    const line = merged.get(key) || { productId, variantId: variantId || undefined, quantity: 0 };
+    line.quantity += Number(quantity);
+    merged.set(key, line);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Puts stock back on the given products/variants. Used to undo a partial
+ * reservation and when an order is cancelled.
+ * lines: [{ productId, variantId?, quantity }]
+ * Returns ledger entries ({ productId, variantId, quantity, stockAfter }).
+ */
+async function releaseStock(lines) {
+  const released = await Promise.all(
+    lines.map(async ({ productId, variantId, quantity }) => {
+      const stockAfter = await changeStock({ productId, variantId, quantity });
+      return { productId, variantId, quantity, stockAfter };
+    })
+  );
+  // a deleted product or variant has nothing to put back
+  return released.filter((entry) => entry.stockAfter !== null);
+}
+
+/**
+ * Decrements stock for every line with a conditional update, so two buyers
+ * can never take the last unit. If any line can't be reserved, the lines
+ * already taken are put back and a ConflictError is thrown.
+ * lines: [{ productId, variantId?, quantity }]
+ * Returns ledger entries (negative quantities) for the "sale" movements.
+ */
+async function reserveStock(lines) {
+  const reserved = [];
+  try {
+    for (const line of lines) {
+      const stockAfter = await changeStock({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: -line.quantity,
+      });
+      if (stockAfter === null) {
+        throw new ConflictError(`Not enough stock for product ${line.productId}`, "OUT_OF_STOCK");
+      }
+      reserved.push({ ...line, quantity: -line.quantity, stockAfter });
+    }
+  } catch (err) {
+    await releaseStock(reserved.map((entry) => ({ ...entry, quantity: -entry.quantity })));
+    throw err;
+  }
+  return reserved;
+}
+
+/**
+ * Loads the products for the given lines, checks quantities and returns
+ * the priced order items (title, price and discounts snapshotted) with the
+ * totals from utils/pricing.utils.js.
+ * A product with variants needs a variantId; the variant sets the price.
+ * coupon: an already checked Coupon document, if the buyer gave a code.
+ */
+async function priceLines(lines, { coupon } = {}) {
+  const ids = lines.map((l) => l.productId);
+  const products = await Product.find({ _id: { $in: ids } }).select(
+    "title price discountPercentage stock minimumOrderQuantity owner category sku variants"
+  );
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const resolved = lines.map(({ productId, variantId, quantity }) => {
+    const product = byId.get(String(productId));
+    if (!product) throw new NotFoundError(`Product ${productId} not found`);
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      if (!variantId) throw new BadRequestError(`${product.title}: choose an option`, "VARIANT_REQUIRED");
+      variant = product.variants.id(variantId);
+    }
+    if (variantId && !variant) throw new NotFoundError(`${product.title}: option ${variantId} not found`);
+
+    const error = validateQuantity(product, quantity, variant);
+    if (error) throw new ConflictError(`${product.title}: ${error}`, "INVALID_QUANTITY");
+
+    return { product, variant, quantity };
+  });
+
+  const priced = priceItems(resolved, { coupon });
+
+  const items = resolved.map(({ product, variant, quantity }, i) => {
+    const { unitPrice, discountPercentage, couponDiscount, lineTotal } = priced.items[i];
+    return {
+      product: product._id,
+      variant: variant?._id,
+      variantLabel: variant ? variantLabel(variant) : undefined,
+      sku: variant ? variant.sku : product.sku,
+      seller: product.owner,
+      title: product.title,
+      price: unitPrice,
+      discountPercentage,
+      couponDiscount,
+      quantity,
+      lineTotal,
+    };
+  });
+
+  const { subtotal, discountTotal, couponDiscount, total } = priced;
+  const order = { items, subtotal, discountTotal, total };
+  if (priced.coupon) {
+    order.coupon = { couponId: priced.coupon._id, code: priced.coupon.code, discount: couponDiscount };
+  }
+  return order;
+}
+
+/**
+ * Gives back what an order took at checkout, once it has been saved as
+ * cancelled or refunded (so it can't happen twice): its stock, logged in the
+ * ledger, and its coupon use. `restock: false` leaves the stock out, for
+ * goods that already left with the buyer.
+ */
+async function releaseOrder(order, { by, note, restock = true } = {}) {
+  if (restock) {
+    const released = await releaseStock(
+      order.items.map((i) => ({ productId: i.product, variantId: i.variant, quantity: i.quantity }))
+    );
+    await recordMovements(released, { type: "cancellation", order: order._id, by, note }).catch((err) =>
+      console.error("Inventory ledger for order", order._id.toString(), "failed:", err.message)
+    );
+  }
+  await releaseCoupon(order.coupon?.couponId, order._id);
+}
+
+module.exports = {
+  mergeLines,
+  priceLines,
+  reserveStock,
+  releaseStock,
+  releaseOrder,
+  round2,
+};
@@ -0,0 +1,93 @@
+// utils/coupon.utils.js
+//
+// Looking up and redeeming discount codes. What a code takes off is worked
+// out by utils/pricing.utils.js.
+const Coupon = require("../models/coupon.model");
+const Category = require("../models/category.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const { BadRequestError, ConflictError } = require("../error-handling/errors");
+
+const limitReached = (coupon) =>
+  new BadRequestError(`You have already used coupon ${coupon.code}`, "COUPON_LIMIT_REACHED");
+
+/**
+ * Loads the coupon for `code` and checks it can be used by `userId` right now
+ * (active, in its date range, under its usage limits). Throws a
+ * BadRequestError with a COUPON_* code otherwise. Spend and product
+ * restrictions are checked when pricing; the subcategories of the coupon's
+ * categories are loaded for that here.
+ */
+async function findUsableCoupon(code, userId) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.active) {
+    throw new BadRequestError(`Coupon ${code} doesn't exist`, "COUPON_NOT_FOUND");
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new BadRequestError(`Coupon ${coupon.code} isn't valid yet`, "COUPON_NOT_STARTED");
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    throw new BadRequestError(`Coupon ${coupon.code} has expired`, "COUPON_EXPIRED");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new BadRequestError(`Coupon ${coupon.code} has been used up`, "COUPON_USED_UP");
+  }
+
+  // early answer only; redeemCoupon enforces the limit
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    if (used >= coupon.perUserLimit) {
+      throw limitReached(coupon);
+    }
+  }
+
+  if (coupon.categories.length > 0) {
+    coupon.$locals.categoryIds = await Category.subtreeIds(coupon.categories);
+  }
+  return coupon;
+}
+
+// Records the use for `order`, in a free per-user slot when the coupon has a
+// perUserLimit (the unique index turns away a second claim on the same slot)
+async function claimRedemption(coupon, userId, orderId) {
+  const redemption = { coupon: coupon._id, user: userId, order: orderId };
+  if (!coupon.perUserLimit) return CouponRedemption.create(redemption);
+
+  for (let slot = 1; slot <= coupon.perUserLimit; slot += 1) {
+    try {
+      return await CouponRedemption.create({ ...redemption, slot });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  throw limitReached(coupon);
+}
+
+/**
+ * Takes one use of the coupon by `userId` for the order `orderId` (which
+ * may not be saved yet). Both limits hold even when several checkouts race:
+ * the per-customer one through the redemption slots, the total through a
+ * conditional update of usedCount.
+ */
+async function redeemCoupon(coupon, userId, orderId) {
+  await claimRedemption(coupon, userId, orderId);
+
+  const filter = { _id: coupon._id, active: true };
+  if (coupon.usageLimit) filter.usedCount = { $lt: coupon.usageLimit };
+
+  const result = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } });
+  if (result.modifiedCount === 0) {
+    await CouponRedemption.deleteOne({ order: orderId });
+    throw new ConflictError(`Coupon ${coupon.code} has been used up`, "COUPON_USED_UP");
+  }
+}
+
+// Gives back the use redeemCoupon took for an order (failed checkout, cancelled order)
+async function releaseCoupon(couponId, orderId) {
+  if (!couponId) return;
+  await CouponRedemption.deleteOne({ order: orderId });
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+module.exports = { findUsableCoupon, redeemCoupon, releaseCoupon };
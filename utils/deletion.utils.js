@@ -0,0 +1,146 @@
+// utils/deletion.utils.js
+//
+// Deleting products and reviews is a soft delete (models/softDelete.plugin.js):
+// they disappear from the shop but the owner or an admin can restore them
+// for a while. Deleting a product takes its reviews with it (marked with
+// `deletedWith`), and restoring it brings back exactly those. Images, votes
+// and the documents themselves are only removed when they're purged.
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const ReviewVote = require("../models/reviewVote.model");
+const { ConflictError } = require("../error-handling/errors");
+const { removeUploadsFor } = require("./upload.utils");
+const { audit } = require("./audit.utils");
+const { RETENTION_DAYS, restorableUntil } = require("../models/softDelete.plugin");
+
+// Throws unless `doc` (loaded with its deletedAt) can still be restored
+function checkRestorable(doc, label) {
+  if (!doc.deletedAt) throw new ConflictError(`This ${label} isn't deleted`, "NOT_DELETED");
+  if (!doc.isRestorable()) {
+    throw new ConflictError(
+      `This ${label} was deleted more than ${RETENTION_DAYS} days ago and can't be restored`,
+      "RESTORE_EXPIRED"
+    );
+  }
+}
+
+/**
+ * Soft-deletes a product and the reviews on it. `by`: the user deleting it.
+ * Returns { restorableUntil, reviewsDeleted }.
+ */
+async function deleteProduct(productId, by) {
+  const deletedAt = new Date();
+  await Product.updateOne({ _id: productId }, { $set: { deletedAt, deletedBy: by } });
+
+  const reviewIds = await Review.find({ product: productId }).distinct("_id");
+  await Review.updateMany(
+    { _id: { $in: reviewIds } },
+    { $set: { deletedAt, deletedBy: by, deletedWith: productId } }
+  );
+
+  await audit([
+    { entity: "Product", entityId: productId, action: "delete", by },
+    ...reviewIds.map((id) => ({ entity: "Review", entityId: id, action: "delete", by, note: "Deleted with its product" })),
+  ]);
+  return { restorableUntil: restorableUntil(deletedAt), reviewsDeleted: reviewIds.length };
+}
+
+/**
+ * Restores a deleted product (a document loaded withDeleted) together with
+ * the reviews that were deleted with it. Reviews deleted on their own stay deleted.
+ */
+async function restoreProduct(product, by) {
+  checkRestorable(product, "product");
+  await Product.updateOne({ _id: product._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+
+  const reviewIds = await Review.find({ product: product._id, deletedWith: product._id }).withDeleted().distinct("_id");
+  await Review.updateMany(
+    { _id: { $in: reviewIds } },
+    { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } }
+  );
+  await Review.syncProductRating(product._id);
+
+  await audit([
+    { entity: "Product", entityId: product._id, action: "restore", by },
+    ...reviewIds.map((id) => ({ entity: "Review", entityId: id, action: "restore", by, note: "Restored with its product" })),
+  ]);
+  return { reviewsRestored: reviewIds.length };
+}
+
+/**
+ * Soft-deletes a review; it stops counting for the product's rating.
+ * Returns { restorableUntil }.
+ */
+async function deleteReview(review, by) {
+  const deletedAt = new Date();
+  await Review.updateOne({ _id: review._id }, { $set: { deletedAt, deletedBy: by } });
+  await Review.syncProductRating(review.product);
+  await audit({ entity: "Review", entityId: review._id, action: "delete", by });
+  return { restorableUntil: restorableUntil(deletedAt) };
+}
+
+/**
+ * Restores a deleted review (a document loaded withDeleted). A review on a
+ * deleted product comes back with the product instead.
+ */
+async function restoreReview(review, by) {
+  checkRestorable(review, "review");
+  if (!(await Product.exists({ _id: review.product }))) {
+    throw new ConflictError("The product of this review is deleted; restore the product instead", "PRODUCT_DELETED");
+  }
+
+  await Review.updateOne(
+    { _id: review._id },
+    { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } }
+  );
+  await Review.syncProductRating(review.product);
+  await audit({ entity: "Review", entityId: review._id, action: "restore", by });
+}
+
+/** Removes reviews for good, with their votes and uploaded images. */
+async function purgeReviews(reviewIds, { by, note } = {}) {
+  if (reviewIds.length === 0) return 0;
+  await Review.deleteMany({ _id: { $in: reviewIds } });
+  await ReviewVote.deleteMany({ review: { $in: reviewIds } });
+  await removeUploadsFor("review", reviewIds);
+  await audit(reviewIds.map((id) => ({ entity: "Review", entityId: id, action: "purge", by, note })));
+  return reviewIds.length;
+}
+
+/** Removes products for good, with every review on them and their uploaded images. */
+async function purgeProducts(productIds, { by, note } = {}) {
+  if (productIds.length === 0) return { products: 0, reviews: 0 };
+  const reviewIds = await Review.find({ product: { $in: productIds } }).withDeleted().distinct("_id");
+  const reviews = await purgeReviews(reviewIds, { by, note });
+
+  await Product.deleteMany({ _id: { $in: productIds } });
+  await removeUploadsFor("product", productIds);
+  await audit(productIds.map((id) => ({ entity: "Product", entityId: id, action: "purge", by, note })));
+  return { products: productIds.length, reviews };
+}
+
+/**
+ * Purges the products and reviews deleted longer ago than the retention
+ * window (`npm run purge-deleted`). Returns { products, reviews } counts.
+ */
+async function purgeExpired(now = Date.now()) {
+  const cutoff = Product.retentionCutoff(now);
+  const note = `Deleted more than ${RETENTION_DAYS} days ago`;
+
+  const productIds = await Product.find({ deletedAt: { $lt: cutoff } }).distinct("_id");
+  const purged = await purgeProducts(productIds, { note });
+
+  const reviewIds = await Review.find({ deletedAt: { $lt: cutoff } }).distinct("_id");
+  purged.reviews += await purgeReviews(reviewIds, { note });
+  return purged;
+}
+
+module.exports = {
+  deleteProduct,
+  restoreProduct,
+  deleteReview,
+  restoreReview,
+  purgeReviews,
+  purgeProducts,
+  purgeExpired,
+};
@@ -0,0 +1,55 @@
+// utils/etag.utils.js
+//
+// Conditional requests on products and reviews. A document's ETag is made
+// from its id and updatedAt, so every write to it gives it a new tag (the
+// documents populated into a response, like the owner's name, don't count).
+//
+// GET          — set the ETag before res.json; Express answers 304 by itself
+//                when the request's If-None-Match holds it
+// PATCH/DELETE — an If-Match header (optional) must hold the current tag,
+//                otherwise the request fails with 412
+const crypto = require("crypto");
+const { PreconditionFailedError } = require("../error-handling/errors");
+
+/** Strong ETag of a product or review (needs _id and updatedAt). */
+function etagOf(doc) {
+  const version = `${doc._id}:${new Date(doc.updatedAt).getTime()}`;
+  return `"${crypto.createHash("sha1").update(version).digest("base64url")}"`;
+}
+
+function setETag(res, doc) {
+  res.set("ETag", etagOf(doc));
+}
+
+// Tags listed in If-Match, or null without the header
+function ifMatchTags(req) {
+  const header = req.get("If-Match");
+  if (!header) return null;
+  return header.split(",").map((tag) => tag.trim()).filter(Boolean);
+}
+
+const staleError = (label) =>
+  new PreconditionFailedError(`This ${label} has changed since you loaded it; reload it and try again`, "STALE_VERSION");
+
+/**
+ * Throws a PreconditionFailedError (412) when the request's If-Match doesn't
+ * hold `doc`'s current ETag. "*" matches any existing document; weak tags
+ * (W/"...") never match, as If-Match compares strongly.
+ */
+function checkIfMatch(req, doc, label) {
+  const tags = ifMatchTags(req);
+  if (!tags || tags.includes("*")) return;
+  if (!tags.includes(etagOf(doc))) throw staleError(label);
+}
+
+/**
+ * Filter to add to the write that follows checkIfMatch, so it only applies
+ * if nobody changed the document in between (no write = throw staleError).
+ * Empty without If-Match: the last write wins, as before.
+ */
+function unchangedSince(req, doc) {
+  const tags = ifMatchTags(req);
+  return tags && !tags.includes("*") ? { updatedAt: doc.updatedAt } : {};
+}
+
+module.exports = { etagOf, setETag, checkIfMatch, unchangedSince, staleError };
@@ -0,0 +1,52 @@
+// utils/image.utils.js
+const sharp = require("sharp");
+
+// Refuse images with more pixels than this (decompression bombs)
+const MAX_PIXELS = 40_000_000;
+
+// Output sizes; both keep the aspect ratio
+const SIZES = {
+  full: { width: 1600, height: 1600, fit: "inside" },
+  thumbnail: { width: 400, height: 400, fit: "cover" },
+};
+
+/**
+ * Detects the image type from the file's first bytes (the client's
+ * Content-Type and file name aren't trusted). Returns the MIME type, or
+ * null when it isn't a supported image.
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  const gif = buffer.toString("ascii", 0, 6);
+  if (gif === "GIF87a" || gif === "GIF89a") return "image/gif";
+
+  return null;
+}
+
+/**
+ * Makes the full and thumbnail WebP versions of an image. EXIF orientation
+ * is applied and metadata (GPS etc.) is dropped.
+ * Returns { full, thumbnail }, each { data, width, height }.
+ */
+async function resizeImage(buffer) {
+  const out = {};
+  for (const [name, size] of Object.entries(SIZES)) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    out[name] = { data, width: info.width, height: info.height };
+  }
+  return out;
+}
+
+module.exports = { sniffImageType, resizeImage };
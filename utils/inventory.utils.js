@@ -0,0 +1,116 @@
+// utils/inventory.utils.js
+//
+// Stock changes go through changeStock() (atomic, never below zero); a level
+// written directly (product PATCH) is followed up by stockLevelSet(). Either
+// way the change is written to the InventoryMovement ledger, and a product
+// coming back from zero stock notifies the users watching it.
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const { ConflictError } = require("../error-handling/errors");
+const { notifyBackInStock } = require("./notification.utils");
+
+// Watchers hear about a product ({ _id, title, stock, deletedAt }) whose stock just came back from zero
+async function notifyIfBackInStock(product, stockBefore) {
+  if (product.deletedAt || product.stock <= 0 || stockBefore > 0) return;
+  await notifyBackInStock(product).catch((err) =>
+    console.error("Back-in-stock notifications for product", String(product._id), "failed:", err.message)
+  );
+}
+
+/**
+ * Adds `quantity` (signed) to the stock of a product, or of one of its
+ * variants (the product total moves with it). A decrease only applies when
+ * there is enough stock. Returns the new stock, or null when nothing changed.
+ */
+async function changeStock({ productId, variantId, quantity }) {
+  const filter = { _id: productId };
+  const inc = { stock: quantity };
+
+  if (variantId) {
+    const match = { _id: variantId };
+    if (quantity < 0) match.stock = { $gte: -quantity };
+    filter.variants = { $elemMatch: match };
+    inc["variants.$.stock"] = quantity;
+  } else if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+
+  const query = Product.findOneAndUpdate(filter, { $inc: inc }, { new: true })
+    .select("title stock deletedAt variants._id variants.stock")
+    .lean();
+  // stock put back (a cancelled order) still counts for a deleted product, in case it's restored
+  if (quantity > 0) query.withDeleted();
+  const product = await query;
+  if (!product) return null;
+
+  await Product.refreshStockStatus(productId);
+  if (quantity > 0) await notifyIfBackInStock(product, product.stock - quantity);
+
+  if (!variantId) return product.stock;
+  return product.variants.find((v) => v._id.toString() === String(variantId)).stock;
+}
+
+/**
+ * Writes ledger entries for stock changes that already happened.
+ * entries: [{ productId, variantId?, quantity (signed), stockAfter }]
+ * fields: shared by all entries — { type, order?, by?, note? }
+ */
+function recordMovements(entries, fields) {
+  if (entries.length === 0) return Promise.resolve([]);
+  return InventoryMovement.insertMany(
+    entries.map(({ productId, variantId, quantity, stockAfter }) => ({
+      product: productId,
+      variant: variantId || undefined,
+      quantity,
+      stockAfter,
+      ...fields,
+    }))
+  );
+}
+
+/**
+ * Seller-side stock change (restock or manual adjustment) with its ledger
+ * entry. Throws a ConflictError when it would take stock below zero.
+ */
+async function adjustStock({ productId, variantId, quantity, type, by, note }) {
+  const stockAfter = await changeStock({ productId, variantId, quantity });
+  if (stockAfter === null) {
+    throw new ConflictError("Stock can't go below zero", "INSUFFICIENT_STOCK");
+  }
+
+  const [movement] = await recordMovements([{ productId, variantId, quantity, stockAfter }], { type, by, note });
+  return movement;
+}
+
+/**
+ * Follows up on a write that set a product's stock level from `from` to `to`
+ * (rather than going through changeStock): refreshes its availability,
+ * notifies watchers when it's back from zero and logs the difference in the
+ * ledger as a restock or an adjustment. fields: { by?, note? }
+ */
+async function stockLevelSet({ productId, from, to }, fields) {
+  await Product.refreshStockStatus(productId);
+  if (from <= 0 && to > 0) {
+    const product = await Product.findById(productId).select("title stock deletedAt").lean();
+    if (product) await notifyIfBackInStock(product, from);
+  }
+
+  // a level stored for the first time (older products had none) can be no change at all
+  const quantity = to - from;
+  if (quantity === 0) return null;
+  const [movement] = await recordMovements([{ productId, quantity, stockAfter: to }], {
+    type: quantity > 0 ? "restock" : "adjustment",
+    ...fields,
+  });
+  return movement;
+}
+
+/**
+ * True when a product other than `exceptProductId`, or one of its variants,
+ * uses `sku`. Deleted products keep their SKUs so they can be restored.
+ */
+function skuInUse(sku, exceptProductId) {
+  return Product.exists({ _id: { $ne: exceptProductId }, $or: [{ sku }, { "variants.sku": sku }] }).withDeleted();
+}
+
+module.exports = { changeStock, recordMovements, adjustStock, stockLevelSet, skuInUse };
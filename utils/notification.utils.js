@@ -0,0 +1,73 @@
+// utils/notification.utils.js
+//
+// In-app notifications for users watching a product (it is on their wishlist).
+// They're a side effect: callers catch and log failures instead of failing the request.
+const Wishlist = require("../models/wishlist.model");
+const Notification = require("../models/notification.model");
+const { netPrice } = require("./pricing.utils");
+const { variantLabel } = require("./cart.utils");
+
+/**
+ * Notifies everyone with `productId` on their wishlist. A user keeps one
+ * unread notification per product and type; a newer one replaces it, so a
+ * price that drops twice doesn't show up twice.
+ * Returns how many users were notified.
+ */
+async function notifyWatchers(productId, type, { message, data }) {
+  const userIds = await Wishlist.find({ "items.product": productId }).distinct("user");
+  if (userIds.length === 0) return 0;
+
+  const now = new Date();
+  await Notification.bulkWrite(
+    userIds.map((user) => ({
+      updateOne: {
+        filter: { user, product: productId, type, readAt: null },
+        update: { $set: { message, data, createdAt: now, updatedAt: now } },
+        upsert: true,
+        timestamps: false,
+      },
+    }))
+  );
+  return userIds.length;
+}
+
+// Prices are what a shopper pays for one unit (after the product discount).
+// `variant` when the price is one of the product's variants.
+function notifyPriceDrop(product, oldPrice, newPrice, variant = null) {
+  const name = variant ? `${product.title} (${variantLabel(variant)})` : product.title;
+  return notifyWatchers(product._id, "price-drop", {
+    message: `${name} dropped from ${oldPrice} to ${newPrice}`,
+    data: { oldPrice, newPrice, variantId: variant?._id },
+  });
+}
+
+/**
+ * Compares a product before and after a write (both with title, price,
+ * discountPercentage and variants) and notifies its watchers when a unit got
+ * cheaper: the product itself or, with variants, any of them (the biggest
+ * cut is the one announced). Returns how many users were notified.
+ */
+function notifyPriceChanges(before, after) {
+  const oldVariants = new Map((before.variants || []).map((v) => [v._id.toString(), v]));
+  const candidates = after.variants?.length
+    ? after.variants
+      .filter((v) => oldVariants.has(v._id.toString()))
+      .map((v) => ({ variant: v, oldPrice: netPrice(before, oldVariants.get(v._id.toString())), newPrice: netPrice(after, v) }))
+    : [{ variant: null, oldPrice: netPrice(before), newPrice: netPrice(after) }];
+
+  const drops = candidates.filter(({ oldPrice, newPrice }) => newPrice < oldPrice);
+  if (drops.length === 0) return Promise.resolve(0);
+
+  const biggest = drops.reduce((a, b) => (b.oldPrice - b.newPrice > a.oldPrice - a.newPrice ? b : a));
+  return notifyPriceDrop(after, biggest.oldPrice, biggest.newPrice, biggest.variant);
+}
+
+// product: { _id, title, stock } after the change
+function notifyBackInStock(product) {
+  return notifyWatchers(product._id, "back-in-stock", {
+    message: `${product.title} is back in stock`,
+    data: { stock: product.stock },
+  });
+}
+
+module.exports = { notifyWatchers, notifyPriceDrop, notifyPriceChanges, notifyBackInStock };
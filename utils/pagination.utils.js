@@ -0,0 +1,205 @@
+// utils/pagination.utils.js
+//
+// Page/limit and cursor pagination for list endpoints.
+//
+//   // query shape: paginationQuery(FIELDS) from validation/common.schemas.js
+//   router.get("/", validate(schemas.list), async (req, res, next) => {
+//     res.json(await paginate(Model, req, { filter, sort: { createdAt: -1 } }));
+//   });
+//
+// Responses look like
+//   { data: [...], pagination: { total, limit, page?, totalPages, hasNext, hasPrev,
+//     nextCursor, prevCursor }, links: { self, next, prev } }
+//
+// Cursors are opaque (base64url) and hold the sort values of the first/last
+// document of a page, so pages stay stable while documents are added.
+// Sorts on a computed value ({ $meta: "textScore" }) can't be resumed from a
+// cursor, so those lists only page by number.
+
+const { BadRequestError, ValidationError } = require("../error-handling/errors");
+
+const DEFAULT_LIMIT = 20;
+// Page size cap, whatever the client asks for
+const MAX_LIMIT = Number(process.env.PAGINATION_MAX_LIMIT) || 100;
+
+// Appends _id so documents with equal sort values keep a fixed order
+function stableSort(sort = {}) {
+  return { ...sort, _id: sort._id ?? -1 };
+}
+
+const reverseSort = (sort) =>
+  Object.fromEntries(Object.entries(sort).map(([key, dir]) => [key, -dir]));
+
+const isMetaSort = (sort) => Object.values(sort).some((dir) => typeof dir === "object");
+
+const sortSignature = (sort) =>
+  Object.entries(sort).map(([key, dir]) => `${key}:${dir}`).join(",");
+
+// Reads a (possibly nested) value off a lean document
+const valueAt = (doc, path) => path.split(".").reduce((obj, key) => obj?.[key], doc);
+
+function encodeCursor(doc, sort, direction) {
+  const values = Object.keys(sort).map((key) => valueAt(doc, key) ?? null);
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: values, d: direction })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  // a cursor only makes sense for the sort it was made with
+  if (
+    !parsed ||
+    parsed.s !== sortSignature(sort) ||
+    !Array.isArray(parsed.v) ||
+    parsed.v.length !== Object.keys(sort).length ||
+    !["next", "prev"].includes(parsed.d)
+  ) {
+    throw new BadRequestError("Invalid or expired cursor", "INVALID_CURSOR");
+  }
+  return { values: parsed.v, direction: parsed.d };
+}
+
+/**
+ * Filter for the documents after (direction "next") or before ("prev") the
+ * cursor position in `sort` order:
+ *   a > x  OR  (a = x AND b > y)  OR  ...
+ * Values are plain JSON (dates as ISO strings, ids as hex); Mongoose casts
+ * them back through the schema.
+ */
+function keysetFilter(sort, values, direction) {
+  const entries = Object.entries(sort);
+  return {
+    $or: entries.map(([key, dir], i) => {
+      const ascending = (dir === 1) === (direction === "next");
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[entries[j][0]] = values[j];
+      clause[key] = { [ascending ? "$gt" : "$lt"]: values[i] };
+      return clause;
+    }),
+  };
+}
+
+// Same path with some query parameters replaced (null removes one)
+function linkTo(req, changes) {
+  const url = new URL(req.originalUrl, "http://localhost");
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null || value === undefined) url.searchParams.delete(key);
+    else url.searchParams.set(key, String(value));
+  }
+  return url.pathname + url.search;
+}
+
+/**
+ * Runs the paginated find for `filter` and builds the response body.
+ * Reads page, limit, cursor and fields from the validated req.query.
+ * options.populate: { path, select } or a list of them — skipped when `fields` leaves the path out
+ * options.select: projection used when there is no ?fields= (e.g. "+reports")
+ */
+async function paginate(Model, req, { filter = {}, sort, populate, select } = {}) {
+  const { page, cursor, fields } = req.query;
+  const limit = Math.min(req.query.limit ?? DEFAULT_LIMIT, MAX_LIMIT);
+
+  if (cursor && page !== undefined) {
+    throw new ValidationError([
+      { location: "query", field: "page", code: "invalid", message: "page cannot be combined with cursor" },
+    ]);
+  }
+
+  const order = stableSort(sort);
+  const cursorsAllowed = !isMetaSort(order);
+  const sortKeys = cursorsAllowed ? Object.keys(order) : ["_id"];
+
+  if (cursor && !cursorsAllowed) {
+    throw new BadRequestError("This sort can't be paged with a cursor, use page instead", "CURSOR_NOT_SUPPORTED");
+  }
+
+  let direction = "next";
+  let where = filter;
+  if (cursor) {
+    const decoded = decodeCursor(cursor, order);
+    direction = decoded.direction;
+    where = { $and: [filter, keysetFilter(order, decoded.values, direction)] };
+  }
+
+  // one extra document tells whether there is another page
+  const query = Model.find(where)
+    .sort(direction === "prev" ? reverseSort(order) : order)
+    .limit(limit + 1);
+  if (!cursor) query.skip(((page ?? 1) - 1) * limit);
+
+  if (fields) {
+    // sort keys are needed for the cursors, they're stripped again below
+    query.select([...new Set(["_id", ...fields, ...sortKeys])].join(" "));
+  } else if (select) {
+    query.select(select);
+  }
+  for (const { path, select: populateSelect } of [].concat(populate || [])) {
+    if (!fields || fields.includes(path)) query.populate(path, populateSelect);
+  }
+
+  const [rows, total] = await Promise.all([query.lean(), Model.countDocuments(filter)]);
+
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+  if (direction === "prev") rows.reverse();
+
+  let hasNext, hasPrev;
+  if (!cursor) {
+    hasNext = hasMore;
+    hasPrev = (page ?? 1) > 1;
+  } else if (direction === "next") {
+    hasNext = hasMore;
+    hasPrev = true;
+  } else {
+    hasNext = true;
+    hasPrev = hasMore;
+  }
+
+  const canEncode = cursorsAllowed && rows.length > 0;
+  const nextCursor = hasNext && canEncode ? encodeCursor(rows[rows.length - 1], order, "next") : null;
+  const prevCursor = hasPrev && canEncode ? encodeCursor(rows[0], order, "prev") : null;
+
+  const data = fields
+    ? rows.map((row) => {
+        for (const key of sortKeys) {
+          if (key !== "_id" && !fields.includes(key)) delete row[key];
+        }
+        return row;
+      })
+    : rows;
+
+  const pagination = {
+    total,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    hasNext,
+    hasPrev,
+    nextCursor,
+    prevCursor,
+  };
+
+  let links;
+  if (!cursor) {
+    const current = page ?? 1;
+    pagination.page = current;
+    links = {
+      self: req.originalUrl,
+      next: hasNext ? linkTo(req, { page: current + 1, limit }) : null,
+      prev: hasPrev ? linkTo(req, { page: current - 1, limit }) : null,
+    };
+  } else {
+    links = {
+      self: req.originalUrl,
+      next: nextCursor ? linkTo(req, { cursor: nextCursor, limit }) : null,
+      prev: prevCursor ? linkTo(req, { cursor: prevCursor, limit }) : null,
+    };
+  }
+
+  return { data, pagination, links };
+}
+
+module.exports = { paginate, DEFAULT_LIMIT, MAX_LIMIT };
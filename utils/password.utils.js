@@ -0,0 +1,17 @@
+// utils/password.utils.js
+const bcrypt = require("bcrypt");
+
+// How many rounds should bcrypt run the salt (default - 10 rounds)
+const saltRounds = 10;
+
+// Password complexity rule, shared by signup, password reset and password change.
+// The message reads after the field name ("password must have ...").
+const passwordRegex = /(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,}/;
+const passwordRuleMessage =
+  "must have at least 6 characters and contain at least one number, one lowercase and one uppercase letter";
+
+function hashPassword(password) {
+  return bcrypt.hashSync(password, bcrypt.genSaltSync(saltRounds));
+}
+
+module.exports = { saltRounds, passwordRegex, passwordRuleMessage, hashPassword };
@@ -0,0 +1,104 @@
+// utils/pricing.utils.js
+//
+// The one place prices are worked out, so the cart shows what checkout charges.
+// Order of discounts: the product's own discountPercentage first, then the coupon
+// on what is left of the eligible lines.
+const { BadRequestError } = require("../error-handling/errors");
+
+// Rounds money values to cents
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Spreads `amount` over lines in proportion to their weights; the cents lost
+// to rounding go to the last weighted line so the parts add up exactly
+function spread(amount, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const last = weights.findLastIndex((weight) => weight > 0);
+  let left = amount;
+  return weights.map((weight, i) => {
+    if (i === last) return round2(left);
+    const part = sum > 0 ? round2((amount * weight) / sum) : 0;
+    left -= part;
+    return part;
+  });
+}
+
+// What one unit costs after the product's own discount (no coupon)
+const netPrice = (product, variant) =>
+  round2((variant ? variant.price : product.price) * (1 - (product.discountPercentage || 0) / 100));
+
+/**
+ * Coupon discount per line. Throws a BadRequestError when no line qualifies
+ * or the eligible spend is under the coupon's minSpend.
+ * lines: [{ product, net }] — net is the line total after the product discount
+ */
+function couponDiscounts(coupon, lines) {
+  const eligible = lines.map(({ product }) => coupon.appliesTo(product));
+  const weights = lines.map((line, i) => (eligible[i] ? line.net : 0));
+  const base = round2(weights.reduce((a, b) => a + b, 0));
+
+  if (!eligible.some(Boolean)) {
+    throw new BadRequestError(`Coupon ${coupon.code} doesn't apply to these items`, "COUPON_NOT_APPLICABLE");
+  }
+  if (base < (coupon.minSpend || 0)) {
+    throw new BadRequestError(
+      `Coupon ${coupon.code} needs a spend of at least ${coupon.minSpend} on eligible items`,
+      "COUPON_MIN_SPEND"
+    );
+  }
+
+  const amount =
+    coupon.type === "percentage" ? round2((base * coupon.value) / 100) : Math.min(round2(coupon.value), base);
+  return spread(amount, weights);
+}
+
+/**
+ * Prices a set of lines.
+ * lines: [{ product, variant?, quantity }] — product needs price, discountPercentage,
+ * and category/owner when a coupon is given; a variant sets the unit price.
+ * coupon: a Coupon document that has already passed utils/coupon.utils.js checks.
+ *
+ * Returns {
+ *   items: [{ unitPrice, discountPercentage, gross, productDiscount, couponDiscount, lineTotal }] (same order as lines),
+ *   subtotal, productDiscount, couponDiscount, discountTotal, total,
+ *   coupon: { _id, code, type, value, discount } | null
+ * }
+ */
+function priceItems(lines, { coupon } = {}) {
+  const items = lines.map(({ product, variant, quantity }) => {
+    const unitPrice = variant ? variant.price : product.price;
+    const discountPercentage = product.discountPercentage || 0;
+    const gross = round2(unitPrice * quantity);
+    const net = round2(gross * (1 - discountPercentage / 100));
+    return { unitPrice, discountPercentage, gross, productDiscount: round2(gross - net), net };
+  });
+
+  const couponParts = coupon
+    ? couponDiscounts(coupon, items.map((item, i) => ({ product: lines[i].product, net: item.net })))
+    : items.map(() => 0);
+
+  const priced = items.map(({ net, ...item }, i) => ({
+    ...item,
+    couponDiscount: couponParts[i],
+    lineTotal: round2(net - couponParts[i]),
+  }));
+
+  const sum = (key) => round2(priced.reduce((total, item) => total + item[key], 0));
+  const subtotal = sum("gross");
+  const productDiscount = sum("productDiscount");
+  const couponDiscount = sum("couponDiscount");
+  const discountTotal = round2(productDiscount + couponDiscount);
+
+  return {
+    items: priced,
+    subtotal,
+    productDiscount,
+    couponDiscount,
+    discountTotal,
+    total: round2(subtotal - discountTotal),
+    coupon: coupon
+      ? { _id: coupon._id, code: coupon.code, type: coupon.type, value: coupon.value, discount: couponDiscount }
+      : null,
+  };
+}
+
+module.exports = { priceItems, netPrice, round2 };
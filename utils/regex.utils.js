@@ -0,0 +1,8 @@
+// utils/regex.utils.js
+
+// Escapes user input so it matches literally inside a RegExp / $regex
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { escapeRegex };
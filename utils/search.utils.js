@@ -0,0 +1,96 @@
+// utils/search.utils.js
+//
+// Product search helpers: turning user input into a safe $text search or
+// prefix pattern, and the facet counts shown next to search results.
+// The text index itself is declared in models/product.model.js.
+
+const Category = require("../models/category.model");
+const { escapeRegex } = require("./regex.utils");
+
+// Price facet buckets: [0, 25), [25, 50), ... and everything from the last one up
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 200, 500];
+
+// Values shown per facet
+const FACET_LIMIT = 20;
+
+/**
+ * Turns free text into a $text search string made of plain terms.
+ * Quotes (phrase search) and leading "-" (negation) are operators in $text,
+ * so they're dropped from user input.
+ */
+function toTextSearch(q) {
+  return String(q)
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/^-+/, ""))
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Case-insensitive match for words starting with `q` ("ser" finds "Hydrating Serum")
+function prefixPattern(q) {
+  return { $regex: `(^|\\s)${escapeRegex(String(q).trim())}`, $options: "i" };
+}
+
+// Top values of a field, most common first
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+/**
+ * Aggregation pipeline giving category, brand, tag and price-bucket counts
+ * for the products matching `filter`.
+ * `filter` goes straight into $match, so its values must already be typed
+ * (numbers, not strings) — the validated query is.
+ */
+function facetPipeline(filter) {
+  return [
+    { $match: filter },
+    {
+      $facet: {
+        category: [
+          ...countBy("category"),
+          // category ids -> { value: id, name, slug }
+          { $lookup: { from: Category.collection.name, localField: "value", foreignField: "_id", as: "category" } },
+          { $set: { name: { $first: "$category.name" }, slug: { $first: "$category.slug" } } },
+          { $unset: "category" },
+        ],
+        brand: countBy("brand"),
+        tag: [{ $unwind: "$tags" }, ...countBy("tags")],
+        price: [
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BOUNDARIES,
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ];
+}
+
+// Shapes the $facet result; price buckets become { min, max, count } (max null = and up)
+function formatFacets(result = {}) {
+  const last = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+  const price = (result.price || []).map(({ _id, count }) => {
+    if (_id === "other") return { min: last, max: null, count };
+    const next = PRICE_BOUNDARIES[PRICE_BOUNDARIES.indexOf(_id) + 1];
+    return { min: _id, max: next ?? null, count };
+  });
+
+  return {
+    category: result.category || [],
+    brand: result.brand || [],
+    tag: result.tag || [],
+    price,
+  };
+}
+
+module.exports = { toTextSearch, prefixPattern, facetPipeline, formatFacets, PRICE_BOUNDARIES };
@@ -0,0 +1,149 @@
+// utils/session.utils.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REFRESH_COOKIE = "refreshToken";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens look like `<sessionId>.<random>` so the session can be found from the token
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+
+// The frontend lives on another site in production, so the cookie must be SameSite=None + Secure there
+function refreshCookieOptions() {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/auth",
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+  };
+}
+
+function setRefreshCookie(res, token) {
+  res.cookie(REFRESH_COOKIE, token, refreshCookieOptions());
+}
+
+function clearRefreshCookie(res) {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+}
+
+// Short-lived access token; `sid` ties it to its session so logout revokes it too
+function signAccessToken(user, sessionId) {
+  const { _id, email, name, role } = user;
+  return jwt.sign({ _id, email, name, role, sid: sessionId.toString() }, process.env.TOKEN_SECRET, {
+    algorithm: "HS256",
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Starts a new session for the user. Returns the access token and the
+ * refresh token (to be set as a cookie).
+ */
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { authToken: signAccessToken(user, session._id), refreshToken };
+}
+
+/**
+ * Swaps a refresh token for a new one. Returns { session, refreshToken },
+ * or { error } when the token is unknown, expired, revoked or reused.
+ * Reusing an already-rotated token revokes the whole session.
+ */
+async function rotateSession(token) {
+  const [sessionId] = String(token || "").split(".");
+  const session = /^[a-f\d]{24}$/i.test(sessionId) ? await Session.findById(sessionId) : null;
+  if (!session) return { error: "Invalid refresh token" };
+
+  const hash = hashToken(token);
+
+  if (session.previousTokenHashes.includes(hash)) {
+    await revokeSession(session._id, "refresh token reuse");
+    return { error: "Refresh token reuse detected, session revoked" };
+  }
+  if (session.tokenHash !== hash) return { error: "Invalid refresh token" };
+  if (session.revokedAt) return { error: "Session revoked" };
+  if (session.expiresAt <= new Date()) return { error: "Session expired" };
+
+  const refreshToken = newRefreshToken(session._id);
+
+  // conditional on the old hash, so two concurrent refreshes can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      $set: { tokenHash: hashToken(refreshToken), lastUsedAt: new Date() },
+      // keep a bounded window of rotated-out hashes for reuse detection
+      $push: { previousTokenHashes: { $each: [hash], $slice: -200 } },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, "refresh token reuse");
+    return { error: "Refresh token reuse detected, session revoked" };
+  }
+
+  return { session: rotated, refreshToken };
+}
+
+async function revokeSession(sessionId, reason = "logout") {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Logout: revokes the session the refresh token belongs to (only if it is its current token)
+async function endSession(token) {
+  const [sessionId] = String(token || "").split(".");
+  if (!/^[a-f\d]{24}$/i.test(sessionId)) return;
+  await Session.updateOne(
+    { _id: sessionId, tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
+}
+
+// Revokes every session of the user, optionally keeping the current one (exceptSessionId)
+async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Used by isAuthenticated: an access token is dead once its session is
+async function isSessionRevoked(sessionId) {
+  if (!sessionId || !/^[a-f\d]{24}$/i.test(sessionId)) return true;
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt").lean();
+  return !session || Boolean(session.revokedAt) || session.expiresAt <= new Date();
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  revokeUserSessions,
+  isSessionRevoked,
+  signAccessToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
@@ -0,0 +1,132 @@
+// utils/upload.utils.js
+//
+// Stores uploaded images (checked, resized) and deletes them again once the
+// product or review they belong to no longer uses them.
+const crypto = require("crypto");
+const Upload = require("../models/upload.model");
+const Product = require("../models/product.model");
+const Review = require("../models/review.model");
+const { getStorage } = require("../storage");
+const { sniffImageType, resizeImage } = require("./image.utils");
+const { UnsupportedMediaTypeError } = require("../error-handling/errors");
+
+/**
+ * Checks and resizes one multer file, stores both sizes and records the
+ * Upload. kind/target say what it's attached to ("product"/"review" + id).
+ */
+async function storeImage(file, { owner, kind, target }) {
+  const contentType = sniffImageType(file.buffer);
+  if (!contentType) {
+    throw new UnsupportedMediaTypeError("Only JPEG, PNG, WebP and GIF images can be uploaded", "UNSUPPORTED_IMAGE");
+  }
+
+  let sizes;
+  try {
+    sizes = await resizeImage(file.buffer);
+  } catch {
+    throw new UnsupportedMediaTypeError("The image could not be read", "UNSUPPORTED_IMAGE");
+  }
+
+  const storage = getStorage();
+  const base = `${kind}s/${target}/${crypto.randomBytes(8).toString("hex")}`;
+
+  const [full, thumbnail] = await Promise.all([
+    storage.put(`${base}-full.webp`, sizes.full.data, { contentType: "image/webp" }),
+    storage.put(`${base}-thumb.webp`, sizes.thumbnail.data, { contentType: "image/webp" }),
+  ]);
+
+  try {
+    return await Upload.create({
+      owner,
+      kind,
+      target,
+      driver: storage.name,
+      contentType,
+      size: file.size,
+      full: { ...full, width: sizes.full.width, height: sizes.full.height },
+      thumbnail: { ...thumbnail, width: sizes.thumbnail.width, height: sizes.thumbnail.height },
+    });
+  } catch (err) {
+    await Promise.all([storage.remove(full.key), storage.remove(thumbnail.key)]);
+    throw err;
+  }
+}
+
+/** Stores several files; if one fails, the ones already stored are removed. */
+async function storeImages(files, attachTo) {
+  const stored = [];
+  try {
+    // one at a time: resizing is CPU heavy
+    for (const file of files) stored.push(await storeImage(file, attachTo));
+  } catch (err) {
+    await removeUploads(stored);
+    throw err;
+  }
+  return stored;
+}
+
+/** Deletes the uploads' files from storage and their records. */
+async function removeUploads(uploads) {
+  await Promise.all(
+    uploads.map(async (upload) => {
+      const storage = getStorage(upload.driver);
+      await Promise.all([storage.remove(upload.full.key), storage.remove(upload.thumbnail.key)]);
+      await Upload.deleteOne({ _id: upload._id });
+    })
+  );
+}
+
+/**
+ * Removes every upload attached to the given products/reviews, except the
+ * ones listed in `keep` (upload ids). Used when they're deleted or their
+ * image is replaced.
+ */
+async function removeUploadsFor(kind, targetIds, { keep = [] } = {}) {
+  if (targetIds.length === 0) return;
+  const uploads = await Upload.find({ kind, target: { $in: targetIds }, _id: { $nin: keep } }).lean();
+  await removeUploads(uploads);
+}
+
+/**
+ * Sweeps uploads that their product/review no longer shows (image replaced
+ * by a URL, thumbnail changed, target deleted some other way...). Only
+ * uploads older than `olderThanMs` are looked at, so one that's being
+ * attached right now is left alone. Images of deleted (restorable) products
+ * and reviews are kept until those are purged. Returns how many were removed.
+ */
+async function removeUnreferencedUploads({ olderThanMs = 60 * 60 * 1000 } = {}) {
+  const cutoff = new Date(Date.now() - olderThanMs);
+  let removed = 0;
+
+  for await (const upload of Upload.find({ createdAt: { $lt: cutoff } }).lean().cursor()) {
+    const urls = [upload.full.url, upload.thumbnail.url];
+    const inUse =
+      upload.kind === "product"
+        ? await Product.exists({ _id: upload.target, $or: [{ images: { $in: urls } }, { thumbnail: { $in: urls } }] }).withDeleted()
+        : await Review.exists({ _id: upload.target, imageUrl: { $in: urls } }).withDeleted();
+
+    if (!inUse) {
+      await removeUploads([upload]);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+// Public shape of an upload in responses
+const uploadView = (upload) => ({
+  _id: upload._id,
+  url: upload.full.url,
+  thumbnailUrl: upload.thumbnail.url,
+  width: upload.full.width,
+  height: upload.full.height,
+});
+
+module.exports = {
+  storeImage,
+  storeImages,
+  removeUploads,
+  removeUploadsFor,
+  removeUnreferencedUploads,
+  uploadView,
+};
@@ -0,0 +1,56 @@
+// validation/admin.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+const User = require("../models/User.model");
+const Review = require("../models/review.model");
+const AuditLog = require("../models/auditLog.model");
+
+const listUsers = {
+  query: {
+    role: v.enum(User.ROLES),
+    disabled: v.boolean(),
+    q: v.string().max(100),
+  },
+};
+
+const setDisabled = {
+  params: idParams(),
+  body: { disabled: v.boolean().required() },
+};
+
+const setRole = {
+  params: idParams(),
+  body: { role: v.enum(User.ROLES).required() },
+};
+
+const byId = { params: idParams() };
+
+const byReviewId = { params: idParams("reviewId") };
+
+// flagged = waiting for a decision (the queue), hidden = already taken down
+const moderationQueue = {
+  query: {
+    status: v.enum(Review.STATUSES.filter((s) => s !== "published")).default("flagged"),
+    ...paginationQuery(["rating", "comment", "imageUrl", "product", "author", "reportCount", "createdAt"]),
+  },
+};
+
+const moderate = {
+  params: idParams("reviewId"),
+  body: {
+    action: v.enum(["approve", "hide"]).required(),
+    note: v.string().max(500),
+  },
+};
+
+const auditLog = {
+  query: {
+    entity: v.enum(AuditLog.ENTITIES),
+    entityId: v.objectId(),
+    action: v.enum(AuditLog.ACTIONS),
+    by: v.objectId(),
+    ...paginationQuery(["entity", "entityId", "action", "by", "changes", "note", "createdAt"]),
+  },
+};
+
+module.exports = { listUsers, setDisabled, setRole, byId, byReviewId, moderationQueue, moderate, auditLog };
@@ -0,0 +1,38 @@
+// validation/auth.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { password, strongPassword } = require("./common.schemas");
+
+const signup = {
+  body: {
+    email: v.email().required(),
+    password: strongPassword(),
+    name: v.string().required().max(100),
+    // admins are only made by other admins
+    role: v.enum(["customer", "seller"]).default("customer"),
+  },
+};
+
+// No format checks here: every failed login gets the same answer
+const login = {
+  body: {
+    email: v.string().required(),
+    password: password(),
+  },
+};
+
+const token = {
+  body: { token: v.string().required() },
+};
+
+const forgotPassword = {
+  body: { email: v.email().required() },
+};
+
+const resetPassword = {
+  body: {
+    token: v.string().required(),
+    password: strongPassword(),
+  },
+};
+
+module.exports = { signup, login, token, forgotPassword, resetPassword };
@@ -0,0 +1,26 @@
+// validation/cart.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams } = require("./common.schemas");
+
+const addItem = {
+  body: {
+    productId: v.objectId().required(),
+    variantId: v.objectId(),
+    quantity: v.integer().min(1).default(1),
+  },
+};
+
+// ?variantId= picks the line when the product is in the cart in several options
+const lineQuery = () => ({ variantId: v.objectId() });
+
+const updateItem = {
+  params: idParams("productId"),
+  query: lineQuery(),
+  body: { quantity: v.integer().min(1).required() },
+};
+
+const removeItem = { params: idParams("productId"), query: lineQuery() };
+
+const applyCoupon = { body: { code: v.string().required().max(40) } };
+
+module.exports = { addItem, updateItem, removeItem, applyCoupon };
@@ -0,0 +1,41 @@
+// validation/catalog.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { productTag } = require("./product.schemas");
+
+// One product row of an import file (CSV columns / flattened JSON keys).
+// Everything but sku is optional here: a new sku also needs title, price and
+// category, which utils/catalog.utils.js checks once it knows the row is new.
+const row = {
+  sku: v.string().required().max(100),
+  title: v.string().min(1).max(200),
+  description: v.string().max(5000),
+  price: v.number().min(0),
+  discountPercentage: v.number().min(0).max(100),
+  stock: v.integer().min(0),
+  lowStockThreshold: v.integer().min(0),
+  category: v.string().min(1).max(120), // slug, name or id
+  brand: v.string().max(100),
+  tags: v.array(productTag()).max(20),
+  weight: v.number().min(0),
+  "dimensions.width": v.number().min(0),
+  "dimensions.height": v.number().min(0),
+  "dimensions.depth": v.number().min(0),
+  warrantyInformation: v.string().max(500),
+  shippingInformation: v.string().max(500),
+  returnPolicy: v.string().max(500),
+  minimumOrderQuantity: v.integer().min(1),
+  barcode: v.string().max(100),
+  thumbnail: v.url(),
+  images: v.array(v.url()).max(20),
+};
+
+// The file is the raw request body; its Content-Type says csv or json
+const importProducts = {
+  query: { dryRun: v.boolean().default(false) },
+};
+
+const exportProducts = {
+  query: { format: v.enum(["csv", "json"]).default("csv") },
+};
+
+module.exports = { row, importProducts, exportProducts };
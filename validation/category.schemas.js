@@ -0,0 +1,30 @@
+// validation/category.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams } = require("./common.schemas");
+
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// parent: id, slug or name of the parent category; null = top level
+const categoryFields = () => ({
+  name: v.string().min(1).max(100),
+  slug: v.string().max(120).pattern(SLUG, "may only use lowercase letters, digits and single dashes"),
+  description: v.string().max(1000),
+  parent: v.string().max(120).nullable(),
+  order: v.integer(),
+});
+
+const create = {
+  body: {
+    ...categoryFields(),
+    name: v.string().required().max(100),
+  },
+};
+
+const update = { params: idParams(), body: categoryFields() };
+
+// a category is looked up by id or slug
+const show = { params: { category: v.string().required().max(120) } };
+
+const byId = { params: idParams() };
+
+module.exports = { create, update, show, byId };
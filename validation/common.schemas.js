@@ -0,0 +1,24 @@
+// validation/common.schemas.js
+// Small building blocks shared by the per-router schemas.
+const { v } = require("../middleware/validate.middleware");
+const { passwordRegex, passwordRuleMessage } = require("../utils/password.utils");
+
+// { id: <ObjectId> } route params
+const idParams = (name = "id") => ({ [name]: v.objectId().required() });
+
+// Password as typed: leading and trailing spaces are part of it
+const password = () => v.string({ trim: false }).required();
+
+// Password with the signup complexity rule
+const strongPassword = () => password().pattern(passwordRegex, passwordRuleMessage);
+
+// ?page=&limit=&cursor=&fields= for lists served by utils/pagination.utils.js;
+// `fields` names what ?fields= may project to (_id always comes back)
+const paginationQuery = (fields) => ({
+  page: v.integer().min(1),
+  limit: v.integer().min(1),
+  cursor: v.string().max(1000),
+  fields: v.array(v.enum(fields)).min(1),
+});
+
+module.exports = { idParams, password, strongPassword, paginationQuery };
@@ -0,0 +1,63 @@
+// validation/coupon.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+const Coupon = require("../models/coupon.model");
+
+// What ?fields= may pick on the coupon list
+const LIST_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minSpend",
+  "startsAt",
+  "endsAt",
+  "usageLimit",
+  "perUserLimit",
+  "usedCount",
+  "categories",
+  "seller",
+  "active",
+  "createdAt",
+];
+
+const couponCode = () => v.string().min(3).max(40).pattern(/^[A-Za-z0-9_-]+$/, "may only use letters, digits, - and _");
+
+// null clears an optional limit or date
+const couponFields = () => ({
+  code: couponCode(),
+  description: v.string().max(500),
+  type: v.enum(Coupon.TYPES),
+  value: v.number().min(0),
+  minSpend: v.number().min(0),
+  startsAt: v.date().nullable(),
+  endsAt: v.date().nullable(),
+  usageLimit: v.integer().min(1).nullable(),
+  perUserLimit: v.integer().min(1).nullable(),
+  categories: v.array(v.string().min(1).max(120)).max(50), // ids, slugs or names
+  seller: v.objectId().nullable(), // admins only; a seller's coupons are always for their own products
+  active: v.boolean(),
+});
+
+const list = {
+  query: {
+    active: v.boolean(),
+    seller: v.objectId(),
+    ...paginationQuery(LIST_FIELDS),
+  },
+};
+
+const create = {
+  body: {
+    ...couponFields(),
+    code: couponCode().required(),
+    type: v.enum(Coupon.TYPES).required(),
+    value: v.number().min(0).required(),
+  },
+};
+
+const update = { params: idParams(), body: couponFields() };
+
+const byId = { params: idParams() };
+
+module.exports = { list, create, update, byId };
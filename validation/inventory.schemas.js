@@ -0,0 +1,70 @@
+// validation/inventory.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const Product = require("../models/product.model");
+
+const variantParams = () => ({ ...idParams(), ...idParams("variantId") });
+
+// [{ name: "Size", value: "50ml" }, ...]
+const options = () =>
+  v
+    .array(
+      v.object({
+        name: v.string().required().max(50),
+        value: v.string().required().max(100),
+      })
+    )
+    .min(1)
+    .max(5);
+
+const createVariant = {
+  params: idParams(),
+  body: {
+    options: options().required(),
+    sku: v.string().max(100),
+    barcode: v.string().max(100),
+    price: v.number().min(0).required(),
+    // starting stock, logged as a restock
+    stock: v.integer().min(0).default(0),
+  },
+};
+
+// stock isn't edited here, it moves through POST /products/:id/inventory
+const updateVariant = {
+  params: variantParams(),
+  body: {
+    options: options(),
+    sku: v.string().max(100),
+    barcode: v.string().max(100),
+    price: v.number().min(0),
+  },
+};
+
+const removeVariant = { params: variantParams() };
+
+const history = {
+  params: idParams(),
+  query: {
+    ...paginationQuery(["variant", "type", "quantity", "stockAfter", "order", "by", "note", "createdAt"]),
+    variantId: v.objectId(),
+    type: v.enum(InventoryMovement.TYPES),
+  },
+};
+
+// restock: quantity > 0; adjustment: either direction, not zero
+const adjust = {
+  params: idParams(),
+  body: {
+    type: v.enum(["restock", "adjustment"]).required(),
+    quantity: v.integer().required().check((n) => n !== 0, "invalid", "cannot be 0"),
+    variantId: v.objectId(),
+    note: v.string().max(500),
+  },
+};
+
+const overview = {
+  query: { status: v.enum(Product.AVAILABILITY) },
+};
+
+module.exports = { createVariant, updateVariant, removeVariant, history, adjust, overview };
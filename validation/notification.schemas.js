@@ -0,0 +1,19 @@
+// validation/notification.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+const Notification = require("../models/notification.model");
+
+// What ?fields= may pick on the notification list
+const LIST_FIELDS = ["type", "product", "message", "data", "readAt", "createdAt"];
+
+const list = {
+  query: {
+    unread: v.boolean(),
+    type: v.enum(Notification.TYPES),
+    ...paginationQuery(LIST_FIELDS),
+  },
+};
+
+const markRead = { params: idParams() };
+
+module.exports = { list, markRead };
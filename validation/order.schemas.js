@@ -0,0 +1,48 @@
+// validation/order.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams } = require("./common.schemas");
+const Order = require("../models/order.model");
+
+// no `items` = check out the cart
+const checkout = {
+  body: {
+    items: v
+      .array(
+        v.object({
+          productId: v.objectId().required(),
+          variantId: v.objectId(),
+          quantity: v.integer().min(1).required(),
+        })
+      )
+      .min(1)
+      .max(100),
+    couponCode: v.string().max(40),
+  },
+};
+
+const byId = { params: idParams() };
+
+const confirmPayment = {
+  params: idParams(),
+  body: { paymentMethod: v.string().max(100) },
+};
+
+const cancel = {
+  params: idParams(),
+  body: { reason: v.string().max(500) },
+};
+
+const sellerList = {
+  query: { status: v.enum(Order.STATUSES) },
+};
+
+const ship = {
+  params: idParams(),
+  body: {
+    trackingNumber: v.string().required().max(100),
+    carrier: v.string().max(50),
+    itemIds: v.array(v.objectId()).min(1),
+  },
+};
+
+module.exports = { checkout, byId, confirmPayment, cancel, sellerList, ship };
@@ -0,0 +1,122 @@
+// validation/product.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+
+// What ?fields= may pick on the product list
+const LIST_FIELDS = [
+  "id", "title", "description", "price", "discountPercentage", "rating", "stock", "tags",
+  "brand", "sku", "weight", "dimensions", "warrantyInformation", "shippingInformation",
+  "availabilityStatus", "reviews", "returnPolicy", "minimumOrderQuantity", "meta", "images",
+  "thumbnail", "category", "owner", "variants", "lowStockThreshold",
+  "ratingAverage", "ratingCount", "ratingHistogram",
+  "createdAt", "updatedAt",
+];
+
+// Filters shared by the list and search endpoints
+const filterFields = () => ({
+  category: v.string().max(120), // id, slug or name; subcategories match too
+  brand: v.string().max(100),
+  tag: v.string().max(50),
+  minPrice: v.number().min(0),
+  maxPrice: v.number().min(0),
+  minRating: v.number().min(0).max(5),
+  // "relevance" needs q; without a sort, results with q are ranked, the rest are newest first
+  sort: v.enum(["relevance", "newest", "price-asc", "price-desc", "top-rated"]),
+});
+
+const list = {
+  query: {
+    ...paginationQuery(LIST_FIELDS),
+    ...filterFields(),
+    q: v.string().max(100),
+  },
+};
+
+const search = {
+  query: {
+    ...paginationQuery(LIST_FIELDS),
+    ...filterFields(),
+    q: v.string().required().max(100),
+  },
+};
+
+const suggest = {
+  query: {
+    q: v.string().required().min(2).max(50),
+    limit: v.integer().min(1).max(10).default(8),
+  },
+};
+
+const byId = { params: idParams() };
+
+// GET /seller/products/deleted
+const deletedList = {
+  query: paginationQuery(["title", "sku", "thumbnail", "price", "deletedAt", "deletedBy"]),
+};
+
+// GET /products/:id/audit
+const audit = {
+  params: idParams(),
+  query: paginationQuery(["action", "by", "changes", "note", "createdAt"]),
+};
+
+const image = { params: { ...idParams(), ...idParams("uploadId") } };
+
+// Tags sellers can use (PRODUCT_TAGS, comma separated, replaces the default list)
+const PRODUCT_TAGS = process.env.PRODUCT_TAGS
+  ? process.env.PRODUCT_TAGS.split(",").map((t) => t.trim()).filter(Boolean)
+  : [
+      "beauty", "skincare", "makeup", "haircare", "bodycare", "fragrances", "perfumes",
+      "serum", "moisturizer", "cleanser", "toner", "sunscreen", "mask", "exfoliator",
+      "mascara", "eyeshadow", "face powder", "lipstick", "nail polish",
+      "hydrating", "anti-aging", "brightening", "acne", "sensitive skin",
+      "vegan", "cruelty-free", "organic", "fragrance-free", "travel size", "gift set",
+    ];
+
+const productTag = () => v.enum(PRODUCT_TAGS);
+
+// Everything a seller may set. owner, meta, rating/ratingAverage/..., reviews,
+// variants and availabilityStatus belong to the server and are rejected.
+const productFields = () => ({
+  title: v.string().min(1).max(200),
+  description: v.string().max(5000),
+  price: v.number().min(0),
+  discountPercentage: v.number().min(0).max(100),
+  // changes are logged in the inventory ledger
+  stock: v.integer().min(0),
+  lowStockThreshold: v.integer().min(0),
+  sku: v.string().min(1).max(100),
+  brand: v.string().max(100),
+  category: v.string().min(1).max(120), // id, slug or name of a Category
+  tags: v.array(productTag()).max(20),
+  weight: v.number().min(0),
+  dimensions: v.object({
+    width: v.number().min(0),
+    height: v.number().min(0),
+    depth: v.number().min(0),
+  }),
+  warrantyInformation: v.string().max(500),
+  shippingInformation: v.string().max(500),
+  returnPolicy: v.string().max(500),
+  minimumOrderQuantity: v.integer().min(1),
+  images: v.array(v.url().min(1)).max(20),
+  thumbnail: v.url(),
+  // older clients send the thumbnail as imageUrl
+  imageUrl: v.url(),
+});
+
+const create = {
+  body: {
+    ...productFields(),
+    title: v.string().required().max(200),
+    price: v.number().min(0).required(),
+    category: v.string().required().max(120),
+  },
+};
+
+const update = {
+  params: idParams(),
+  body: productFields(),
+};
+
+module.exports = { list, search, suggest, byId, deletedList, audit, image, create, update, productTag, PRODUCT_TAGS };
@@ -0,0 +1,61 @@
+// validation/review.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, paginationQuery } = require("./common.schemas");
+const Review = require("../models/review.model");
+const ReviewVote = require("../models/reviewVote.model");
+
+// What ?fields= may pick on a product's review list
+const LIST_FIELDS = [
+  "rating",
+  "comment",
+  "imageUrl",
+  "product",
+  "author",
+  "verifiedPurchase",
+  "helpfulCount",
+  "unhelpfulCount",
+  "reply",
+  "createdAt",
+  "updatedAt",
+];
+
+const reviewFields = () => ({
+  // rating stays optional; null clears it
+  rating: v.number().min(1).max(5).nullable(),
+  comment: v.string().max(1000),
+  imageUrl: v.url(),
+});
+
+const listForProduct = {
+  params: idParams(),
+  query: {
+    sort: v.enum(["newest", "helpful"]).default("newest"),
+    ...paginationQuery(LIST_FIELDS),
+  },
+};
+
+const create = { params: idParams(), body: reviewFields() };
+
+const update = { params: idParams("reviewId"), body: reviewFields() };
+
+const remove = { params: idParams("reviewId") };
+
+const report = {
+  params: idParams("reviewId"),
+  body: {
+    reason: v.enum(Review.REPORT_REASONS).required(),
+    note: v.string().max(500),
+  },
+};
+
+const vote = {
+  params: idParams("reviewId"),
+  body: { value: v.enum(ReviewVote.VALUES).required() },
+};
+
+const reply = {
+  params: idParams("reviewId"),
+  body: { text: v.string().required().max(1000) },
+};
+
+module.exports = { listForProduct, create, update, remove, report, vote, reply };
@@ -0,0 +1,41 @@
+// validation/user.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams, password, strongPassword } = require("./common.schemas");
+
+const address = () =>
+  v.object({
+    _id: v.objectId(),
+    label: v.string().max(50),
+    fullName: v.string().required().max(100),
+    line1: v.string().required().max(200),
+    line2: v.string().max(200),
+    city: v.string().required().max(100),
+    state: v.string().max(100),
+    postalCode: v.string().required().max(20),
+    country: v.string().required().max(100),
+    phone: v.string().max(30),
+    isDefault: v.boolean(),
+  });
+
+const updateMe = {
+  body: {
+    name: v.string().min(1).max(100),
+    avatar: v.url(),
+    addresses: v.array(address()).max(10),
+  },
+};
+
+const changePassword = {
+  body: {
+    currentPassword: password(),
+    newPassword: strongPassword(),
+  },
+};
+
+const deleteMe = {
+  body: { password: password() },
+};
+
+const profile = { params: idParams() };
+
+module.exports = { updateMe, changePassword, deleteMe, profile };
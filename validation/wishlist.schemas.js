@@ -0,0 +1,15 @@
+// validation/wishlist.schemas.js
+const { v } = require("../middleware/validate.middleware");
+const { idParams } = require("./common.schemas");
+
+// fromCart: true = "save for later", the product's cart lines move to the wishlist
+const addItem = {
+  body: {
+    productId: v.objectId().required(),
+    fromCart: v.boolean().default(false),
+  },
+};
+
+const removeItem = { params: idParams("productId") };
+
+module.exports = { addItem, removeItem };